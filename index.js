@@ -0,0 +1,15 @@
+/**
+ * Webpage Video Recorder library entry point
+ * Import this module to embed recording without the CLI
+ */
+
+export { Recorder, record, DEFAULT_OPTIONS, RECORDER_EVENTS } from './lib/session.js';
+export {
+  readUrlFile,
+  generateOutputPath,
+  runSequential,
+  runParallel,
+  printBatchSummary
+} from './lib/batch.js';
+export { PROFILES, getProfile } from './lib/profiles.js';
+export { EncodePool } from './lib/encoder.js';
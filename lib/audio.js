@@ -6,6 +6,7 @@
 import { spawn, exec } from 'child_process';
 import { promisify } from 'util';
 import { log } from './cleanup.js';
+import { JobError } from './errors.js';
 
 const execAsync = promisify(exec);
 
@@ -55,10 +56,10 @@ export async function startPulseAudio() {
     // Verify it's actually running
     const isRunning = await checkPulseAudioRunning();
     if (!isRunning) {
-      throw new Error('PulseAudio failed to start');
+      throw new JobError('PulseAudio failed to start', 'audio');
     }
   } catch (err) {
-    throw new Error(`Failed to start PulseAudio: ${err.message}`);
+    throw new JobError(`Failed to start PulseAudio: ${err.message}`, 'audio');
   }
 }
 
@@ -70,7 +71,7 @@ async function pactl(command) {
     const { stdout, stderr } = await execAsync(`pactl ${command}`);
     return { stdout: stdout.trim(), stderr: stderr.trim() };
   } catch (err) {
-    throw new Error(`pactl command failed: ${err.message}\nCommand: ${command}`);
+    throw new JobError(`pactl command failed: ${err.message}\nCommand: ${command}`, 'audio');
   }
 }
 
@@ -92,7 +93,7 @@ export async function listSinks() {
         };
       });
   } catch (err) {
-    throw new Error(`Failed to list sinks: ${err.message}`);
+    throw new JobError(`Failed to list sinks: ${err.message}`, 'audio');
   }
 }
 
@@ -139,7 +140,7 @@ export async function createVirtualSink(sinkName = 'recording_sink', description
     const verified = await sinkExists(sinkName);
 
     if (!verified) {
-      throw new Error('Sink was not created successfully');
+      throw new JobError('Sink was not created successfully', 'audio');
     }
 
     log(`Virtual sink monitor: ${monitorName}`);
@@ -150,7 +151,7 @@ export async function createVirtualSink(sinkName = 'recording_sink', description
       moduleId
     };
   } catch (err) {
-    throw new Error(`Failed to create virtual sink: ${err.message}`);
+    throw new JobError(`Failed to create virtual sink: ${err.message}`, 'audio');
   }
 }
 
@@ -165,14 +166,14 @@ export async function setDefaultSink(sinkName) {
     // Verify sink exists
     const exists = await sinkExists(sinkName);
     if (!exists) {
-      throw new Error(`Sink ${sinkName} does not exist`);
+      throw new JobError(`Sink ${sinkName} does not exist`, 'audio');
     }
 
     // Set as default sink
     await pactl(`set-default-sink ${sinkName}`);
     log(`Default sink set to: ${sinkName}`);
   } catch (err) {
-    throw new Error(`Failed to set default sink: ${err.message}`);
+    throw new JobError(`Failed to set default sink: ${err.message}`, 'audio');
   }
 }
 
@@ -185,7 +186,7 @@ export async function getDefaultSink() {
     const match = stdout.match(/Default Sink: (.+)/);
     return match ? match[1].trim() : null;
   } catch (err) {
-    throw new Error(`Failed to get default sink: ${err.message}`);
+    throw new JobError(`Failed to get default sink: ${err.message}`, 'audio');
   }
 }
 
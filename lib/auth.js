@@ -0,0 +1,431 @@
+/**
+ * Authenticated sessions
+ * Seeds a page with cookies, localStorage/sessionStorage, extra headers and HTTP basic
+ * auth before navigation, and captures storage state from an interactive login
+ */
+
+import { chmodSync, readFileSync, writeFileSync } from 'fs';
+import { log } from './cleanup.js';
+import { JobError } from './errors.js';
+import { launchInteractiveBrowser, closeBrowser } from './browser.js';
+
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+/**
+ * Convert a Puppeteer or Playwright cookie into a Puppeteer CookieParam
+ * Session cookies (expires -1/0/missing) stay session cookies
+ * @param {Object} cookie - Cookie object
+ * @param {string} source - Where the cookie came from (for errors)
+ * @returns {Object} CookieParam
+ */
+function toCookieParam(cookie, source) {
+  if (!cookie || typeof cookie.name !== 'string' || typeof cookie.value !== 'string') {
+    throw new JobError(`Invalid cookie in ${source}: every cookie needs a string "name" and "value"`, 'invalid-job');
+  }
+  if (!cookie.domain && !cookie.url) {
+    throw new JobError(`Invalid cookie in ${source}: cookie "${cookie.name}" needs a "domain" or "url"`, 'invalid-job');
+  }
+
+  const param = {
+    name: cookie.name,
+    value: cookie.value,
+    ...(cookie.domain ? { domain: cookie.domain } : { url: cookie.url }),
+    path: cookie.path || '/',
+    httpOnly: Boolean(cookie.httpOnly),
+    secure: Boolean(cookie.secure)
+  };
+  if (typeof cookie.expires === 'number' && cookie.expires > 0) {
+    param.expires = cookie.expires;
+  }
+  if (cookie.sameSite && SAME_SITE[String(cookie.sameSite).toLowerCase()]) {
+    param.sameSite = SAME_SITE[String(cookie.sameSite).toLowerCase()];
+  }
+  return param;
+}
+
+/**
+ * Parse a Netscape cookies.txt file (as written by curl, wget and browser extensions)
+ * Host-only cookies (include-subdomains FALSE) are set by URL so they stay host-only
+ * @param {string} content - File content
+ * @param {string} source - File path (for errors)
+ * @returns {Object[]} CookieParams
+ */
+export function parseNetscapeCookies(content, source = 'cookies.txt') {
+  const cookies = [];
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    let line = rawLine.trim();
+    let httpOnly = false;
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    } else if (!line || line.startsWith('#')) {
+      return;
+    }
+
+    const fields = line.split('\t');
+    if (fields.length < 7) {
+      throw new JobError(`Invalid cookie file ${source}: line ${index + 1} has ${fields.length} tab-separated fields (expected 7)`, 'invalid-job');
+    }
+    const [domain, includeSubdomains, path, secure, expires, name, ...value] = fields;
+    const isSecure = secure.toUpperCase() === 'TRUE';
+    const hostOnly = includeSubdomains.toUpperCase() !== 'TRUE';
+    const host = domain.replace(/^\./, '');
+
+    cookies.push(toCookieParam({
+      name,
+      value: value.join('\t'),
+      ...(hostOnly ? { url: `${isSecure ? 'https' : 'http'}://${host}${path}` } : { domain: `.${host}` }),
+      path,
+      expires: Number(expires),
+      httpOnly,
+      secure: isSecure
+    }, source));
+  });
+
+  return cookies;
+}
+
+/**
+ * Load a cookie jar: Netscape cookies.txt, or JSON (a Puppeteer cookie array, or any
+ * object with a `cookies` array such as a storage state file)
+ * Cookies that have already expired are dropped
+ * @param {string} filePath - Cookie file path
+ * @returns {Object[]} CookieParams
+ */
+export function loadCookies(filePath) {
+  let content;
+  try {
+    content = readFileSync(filePath, 'utf-8');
+  } catch (err) {
+    throw new JobError(`Invalid cookie file ${filePath}: ${err.message}`, 'invalid-job');
+  }
+
+  let cookies;
+  const trimmed = content.trimStart();
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (err) {
+      throw new JobError(`Invalid cookie file ${filePath}: ${err.message}`, 'invalid-job');
+    }
+    const list = Array.isArray(parsed) ? parsed : parsed.cookies;
+    if (!Array.isArray(list)) {
+      throw new JobError(`Invalid cookie file ${filePath}: expected a cookie array or an object with "cookies"`, 'invalid-job');
+    }
+    cookies = list.map(cookie => toCookieParam(cookie, filePath));
+  } else {
+    cookies = parseNetscapeCookies(content, filePath);
+  }
+
+  return dropExpired(cookies, filePath);
+}
+
+/**
+ * Remove cookies whose expiry has passed
+ */
+function dropExpired(cookies, source) {
+  const now = Date.now() / 1000;
+  const live = cookies.filter(cookie => !cookie.expires || cookie.expires > now);
+  if (live.length < cookies.length) {
+    log(`Skipping ${cookies.length - live.length} expired cookie(s) from ${source}`);
+  }
+  return live;
+}
+
+/**
+ * Check storage entries ([{ name, value }]) of one origin
+ */
+function storageEntries(entries, key, source) {
+  if (entries === undefined) {
+    return [];
+  }
+  if (!Array.isArray(entries) || entries.some(e => !e || typeof e.name !== 'string' || typeof e.value !== 'string')) {
+    throw new JobError(`Invalid storage state ${source}: "${key}" must be a list of { name, value } strings`, 'invalid-job');
+  }
+  return entries.map(({ name, value }) => ({ name, value }));
+}
+
+/**
+ * Parse a Playwright-style storage state
+ * `origins[].sessionStorage` is accepted alongside Playwright's `localStorage`
+ * @param {Object} state - { cookies, origins: [{ origin, localStorage, sessionStorage }] }
+ * @param {string} source - Where the state came from (for errors)
+ * @returns {{cookies: Object[], origins: Object[]}}
+ */
+export function parseStorageState(state, source = 'storage state') {
+  if (!state || typeof state !== 'object' || Array.isArray(state)) {
+    throw new JobError(`Invalid storage state ${source}: expected an object with "cookies" and "origins"`, 'invalid-job');
+  }
+  const { cookies = [], origins = [] } = state;
+  if (!Array.isArray(cookies) || !Array.isArray(origins)) {
+    throw new JobError(`Invalid storage state ${source}: "cookies" and "origins" must be lists`, 'invalid-job');
+  }
+
+  return {
+    cookies: dropExpired(cookies.map(cookie => toCookieParam(cookie, source)), source),
+    origins: origins.map((entry) => {
+      let origin;
+      try {
+        origin = new URL(entry.origin).origin;
+      } catch {
+        throw new JobError(`Invalid storage state ${source}: "${entry && entry.origin}" is not an origin`, 'invalid-job');
+      }
+      return {
+        origin,
+        localStorage: storageEntries(entry.localStorage, 'localStorage', source),
+        sessionStorage: storageEntries(entry.sessionStorage, 'sessionStorage', source)
+      };
+    })
+  };
+}
+
+/**
+ * Normalize extra HTTP headers: an object, or a list of "Name: value" strings
+ * Names must be HTTP tokens and values a single line, since they are also passed to ffmpeg as raw header lines
+ * @param {Object|string[]} headers - Headers
+ * @returns {Object} Header values by name
+ */
+export function parseHeaders(headers) {
+  let parsed;
+  if (Array.isArray(headers)) {
+    parsed = Object.fromEntries(headers.map((header) => {
+      const separator = String(header).indexOf(':');
+      if (separator <= 0) {
+        throw new JobError(`Invalid header "${header}" (expected "Name: value")`, 'invalid-job');
+      }
+      return [header.slice(0, separator).trim(), header.slice(separator + 1).trim()];
+    }));
+  } else if (!headers || typeof headers !== 'object' || Object.values(headers).some(v => typeof v !== 'string')) {
+    throw new JobError('Invalid headers: expected { name: value } strings or a list of "Name: value"', 'invalid-job');
+  } else {
+    parsed = { ...headers };
+  }
+
+  for (const [name, value] of Object.entries(parsed)) {
+    if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+      throw new JobError(`Invalid header name "${name}"`, 'invalid-job');
+    }
+    if (/[\r\n\0]/.test(value)) {
+      throw new JobError(`Invalid header ${name}: values can't contain line breaks`, 'invalid-job');
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Normalize HTTP basic auth credentials: "user:password" or { username, password }
+ * @param {string|Object} credentials - Credentials
+ * @returns {{username: string, password: string}}
+ */
+export function parseHttpAuth(credentials) {
+  if (typeof credentials === 'string') {
+    const separator = credentials.indexOf(':');
+    if (separator <= 0) {
+      throw new JobError('Invalid HTTP auth: expected "user:password"', 'invalid-job');
+    }
+    return { username: credentials.slice(0, separator), password: credentials.slice(separator + 1) };
+  }
+  if (!credentials || typeof credentials.username !== 'string' || typeof credentials.password !== 'string') {
+    throw new JobError('Invalid HTTP auth: expected "user:password" or { username, password }', 'invalid-job');
+  }
+  return { username: credentials.username, password: credentials.password };
+}
+
+/**
+ * Load and check every authentication option of a recording
+ * Cookie files and storage state may be paths or inline values
+ * @param {Object} options
+ * @param {string|Object[]} options.cookies - Cookie file path, or CookieParams
+ * @param {string|Object} options.storageState - Storage state file path, or the state itself
+ * @param {Object|string[]} options.headers - Extra HTTP headers
+ * @param {string|Object} options.httpAuth - HTTP basic auth credentials
+ * @returns {Object|null} Session to apply with applyAuth(), or null if nothing is set
+ */
+export function loadAuth({ cookies = null, storageState = null, headers = null, httpAuth = null } = {}) {
+  if (!cookies && !storageState && !headers && !httpAuth) {
+    return null;
+  }
+
+  const auth = { cookies: [], origins: [], headers: null, credentials: null };
+
+  if (storageState) {
+    let state = storageState;
+    if (typeof storageState === 'string') {
+      try {
+        state = JSON.parse(readFileSync(storageState, 'utf-8'));
+      } catch (err) {
+        throw new JobError(`Invalid storage state ${storageState}: ${err.message}`, 'invalid-job');
+      }
+    }
+    const parsed = parseStorageState(state, typeof storageState === 'string' ? storageState : 'storageState');
+    auth.cookies.push(...parsed.cookies);
+    auth.origins = parsed.origins;
+  }
+
+  // Explicit cookies are set after the storage state's, so they win on conflicts
+  if (cookies) {
+    if (typeof cookies !== 'string' && !Array.isArray(cookies)) {
+      throw new JobError('Invalid cookies: expected a cookie file path or a list of cookies', 'invalid-job');
+    }
+    auth.cookies.push(...(typeof cookies === 'string'
+      ? loadCookies(cookies)
+      : dropExpired(cookies.map(cookie => toCookieParam(cookie, 'cookies')), 'cookies')));
+  }
+
+  if (headers) {
+    auth.headers = parseHeaders(headers);
+  }
+  if (httpAuth) {
+    auth.credentials = parseHttpAuth(httpAuth);
+  }
+
+  return auth;
+}
+
+/**
+ * Page-side storage seeding, run at the start of every document until removed
+ */
+function seedStorage(origins) {
+  const entry = origins.find(o => o.origin === location.origin);
+  if (!entry) {
+    return;
+  }
+  for (const { name, value } of entry.localStorage) {
+    localStorage.setItem(name, value);
+  }
+  for (const { name, value } of entry.sessionStorage) {
+    sessionStorage.setItem(name, value);
+  }
+}
+
+/**
+ * Apply a session to a page; call before navigating
+ * Storage is seeded into each origin's first document, so call stopSeedingStorage()
+ * once the page has loaded to keep later navigations from overwriting the page's own changes
+ * @param {Page} page - Puppeteer page
+ * @param {Object} auth - Session from loadAuth()
+ * @returns {Promise<{storageScript: string|null}>}
+ */
+export async function applyAuth(page, auth) {
+  const parts = [];
+
+  if (auth.credentials) {
+    await page.authenticate(auth.credentials);
+    parts.push(`HTTP auth as ${auth.credentials.username}`);
+  }
+  if (auth.headers) {
+    await page.setExtraHTTPHeaders(auth.headers);
+    parts.push(`${Object.keys(auth.headers).length} header(s)`);
+  }
+  if (auth.cookies.length > 0) {
+    await page.setCookie(...auth.cookies);
+    parts.push(`${auth.cookies.length} cookie(s)`);
+  }
+
+  let storageScript = null;
+  if (auth.origins.length > 0) {
+    ({ identifier: storageScript } = await page.evaluateOnNewDocument(seedStorage, auth.origins));
+    parts.push(`storage for ${auth.origins.length} origin(s)`);
+  }
+
+  log(`Session applied: ${parts.join(', ')}`);
+  return { storageScript };
+}
+
+/**
+ * Stop seeding storage into new documents (see applyAuth)
+ * @param {Page} page - Puppeteer page
+ * @param {{storageScript: string|null}} applied - Result of applyAuth()
+ */
+export async function stopSeedingStorage(page, { storageScript }) {
+  if (storageScript) {
+    await page.removeScriptToEvaluateOnNewDocument(storageScript);
+  }
+}
+
+/**
+ * Capture the browser's cookies and the storage of every open page, in storage state format
+ * @param {Browser} browser - Puppeteer browser
+ * @returns {Promise<{cookies: Object[], origins: Object[]}>}
+ */
+export async function captureStorageState(browser) {
+  const pages = await browser.pages();
+  const client = await pages[0].createCDPSession();
+  const { cookies } = await client.send('Network.getAllCookies');
+  await client.detach();
+
+  const origins = new Map();
+  for (const page of pages) {
+    const storage = await page.evaluate(() => ({
+      origin: location.origin,
+      localStorage: Object.entries(localStorage).map(([name, value]) => ({ name, value })),
+      sessionStorage: Object.entries(sessionStorage).map(([name, value]) => ({ name, value }))
+    })).catch(() => null);
+
+    // Blank and opaque-origin pages have no storage worth keeping
+    if (storage && storage.origin.startsWith('http')) {
+      origins.set(storage.origin, storage);
+    }
+  }
+
+  return {
+    cookies: cookies.map(({ name, value, domain, path, expires, httpOnly, secure, sameSite }) => ({
+      name, value, domain, path, expires, httpOnly, secure, ...(sameSite ? { sameSite } : {})
+    })),
+    origins: [...origins.values()]
+  };
+}
+
+/**
+ * Write a storage state file readable only by its owner (it holds session secrets)
+ * @param {string} filePath - Output path
+ * @param {Object} state - Storage state
+ */
+export function saveStorageState(filePath, state) {
+  writeFileSync(filePath, JSON.stringify(state, null, 2) + '\n', { mode: 0o600 });
+  chmodSync(filePath, 0o600);
+  log(`Saved storage state: ${state.cookies.length} cookie(s), ${state.origins.length} origin(s) -> ${filePath}`);
+}
+
+/**
+ * Open a visible browser at a URL, let the operator log in, then save the session
+ * The session can extend an existing one (auth from loadAuth())
+ * @param {string} url - Login or start page
+ * @param {Object} options
+ * @param {string} options.outputPath - Storage state file to write
+ * @param {Object|null} options.auth - Session to start from
+ * @param {Function} options.waitForOperator - Resolves when the operator is done logging in
+ * @param {Function} options.onBrowser - Called with the browser once launched (e.g. to close it on SIGINT)
+ * @param {string|null} options.userDataDir - Browser profile to log in with (it keeps the session too)
+ * @returns {Promise<{cookies: Object[], origins: Object[]}>} Saved storage state
+ */
+export async function interactiveLogin(url, { outputPath, auth = null, waitForOperator, onBrowser = null, userDataDir = null }) {
+  const browser = await launchInteractiveBrowser({ userDataDir });
+  if (onBrowser) {
+    onBrowser(browser);
+  }
+
+  try {
+    const [page] = await browser.pages();
+    if (auth) {
+      await applyAuth(page, auth);
+    }
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+
+    // Closing the window before confirming would lose the session
+    const closed = new Promise((resolve, reject) => {
+      browser.once('disconnected', () => reject(new Error('Browser closed before the session was saved')));
+    });
+    await Promise.race([waitForOperator(), closed]);
+
+    const state = await captureStorageState(browser);
+    saveStorageState(outputPath, state);
+    return state;
+  } finally {
+    if (browser.connected) {
+      await closeBrowser(browser);
+    }
+  }
+}
@@ -1,12 +1,14 @@
 /**
  * Batch recording utilities
- * Read URL files, generate output paths, run sequential/parallel recordings
+ * Read URL files and manifests, generate output paths, run sequential/parallel recordings
  */
 
 import { readFile } from 'fs/promises';
 import { existsSync, mkdirSync } from 'fs';
 import { join } from 'path';
 import { log } from './cleanup.js';
+import { isManifestFile, readManifest } from './manifest.js';
+import { profileExtension } from './profiles.js';
 
 /**
  * Read a URL file and return an array of URLs
@@ -35,14 +37,50 @@ export async function readUrlFile(filePath) {
   return urls;
 }
 
+/**
+ * Read a batch file into jobs
+ * Manifests (.json/.yaml/.yml/.csv) carry per-entry options; anything else is a URL list
+ * @param {string} filePath - Path to the batch file
+ * @param {string} outputDir - Batch output directory
+ * @param {Object} baseOptions - Recorder options every job starts from (the CLI options)
+ * @returns {Promise<{url: string, outputPath?: string, options?: Object}[]>}
+ */
+export async function readBatchFile(filePath, outputDir, baseOptions = {}) {
+  if (isManifestFile(filePath)) {
+    return readManifest(filePath, outputDir, baseOptions);
+  }
+  const urls = await readUrlFile(filePath);
+  return urls.map(url => ({ url }));
+}
+
+/**
+ * Normalize a batch item (bare URL string or job object) into a job
+ * @param {string|Object} item - URL or `{ url, outputPath?, options? }`
+ * @param {number} index - Zero-based index in the batch
+ * @param {string} outputDir - Output directory path
+ * @param {string|null} defaultProfile - Batch-wide output profile (a job's own `profile` wins)
+ * @returns {{url: string, outputPath: string, options: Object}}
+ */
+export function toBatchJob(item, index, outputDir, defaultProfile = null) {
+  const job = typeof item === 'string' ? { url: item } : item;
+  const options = job.options || {};
+  const extension = profileExtension(options.profile || defaultProfile);
+  return {
+    url: job.url,
+    outputPath: job.outputPath || generateOutputPath(job.url, index, outputDir, extension),
+    options
+  };
+}
+
 /**
  * Generate a unique output filename from a URL
  * @param {string} url - The URL to generate a filename for
  * @param {number} index - Zero-based index in the batch
  * @param {string} outputDir - Output directory path
+ * @param {string} extension - File extension for the output profile (default: '.mp4')
  * @returns {string} Full output file path
  */
-export function generateOutputPath(url, index, outputDir) {
+export function generateOutputPath(url, index, outputDir, extension = '.mp4') {
   let parsed;
   try {
     parsed = new URL(url);
@@ -50,7 +88,7 @@ export function generateOutputPath(url, index, outputDir) {
     // Fallback for invalid URLs
     const slug = url.replace(/[^a-zA-Z0-9]/g, '-').substring(0, 50);
     const prefix = String(index + 1).padStart(3, '0');
-    return join(outputDir, `${prefix}-${slug}.mp4`);
+    return join(outputDir, `${prefix}-${slug}${extension}`);
   }
 
   const hostname = parsed.hostname.replace(/^www\./, '');
@@ -67,7 +105,7 @@ export function generateOutputPath(url, index, outputDir) {
     nameParts.push(pathSlug);
   }
 
-  return join(outputDir, `${nameParts.join('-')}.mp4`);
+  return join(outputDir, `${nameParts.join('-')}${extension}`);
 }
 
 /**
@@ -81,9 +119,44 @@ export function ensureOutputDir(dir) {
   }
 }
 
+/**
+ * Per-worker recording resources for parallel mode
+ * Each worker gets its own display range, PulseAudio sink and browser profile copy so jobs don't collide
+ * @param {number} workerId - Zero-based worker identifier
+ * @returns {{parallelMode: boolean, displayStartNumber: number, sinkName: string, profileSlot: number}}
+ */
+export function workerResources(workerId) {
+  return {
+    parallelMode: true,
+    displayStartNumber: 99 + (workerId * 10),
+    sinkName: `recording_sink_${workerId}`,
+    profileSlot: workerId
+  };
+}
+
+/**
+ * Start a job and wait until its capture slot is free again
+ * Two-stage jobs call `onCaptured` once only the encode is left, so the next capture
+ * can start while they encode; other jobs hold the slot until they finish
+ * @param {Function} recordFn - Recording function (options) => result
+ * @param {Object} options - Job options
+ * @param {Function} onResult - Called with the final result
+ * @returns {Promise<{done: Promise<void>}>} Resolves when the slot is free; `done` settles when the job finishes
+ */
+async function startJob(recordFn, options, onResult) {
+  let released;
+  const captured = new Promise((resolve) => {
+    released = resolve;
+  });
+
+  const done = recordFn({ ...options, onCaptured: () => released() }).then(onResult);
+  await Promise.race([done, captured]);
+  return { done };
+}
+
 /**
  * Run recordings sequentially
- * @param {string[]} urls - Array of URLs to record
+ * @param {Array<string|Object>} urls - URLs or jobs (`{ url, outputPath?, options? }`) to record
  * @param {string} outputDir - Output directory
  * @param {Function} recordFn - Recording function (url, outputPath, index, opts) => result
  * @param {Object} sharedArgs - Shared CLI arguments to pass through
@@ -92,11 +165,11 @@ export function ensureOutputDir(dir) {
 export async function runSequential(urls, outputDir, recordFn, sharedArgs) {
   ensureOutputDir(outputDir);
 
-  const results = [];
+  const results = new Array(urls.length);
+  const inFlight = [];
 
   for (let i = 0; i < urls.length; i++) {
-    const url = urls[i];
-    const outputPath = generateOutputPath(url, i, outputDir);
+    const { url, outputPath, options } = toBatchJob(urls[i], i, outputDir);
     const jobLabel = `[${i + 1}/${urls.length}]`;
 
     log('='.repeat(70));
@@ -104,30 +177,34 @@ export async function runSequential(urls, outputDir, recordFn, sharedArgs) {
     log(`${jobLabel} Output: ${outputPath}`);
     log('='.repeat(70));
 
-    const result = await recordFn({
+    const { done } = await startJob(recordFn, {
       url,
       outputPath,
       jobLabel,
       jobIndex: i,
       parallelMode: false,
-      ...sharedArgs
-    });
-
-    results.push({ url, outputPath, ...result });
+      ...sharedArgs,
+      ...options
+    }, (result) => {
+      results[i] = { url, outputPath, ...result };
 
-    if (result.success) {
-      log(`${jobLabel} Completed successfully`);
-    } else {
-      log(`${jobLabel} Failed: ${result.error}`);
-    }
+      if (result.success) {
+        log(`${jobLabel} Completed successfully`);
+      } else {
+        log(`${jobLabel} Failed: ${result.error}`);
+      }
+    });
+    inFlight.push(done);
   }
 
+  // Wait for encodes still running in the background
+  await Promise.all(inFlight);
   return results;
 }
 
 /**
  * Run recordings in parallel with concurrency limit
- * @param {string[]} urls - Array of URLs to record
+ * @param {Array<string|Object>} urls - URLs or jobs (`{ url, outputPath?, options? }`) to record
  * @param {string} outputDir - Output directory
  * @param {Function} recordFn - Recording function (url, outputPath, index, opts) => result
  * @param {Object} sharedArgs - Shared CLI arguments to pass through
@@ -138,7 +215,8 @@ export async function runParallel(urls, outputDir, recordFn, sharedArgs, concurr
   ensureOutputDir(outputDir);
 
   const results = new Array(urls.length);
-  const queue = urls.map((url, i) => ({ url, index: i }));
+  const queue = urls.map((item, i) => ({ ...toBatchJob(item, i, outputDir), index: i }));
+  const inFlight = [];
   let nextIndex = 0;
 
   /**
@@ -148,31 +226,30 @@ export async function runParallel(urls, outputDir, recordFn, sharedArgs, concurr
   async function worker(workerId) {
     while (nextIndex < queue.length) {
       const jobIdx = nextIndex++;
-      const { url, index } = queue[jobIdx];
-      const outputPath = generateOutputPath(url, index, outputDir);
+      const { url, outputPath, options, index } = queue[jobIdx];
       const jobLabel = `[W${workerId}|${index + 1}/${urls.length}]`;
 
       log(`${jobLabel} Starting: ${url}`);
       log(`${jobLabel} Output: ${outputPath}`);
 
-      const result = await recordFn({
+      const { done } = await startJob(recordFn, {
         url,
         outputPath,
         jobLabel,
         jobIndex: index,
-        parallelMode: true,
-        displayStartNumber: 99 + (workerId * 10),
-        sinkName: `recording_sink_${workerId}`,
-        ...sharedArgs
+        ...workerResources(workerId),
+        ...sharedArgs,
+        ...options
+      }, (result) => {
+        results[index] = { url, outputPath, ...result };
+
+        if (result.success) {
+          log(`${jobLabel} Completed successfully`);
+        } else {
+          log(`${jobLabel} Failed: ${result.error}`);
+        }
       });
-
-      results[index] = { url, outputPath, ...result };
-
-      if (result.success) {
-        log(`${jobLabel} Completed successfully`);
-      } else {
-        log(`${jobLabel} Failed: ${result.error}`);
-      }
+      inFlight.push(done);
     }
   }
 
@@ -183,6 +260,8 @@ export async function runParallel(urls, outputDir, recordFn, sharedArgs, concurr
   }
 
   await Promise.all(workers);
+  // Wait for encodes still running in the background
+  await Promise.all(inFlight);
   return results;
 }
 
@@ -197,14 +276,20 @@ export function printBatchSummary(results) {
 
   let successCount = 0;
   let failCount = 0;
+  let skipCount = 0;
 
   for (const result of results) {
-    const status = result.success ? 'OK' : 'FAIL';
-    const detail = result.success ? result.outputPath : result.error;
-    log(`  [${status}] ${result.url}`);
+    const status = result.skipped ? 'SKIP' : result.success ? 'OK' : 'FAIL';
+    const detail = result.success
+      ? result.outputPath
+      : `${result.failure ? `(${result.failure.category}) ` : ''}${result.error}`;
+    const attempts = result.attempts > 1 ? ` (${result.attempts} attempts)` : '';
+    log(`  [${status}] ${result.url}${attempts}`);
     log(`         ${detail}`);
 
-    if (result.success) {
+    if (result.skipped) {
+      skipCount++;
+    } else if (result.success) {
       successCount++;
     } else {
       failCount++;
@@ -212,6 +297,6 @@ export function printBatchSummary(results) {
   }
 
   log('-'.repeat(70));
-  log(`Total: ${results.length} | Success: ${successCount} | Failed: ${failCount}`);
+  log(`Total: ${results.length} | Success: ${successCount} | Failed: ${failCount}${skipCount ? ` | Skipped: ${skipCount}` : ''}`);
   log('='.repeat(70));
 }
@@ -0,0 +1,82 @@
+/**
+ * Built-in ad and tracker blocklist (--block-ads)
+ * Domains whose requests are failed before they are sent; subdomains are included.
+ * Kept short on purpose: ad networks and ad SDKs that insert pre-rolls, analytics
+ * beacons, and chat widgets that pop up over players. Vendors whose main domain also
+ * hosts customer pages are listed by their script and API hosts only
+ */
+
+export const BLOCKLIST_DOMAINS = Object.freeze([
+  // Ad networks and video ad SDKs (pre-roll, mid-roll, overlays)
+  'doubleclick.net',
+  'googlesyndication.com',
+  'googleadservices.com',
+  'googletagservices.com',
+  'adservice.google.com',
+  'imasdk.googleapis.com',
+  'amazon-adsystem.com',
+  'adnxs.com',
+  'adsrvr.org',
+  'advertising.com',
+  'rubiconproject.com',
+  'pubmatic.com',
+  'openx.net',
+  'casalemedia.com',
+  'criteo.com',
+  'criteo.net',
+  'taboola.com',
+  'outbrain.com',
+  'moatads.com',
+  'spotxchange.com',
+  'springserve.com',
+  'teads.tv',
+  'serving-sys.com',
+  'innovid.com',
+  'freewheel.tv',
+  'fwmrm.net',
+
+  // Analytics and tracking beacons
+  'google-analytics.com',
+  'googletagmanager.com',
+  'scorecardresearch.com',
+  'quantserve.com',
+  'chartbeat.com',
+  'chartbeat.net',
+  'hotjar.com',
+  'clarity.ms',
+  'api-js.mixpanel.com',
+  'cdn.mxpnl.com',
+  'api.segment.io',
+  'cdn.segment.com',
+  'api.amplitude.com',
+  'cdn.amplitude.com',
+  'bat.bing.com',
+  'connect.facebook.net',
+  'analytics.tiktok.com',
+  'nr-data.net',
+
+  // Chat and support widgets
+  'intercom.io',
+  'intercomcdn.com',
+  'driftt.com',
+  'client.crisp.chat',
+  'embed.tawk.to',
+  'zopim.com',
+  'cdn.livechatinc.com',
+  'hs-scripts.com'
+]);
+
+/**
+ * Whether a URL's host is on the blocklist (or a subdomain of an entry)
+ * @param {string} url - Request URL
+ * @returns {boolean}
+ */
+export function isBlocklisted(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    return false;
+  }
+  return BLOCKLIST_DOMAINS.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
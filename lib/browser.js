@@ -5,6 +5,18 @@
 
 import puppeteer from 'puppeteer';
 import { log, sleep } from './cleanup.js';
+import { JobError } from './errors.js';
+
+/**
+ * Attribute marking the element to fullscreen in the top document when it isn't the
+ * video itself (a player container, the iframe a video is embedded in, or its shadow host)
+ */
+export const PLAYER_ATTRIBUTE = 'data-recorder-player';
+
+/**
+ * Playback watchers started so far (each needs its own binding name)
+ */
+let watchCount = 0;
 
 /**
  * Launch headful browser with display configuration
@@ -20,7 +32,8 @@ export async function launchBrowser(displayNumber = 99, options = {}) {
     height = 1080,
     executablePath = null,
     additionalArgs = [],
-    pulseServer = null
+    pulseServer = null,
+    userDataDir = null
   } = options;
 
   const launchOptions = {
@@ -62,6 +75,13 @@ export async function launchBrowser(displayNumber = 99, options = {}) {
     log(`Using custom browser executable: ${executablePath}`);
   }
 
+  // Persistent profile instead of a fresh temporary one; a previous job killed
+  // mid-recording must not bring up the "restore pages" bubble
+  if (userDataDir) {
+    launchOptions.userDataDir = userDataDir;
+    launchOptions.args.push('--hide-crash-restore-bubble');
+  }
+
   try {
     const browser = await puppeteer.launch(launchOptions);
     const version = await browser.version();
@@ -69,7 +89,39 @@ export async function launchBrowser(displayNumber = 99, options = {}) {
 
     return browser;
   } catch (err) {
-    throw new Error(`Failed to launch browser: ${err.message}`);
+    throw new JobError(`Failed to launch browser: ${err.message}`, 'browser');
+  }
+}
+
+/**
+ * Launch a visible browser on the operator's own display (interactive login)
+ * Unlike launchBrowser() it keeps the normal browser chrome (URL bar, tabs) and is not on Xvfb
+ * @param {Object} options - Launch options ({ width, height, executablePath, userDataDir })
+ * @returns {Promise<Browser>}
+ */
+export async function launchInteractiveBrowser(options = {}) {
+  const {
+    width = 1280,
+    height = 900,
+    executablePath = null,
+    userDataDir = null
+  } = options;
+
+  if (process.platform === 'linux' && !process.env.DISPLAY) {
+    throw new JobError('Interactive login needs a display: run it in a desktop session or over X forwarding (DISPLAY is not set)', 'environment');
+  }
+
+  log('Launching interactive browser');
+  try {
+    return await puppeteer.launch({
+      headless: false,
+      defaultViewport: null,                         // Let the operator resize the window
+      args: ['--no-sandbox', `--window-size=${width},${height}`],
+      ...(executablePath ? { executablePath } : {}),
+      ...(userDataDir ? { userDataDir } : {})
+    });
+  } catch (err) {
+    throw new JobError(`Failed to launch browser: ${err.message}`, 'browser');
   }
 }
 
@@ -94,6 +146,149 @@ export async function setFullscreen(page) {
   }
 }
 
+/**
+ * Make a single element fullscreen (Fullscreen API), falling back to CSS isolation
+ * requestFullscreen() needs a user gesture, so a trusted click is dispatched through
+ * CDP input events and consumed by a one-shot capturing listener before the page sees it
+ * @param {Page} page - Puppeteer page instance
+ * @param {string} selector - Element to make fullscreen (the video or its player container)
+ * @param {Object} options - Options
+ * @param {number} options.timeout - Time to wait for document.fullscreenElement (ms)
+ * @returns {Promise<'fullscreen'|'css'>} Which method took effect
+ */
+export async function setElementFullscreen(page, selector = 'video', { timeout = 3000 } = {}) {
+  log(`Requesting element fullscreen: ${selector}`);
+
+  const target = await page.evaluate((sel) => {
+    const el = document.querySelector(sel);
+    if (!el) {
+      return null;
+    }
+    el.scrollIntoView({ block: 'center', inline: 'center' });
+
+    window.addEventListener('click', (event) => {
+      // Swallow the synthetic gesture so players don't toggle play/pause
+      event.preventDefault();
+      event.stopImmediatePropagation();
+      const request = el.requestFullscreen || el.webkitRequestFullscreen;
+      if (request) {
+        Promise.resolve(request.call(el, { navigationUI: 'hide' })).catch(() => {});
+      }
+    }, { capture: true, once: true });
+
+    const rect = el.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  }, selector);
+
+  if (!target) {
+    throw new JobError(`Fullscreen element not found: ${selector}`, 'playback');
+  }
+
+  try {
+    const client = await page.createCDPSession();
+    const point = { x: Math.max(target.x, 0), y: Math.max(target.y, 0), button: 'left', clickCount: 1 };
+    await client.send('Input.dispatchMouseEvent', { type: 'mousePressed', ...point });
+    await client.send('Input.dispatchMouseEvent', { type: 'mouseReleased', ...point });
+    await client.detach();
+
+    await page.waitForFunction(
+      (sel) => document.fullscreenElement === document.querySelector(sel),
+      { timeout },
+      selector
+    );
+    log('Element fullscreen active (Fullscreen API)');
+    return 'fullscreen';
+  } catch (err) {
+    log(`Fullscreen API did not take effect (${err.message.split('\n')[0]}), isolating element with CSS`);
+  }
+
+  await isolateElement(page, selector);
+  return 'css';
+}
+
+/**
+ * Hide everything except one element and stretch it over the viewport
+ * Used when a page blocks the Fullscreen API
+ * @param {Page} page - Puppeteer page instance
+ * @param {string} selector - Element to isolate
+ * @returns {Promise<void>}
+ */
+export async function isolateElement(page, selector) {
+  await page.evaluate((sel) => {
+    const el = document.querySelector(sel);
+    if (!el) {
+      return;
+    }
+
+    // Hide every sibling along the path from the element up to <body>
+    for (let node = el; node && node !== document.body && node.parentElement; node = node.parentElement) {
+      for (const sibling of node.parentElement.children) {
+        if (sibling !== node) {
+          sibling.setAttribute('data-recorder-hidden', '');
+        }
+      }
+      if (node !== el) {
+        node.setAttribute('data-recorder-ancestor', '');
+      }
+    }
+    el.setAttribute('data-recorder-isolated', '');
+
+    const style = document.createElement('style');
+    style.id = '__recorder-isolation';
+    style.textContent = `
+      html, body { background: #000 !important; overflow: hidden !important; }
+      [data-recorder-hidden] { display: none !important; }
+      [data-recorder-ancestor] {
+        transform: none !important; filter: none !important; contain: none !important;
+        perspective: none !important; overflow: visible !important;
+      }
+      [data-recorder-isolated] {
+        position: fixed !important; inset: 0 !important; margin: 0 !important;
+        width: 100vw !important; height: 100vh !important; max-width: none !important; max-height: none !important;
+        z-index: 2147483647 !important; object-fit: contain !important; background: #000 !important;
+      }
+    `;
+    document.head.appendChild(style);
+  }, selector);
+
+  log(`Element isolated with CSS: ${selector}`);
+}
+
+/**
+ * Scroll an element to the middle of the viewport (lazy players often only load when on screen)
+ * @param {Page|Frame} page - Puppeteer page instance, or the iframe holding the element
+ * @param {string|ElementHandle} selector - Element selector, or a handle
+ * @returns {Promise<void>}
+ */
+export async function scrollIntoView(page, selector) {
+  await page.evaluate((sel) => {
+    const el = typeof sel === 'string' ? document.querySelector(sel) : sel;
+    if (el) {
+      el.scrollIntoView({ block: 'center', inline: 'center' });
+    }
+  }, selector);
+}
+
+/**
+ * Undo setElementFullscreen(): leave fullscreen, or remove the CSS isolation
+ * @param {Page} page - Puppeteer page instance
+ * @returns {Promise<void>}
+ */
+export async function exitElementFullscreen(page) {
+  await page.evaluate(async () => {
+    if (document.fullscreenElement) {
+      await document.exitFullscreen().catch(() => {});
+    }
+    const style = document.getElementById('__recorder-isolation');
+    if (style) {
+      style.remove();
+    }
+    for (const name of ['data-recorder-hidden', 'data-recorder-ancestor', 'data-recorder-isolated']) {
+      document.querySelectorAll(`[${name}]`).forEach(el => el.removeAttribute(name));
+    }
+  });
+}
+
 /**
  * Create new page with configuration
  * @param {Browser} browser - Puppeteer browser instance
@@ -119,12 +314,10 @@ export async function createPage(browser, options = {}) {
     await page.setUserAgent(userAgent);
   }
 
-  // Enable request interception for debugging if needed
+  // Log requests as they are sent (observed only, so the page isn't slowed down)
   if (options.logRequests) {
-    await page.setRequestInterception(true);
     page.on('request', (request) => {
       log(`Request: ${request.method()} ${request.url()}`);
-      request.continue();
     });
   }
 
@@ -166,35 +359,244 @@ export async function navigateToUrl(page, url, options = {}) {
 
     log(`Successfully loaded: ${url}`);
   } catch (err) {
-    throw new Error(`Failed to navigate to ${url}: ${err.message}`);
+    // A URL the browser can't resolve fails the same way on every attempt
+    const invalid = /Cannot navigate to invalid URL|net::ERR_(INVALID_URL|NAME_NOT_RESOLVED|ABORTED)/.test(err.message);
+    throw new JobError(`Failed to navigate to ${url}: ${err.message}`, invalid ? 'invalid-url' : 'navigation', { cause: err });
   }
 }
 
+/**
+ * Selector or element handle, for messages
+ */
+function describeVideo(selector) {
+  return typeof selector === 'string' ? selector : 'located video element';
+}
+
+/**
+ * Page-side querySelector that also searches open shadow roots (closed ones can't be reached)
+ */
+function deepQuerySelector(selector) {
+  const search = (root) => {
+    const found = root.querySelector(selector);
+    if (found) {
+      return found;
+    }
+    for (const element of root.querySelectorAll('*')) {
+      const inner = element.shadowRoot ? search(element.shadowRoot) : null;
+      if (inner) {
+        return inner;
+      }
+    }
+    return null;
+  };
+  return search(document);
+}
+
+/**
+ * Page-side querySelectorAll over the document and its open shadow roots
+ */
+function deepQuerySelectorAll(selector) {
+  const found = [];
+  const search = (root) => {
+    found.push(...root.querySelectorAll(selector));
+    for (const element of root.querySelectorAll('*')) {
+      if (element.shadowRoot) {
+        search(element.shadowRoot);
+      }
+    }
+  };
+  search(document);
+  return found;
+}
+
 /**
  * Find video element on page
+ * Searches every frame (top document first) and pierces open shadow roots
  * @param {Page} page - Puppeteer page instance
  * @param {string} selector - Video element selector
  * @param {number} timeout - Timeout in milliseconds
- * @returns {Promise<ElementHandle>}
+ * @returns {Promise<ElementHandle>} Handle to the element; `handle.frame` is the frame it lives in
  */
 export async function findVideoElement(page, selector = 'video', timeout = 30000) {
   log(`Looking for video element: ${selector}`);
+  const deadline = Date.now() + timeout;
 
-  try {
-    await page.waitForSelector(selector, { timeout });
-    log(`Video element found: ${selector}`);
+  for (;;) {
+    for (const frame of page.frames()) {
+      let found;
+      try {
+        found = await frame.evaluateHandle(deepQuerySelector, selector);
+      } catch (err) {
+        if (/is not a valid selector/.test(err.message)) {
+          throw new JobError(`Video element not found: ${err.message}`, 'no-video');
+        }
+        // Frame detached or navigating; the next pass sees its replacement
+        continue;
+      }
 
-    const videoElement = await page.$(selector);
-    return videoElement;
-  } catch (err) {
-    throw new Error(`Video element not found within ${timeout}ms: ${selector}\n${err.message}`);
+      const element = found.asElement();
+      if (element) {
+        log(`Video element found: ${selector}${frame === page.mainFrame() ? '' : ` (in iframe ${frame.url()})`}`);
+        return element;
+      }
+      await found.dispose();
+    }
+
+    if (Date.now() >= deadline) {
+      throw new JobError(`Video element not found within ${timeout}ms: ${selector}`, 'no-video');
+    }
+    await sleep(250);
   }
 }
 
 /**
- * Get video metadata
+ * Find every matching video element on the page
+ * Waits (like findVideoElement()) for the first one, then collects all matches from every
+ * frame and open shadow root, top document first
  * @param {Page} page - Puppeteer page instance
  * @param {string} selector - Video element selector
+ * @param {number} timeout - Time to wait for the first match (ms)
+ * @returns {Promise<ElementHandle[]>}
+ */
+export async function findAllVideos(page, selector = 'video', timeout = 30000) {
+  await (await findVideoElement(page, selector, timeout)).dispose();
+
+  const videos = [];
+  for (const frame of page.frames()) {
+    let list;
+    try {
+      list = await frame.evaluateHandle(deepQuerySelectorAll, selector);
+    } catch {
+      continue;
+    }
+    for (const property of (await list.getProperties()).values()) {
+      const element = property.asElement();
+      if (element) {
+        videos.push(element);
+      } else {
+        await property.dispose();
+      }
+    }
+    await list.dispose();
+  }
+
+  log(`Found ${videos.length} video element(s): ${selector}`);
+  return videos;
+}
+
+/**
+ * Describe a video for choosing what to record
+ * @param {ElementHandle} element - Video element
+ * @returns {Promise<{duration: number|null, width: number, height: number, visible: boolean, src: string, title: string}>}
+ *   duration is null until the element has loaded metadata (or for live streams)
+ */
+export async function describeVideoElement(element) {
+  return element.evaluate((video) => {
+    const rect = video.getBoundingClientRect();
+    const shown = typeof video.checkVisibility === 'function'
+      ? video.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true })
+      : true;
+    return {
+      duration: video.duration > 0 && isFinite(video.duration) ? video.duration : null,
+      width: video.videoWidth,
+      height: video.videoHeight,
+      // Off-screen counts as visible: it is scrolled into view before recording
+      visible: shown && rect.width >= 2 && rect.height >= 2,
+      src: video.currentSrc || video.src || '',
+      title: video.title || video.getAttribute('aria-label') || ''
+    };
+  });
+}
+
+/**
+ * Pause every <video> and <audio> in every frame, so only the next video is heard
+ * @param {Page} page - Puppeteer page instance
+ * @returns {Promise<void>}
+ */
+export async function pauseAllMedia(page) {
+  for (const frame of page.frames()) {
+    try {
+      const list = await frame.evaluateHandle(deepQuerySelectorAll, 'video, audio');
+      await list.evaluate((media) => media.forEach(element => element.pause()));
+      await list.dispose();
+    } catch {
+      // Frame detached; nothing left playing in it
+    }
+  }
+}
+
+/**
+ * Mark the iframe (in the top document) that a frame is embedded through
+ * @param {Page} page - Puppeteer page instance
+ * @param {Frame} frame - Child frame, possibly nested
+ * @returns {Promise<string>} Top-document selector for the iframe
+ */
+export async function markEmbed(page, frame) {
+  let embed = frame;
+  while (embed.parentFrame() !== page.mainFrame()) {
+    embed = embed.parentFrame();
+  }
+  const iframe = await embed.frameElement();
+  await iframe.evaluate((el, attribute) => {
+    document.querySelectorAll(`[${attribute}]`).forEach(marked => marked.removeAttribute(attribute));
+    el.setAttribute(attribute, '');
+  }, PLAYER_ATTRIBUTE);
+  await iframe.dispose();
+  return `[${PLAYER_ATTRIBUTE}]`;
+}
+
+/**
+ * Work out how the functions below should address a video found by findVideoElement()
+ * A video in the top document's light DOM keeps its selector, re-queried on each use as before;
+ * one in an iframe or a shadow root (or any video, without a selector) is addressed by its
+ * handle, evaluated in its own frame
+ * @param {Page} page - Puppeteer page instance
+ * @param {ElementHandle} element - Handle from findVideoElement() or findAllVideos()
+ * @param {string|null} selector - Selector it was found with; null when it isn't the first match
+ * @returns {Promise<{frame: Page|Frame, selector: string|ElementHandle, container: string|null, frameUrl: string|null, shadowRoot: boolean}>}
+ *   `container` is a top-document selector to fullscreen instead of the video (its iframe or shadow host)
+ */
+export async function videoTarget(page, element, selector) {
+  const frame = element.frame;
+  const top = frame === page.mainFrame();
+  const shadowRoot = await element.evaluate((el) => el.getRootNode() !== document);
+
+  let container = null;
+  if (!top) {
+    container = await markEmbed(page, frame);
+  } else if (shadowRoot || !selector) {
+    // The top document only sees the outermost shadow host (document.fullscreenElement is retargeted to it)
+    await element.evaluate((el, attribute) => {
+      document.querySelectorAll(`[${attribute}]`).forEach(marked => marked.removeAttribute(attribute));
+      let node = el;
+      while (node.getRootNode() !== document) {
+        node = node.getRootNode().host;
+      }
+      node.setAttribute(attribute, '');
+    }, PLAYER_ATTRIBUTE);
+    container = `[${PLAYER_ATTRIBUTE}]`;
+  }
+
+  const bySelector = top && !shadowRoot && Boolean(selector);
+  if (shadowRoot) {
+    log('Video element is inside a shadow root');
+  } else if (bySelector) {
+    await element.dispose();
+  }
+
+  return {
+    frame: top ? page : frame,
+    selector: bySelector ? selector : element,
+    container,
+    frameUrl: top ? null : frame.url(),
+    shadowRoot
+  };
+}
+
+/**
+ * Get video metadata
+ * @param {Page|Frame} page - Puppeteer page instance, or the iframe holding the video
+ * @param {string|ElementHandle} selector - Video element selector, or the handle from findVideoElement()
  * @returns {Promise<Object>}
  */
 export async function getVideoMetadata(page, selector = 'video', { waitForMetadata = true, metadataTimeout = 30000 } = {}) {
@@ -203,9 +605,17 @@ export async function getVideoMetadata(page, selector = 'video', { waitForMetada
   // Wait for the video to have loaded metadata (readyState >= 1)
   if (waitForMetadata) {
     try {
+      // preload="none" videos (common in galleries) fetch nothing until played otherwise
+      await page.evaluate((sel) => {
+        const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
+        if (video && video.preload === 'none') {
+          video.preload = 'metadata';
+        }
+      }, selector);
+
       await page.waitForFunction(
         (sel) => {
-          const video = document.querySelector(sel);
+          const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
           return video && video.readyState >= 1 && video.duration > 0 && isFinite(video.duration);
         },
         { timeout: metadataTimeout },
@@ -219,7 +629,7 @@ export async function getVideoMetadata(page, selector = 'video', { waitForMetada
 
   try {
     const metadata = await page.evaluate((sel) => {
-      const video = document.querySelector(sel);
+      const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
       if (!video) {
         return null;
       }
@@ -232,56 +642,161 @@ export async function getVideoMetadata(page, selector = 'video', { waitForMetada
         readyState: video.readyState,
         videoWidth: video.videoWidth,
         videoHeight: video.videoHeight,
-        src: video.src || video.currentSrc
+        src: video.src || video.currentSrc,
+        rect: (({ x, y, width, height }) => ({ x, y, width, height }))(video.getBoundingClientRect())
       };
     }, selector);
 
     if (!metadata) {
-      throw new Error('Video element not found or inaccessible');
+      throw new JobError('Video element not found or inaccessible', 'no-video');
     }
 
     log(`Video metadata: duration=${metadata.duration}s, resolution=${metadata.videoWidth}x${metadata.videoHeight}`);
     return metadata;
   } catch (err) {
-    throw new Error(`Failed to get video metadata: ${err.message}`);
+    throw new JobError(`Failed to get video metadata: ${err.message}`, err instanceof JobError ? err.category : 'playback', { cause: err });
+  }
+}
+
+/**
+ * Top frame of a page, or of the page a frame belongs to
+ * @param {Page|Frame} target - Page, or frame holding the media element
+ * @returns {Frame}
+ */
+function mainFrameOf(target) {
+  return typeof target.mainFrame === 'function' ? target.mainFrame() : target.page().mainFrame();
+}
+
+/**
+ * Position of a frame's viewport within the top document, in CSS pixels (0,0 for a page)
+ * @param {Page|Frame} target - Page, or frame holding the media element
+ * @returns {Promise<{x: number, y: number}>}
+ */
+async function frameOffset(target) {
+  const offset = { x: 0, y: 0 };
+  for (let frame = target; typeof frame.parentFrame === 'function' && frame.parentFrame(); frame = frame.parentFrame()) {
+    const iframe = await frame.frameElement();
+    const { x, y } = await iframe.evaluate((el) => {
+      const rect = el.getBoundingClientRect();
+      return { x: rect.left + el.clientLeft, y: rect.top + el.clientTop };
+    });
+    await iframe.dispose();
+    offset.x += x;
+    offset.y += y;
+  }
+  return offset;
+}
+
+/**
+ * Measure the video element's on-screen rectangle in display pixels
+ * Waits until the rectangle is stable (fullscreen transitions and layout have settled),
+ * then maps it from CSS pixels to X display coordinates using the device pixel ratio
+ * @param {Page|Frame} page - Puppeteer page instance, or the iframe holding the video
+ * @param {string|ElementHandle} selector - Video element selector, or the handle from findVideoElement()
+ * @param {Object} options - Measurement options
+ * @param {number} options.settleTime - Time the rectangle must stay unchanged (ms)
+ * @param {number} options.timeout - Maximum time to wait for layout to settle (ms)
+ * @returns {Promise<{x: number, y: number, width: number, height: number, devicePixelRatio: number}>}
+ */
+export async function getVideoBounds(page, selector = 'video', { settleTime = 500, timeout = 10000 } = {}) {
+  const mainFrame = mainFrameOf(page);
+
+  const measure = async () => {
+    const rect = await page.evaluate((sel) => {
+      const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
+      if (!video) {
+        return null;
+      }
+      const { left, top, width, height } = video.getBoundingClientRect();
+      return { left, top, width, height };
+    }, selector);
+    if (!rect) {
+      return null;
+    }
+
+    // A video inside an iframe is positioned relative to the iframe
+    const offset = await frameOffset(page);
+    return mainFrame.evaluate((rect) => {
+      const dpr = window.devicePixelRatio || 1;
+      // Offset of the viewport within the screen (0 in kiosk/fullscreen, browser chrome otherwise)
+      const viewportLeft = window.screenX + (window.outerWidth - window.innerWidth) / 2;
+      const viewportTop = window.screenY + (window.outerHeight - window.innerHeight);
+      return {
+        x: (viewportLeft + rect.left) * dpr,
+        y: (viewportTop + rect.top) * dpr,
+        width: rect.width * dpr,
+        height: rect.height * dpr,
+        devicePixelRatio: dpr
+      };
+    }, { ...rect, left: rect.left + offset.x, top: rect.top + offset.y });
+  };
+
+  const deadline = Date.now() + timeout;
+  let bounds = await measure();
+  let stableSince = Date.now();
+
+  while (Date.now() < deadline) {
+    await sleep(100);
+    const next = await measure();
+    const changed = !bounds || !next ||
+      ['x', 'y', 'width', 'height'].some(key => Math.abs(next[key] - bounds[key]) >= 1);
+    bounds = next;
+    if (changed) {
+      stableSince = Date.now();
+    } else if (Date.now() - stableSince >= settleTime) {
+      break;
+    }
+  }
+
+  if (!bounds) {
+    throw new JobError(`Video element not found: ${describeVideo(selector)}`, 'no-video');
   }
+  if (bounds.width < 2 || bounds.height < 2) {
+    throw new JobError(`Video element has no visible size: ${describeVideo(selector)}`, 'playback');
+  }
+
+  log(`Video element bounds: ${Math.round(bounds.width)}x${Math.round(bounds.height)} at ${Math.round(bounds.x)},${Math.round(bounds.y)} (DPR ${bounds.devicePixelRatio})`);
+  return bounds;
 }
 
 /**
  * Play video element
- * @param {Page} page - Puppeteer page instance
- * @param {string} selector - Video element selector
+ * @param {Page|Frame} page - Puppeteer page instance, or the iframe holding the video
+ * @param {string|ElementHandle} selector - Video element selector, or the handle from findVideoElement()
  * @param {Object} options - Playback options
+ * @param {string|null} options.adapter - Start playback through this player adapter's API (see lib/players.js)
  * @returns {Promise<void>}
  */
 export async function playVideo(page, selector = 'video', options = {}) {
   const {
-    clickToPlay = true,
+    adapter = null,
     waitForPlay = true,
     maxAttempts = 3
   } = options;
+  // A player's own play() handles its overlays; clicking could toggle it straight back to paused
+  const clickToPlay = options.clickToPlay ?? !adapter;
 
-  log(`Attempting to play video: ${selector}`);
+  log(`Attempting to play video: ${describeVideo(selector)}${adapter ? ` (${adapter} player)` : ''}`);
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
       // Try clicking the video first (handles some video players)
       if (clickToPlay) {
         log(`Attempt ${attempt}: Clicking video element...`);
-        await page.click(selector);
+        await (typeof selector === 'string' ? page.click(selector) : selector.click());
         await sleep(500);
       }
 
       // Call play() method programmatically
-      log(`Attempt ${attempt}: Calling video.play()...`);
-      const playResult = await page.evaluate((sel) => {
-        const video = document.querySelector(sel);
+      log(`Attempt ${attempt}: Calling ${adapter ? `${adapter} play()` : 'video.play()'}...`);
+      const playResult = await page.evaluate((sel, adapter) => {
+        const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
         if (!video) {
           return { success: false, error: 'Video element not found' };
         }
 
         try {
-          const playPromise = video.play();
+          const playPromise = adapter ? window.__recorderPlayers[adapter].play() : video.play();
           if (playPromise !== undefined) {
             return playPromise
               .then(() => ({ success: true, paused: video.paused }))
@@ -291,7 +806,7 @@ export async function playVideo(page, selector = 'video', options = {}) {
         } catch (err) {
           return { success: false, error: err.message };
         }
-      }, selector);
+      }, selector, adapter);
 
       if (playResult.success) {
         log('Video playback started successfully');
@@ -301,7 +816,7 @@ export async function playVideo(page, selector = 'video', options = {}) {
           await sleep(1000);
 
           const isPlaying = await page.evaluate((sel) => {
-            const video = document.querySelector(sel);
+            const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
             return video && !video.paused && !video.ended && video.readyState > 2;
           }, selector);
 
@@ -326,14 +841,14 @@ export async function playVideo(page, selector = 'video', options = {}) {
       log(`Play attempt ${attempt} error: ${err.message}`);
 
       if (attempt === maxAttempts) {
-        throw new Error(`Failed to play video after ${maxAttempts} attempts: ${err.message}`);
+        throw new JobError(`Failed to play video after ${maxAttempts} attempts: ${err.message}`, 'playback');
       }
 
       await sleep(1000);
     }
   }
 
-  throw new Error(`Could not start video playback after ${maxAttempts} attempts`);
+  throw new JobError(`Could not start video playback after ${maxAttempts} attempts`, 'playback');
 }
 
 /**
@@ -414,8 +929,8 @@ export async function closeBrowser(browser) {
 
 /**
  * Wait for video to finish playing
- * @param {Page} page - Puppeteer page instance
- * @param {string} selector - Video element selector
+ * @param {Page|Frame} page - Puppeteer page instance, or the iframe holding the video
+ * @param {string|ElementHandle} selector - Video element selector, or the handle from findVideoElement()
  * @param {number} timeout - Maximum wait time in milliseconds
  * @returns {Promise<void>}
  */
@@ -425,7 +940,7 @@ export async function waitForVideoEnd(page, selector = 'video', timeout = 600000
   try {
     await page.waitForFunction(
       (sel) => {
-        const video = document.querySelector(sel);
+        const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
         return video && video.ended;
       },
       { timeout },
@@ -434,6 +949,147 @@ export async function waitForVideoEnd(page, selector = 'video', timeout = 600000
 
     log('Video playback finished');
   } catch (err) {
-    throw new Error(`Video did not finish within timeout: ${err.message}`);
+    throw new JobError(`Video did not finish within timeout: ${err.message}`, 'playback');
   }
 }
+
+/**
+ * Record the wall-clock times at which playback actually starts and ends
+ * Stored in the page as epoch milliseconds (comparable with Date.now() in Node)
+ * @param {Page|Frame} page - Puppeteer page instance, or the iframe holding the video
+ * @param {string|ElementHandle} selector - Video element selector, or the handle from findVideoElement()
+ * @returns {Promise<void>}
+ */
+export async function markPlaybackTimes(page, selector = 'video') {
+  await page.evaluate((sel) => {
+    const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
+    const now = () => performance.timeOrigin + performance.now();
+    window.__recorderPlayback = { playingAt: null, endedAt: null };
+    if (!video) {
+      return;
+    }
+    // The first 'playing' event is when frames actually start to advance
+    video.addEventListener('playing', () => {
+      if (window.__recorderPlayback.playingAt === null) {
+        window.__recorderPlayback.playingAt = now();
+      }
+    });
+    video.addEventListener('ended', () => {
+      if (window.__recorderPlayback.endedAt === null) {
+        window.__recorderPlayback.endedAt = now();
+      }
+    });
+  }, selector);
+}
+
+/**
+ * Read the playback times recorded by markPlaybackTimes()
+ * @param {Page|Frame} page - Puppeteer page instance, or the iframe holding the video
+ * @returns {Promise<{playingAt: number|null, endedAt: number|null}>}
+ */
+export async function getPlaybackTimes(page) {
+  return page.evaluate(() => window.__recorderPlayback || { playingAt: null, endedAt: null });
+}
+
+/**
+ * Watch playback events of a video element through an exposed binding
+ * Tracks `ended`, `waiting`/`stalled` and `timeupdate` so the caller can
+ * stop recording when the video actually ends and extend for buffering stalls
+ * With a player adapter, the end comes from the player's state instead of the element's
+ * `ended` event, which ads played through the same element also fire
+ * @param {Page|Frame} page - Puppeteer page instance, or the iframe holding the video
+ * @param {string|ElementHandle} selector - Video element selector, or the handle from findVideoElement()
+ * @param {Object} options
+ * @param {string|null} options.adapter - Player adapter (see lib/players.js)
+ * @returns {Promise<Object>} Watcher with `ended`, `endedAt`, `stalls` and `stalledMs()`
+ */
+export async function watchVideoPlayback(page, selector = 'video', { adapter = null } = {}) {
+  const watcher = {
+    ended: false,
+    endedAt: null,
+    currentTime: 0,
+    stalls: [],
+    stallStartedAt: null,
+
+    /**
+     * Total time spent stalled so far (including an ongoing stall)
+     * @returns {number} Milliseconds
+     */
+    stalledMs() {
+      const finished = this.stalls.reduce((sum, stall) => sum + (stall.end - stall.start), 0);
+      return finished + (this.stallStartedAt ? Date.now() - this.stallStartedAt : 0);
+    },
+
+    endStall(at) {
+      if (this.stallStartedAt) {
+        this.stalls.push({ start: this.stallStartedAt, end: at });
+        log(`Video resumed after ${((at - this.stallStartedAt) / 1000).toFixed(1)}s stall`);
+        this.stallStartedAt = null;
+      }
+    },
+
+    handle({ type, currentTime }) {
+      const at = Date.now();
+      switch (type) {
+        case 'waiting':
+        case 'stalled':
+          if (!this.stallStartedAt && !this.ended) {
+            this.stallStartedAt = at;
+            log(`Video ${type} at ${currentTime.toFixed(1)}s`);
+          }
+          break;
+        case 'playing':
+          this.endStall(at);
+          break;
+        case 'timeupdate':
+          if (currentTime > this.currentTime) {
+            this.endStall(at);
+          }
+          break;
+        case 'ended':
+          this.endStall(at);
+          if (!this.ended) {
+            this.ended = true;
+            this.endedAt = at;
+            log(`Video ended at ${currentTime.toFixed(1)}s`);
+          }
+          break;
+      }
+      this.currentTime = currentTime;
+    }
+  };
+
+  // Bindings are exposed on the page and reach every frame; each watcher gets its own
+  const owner = typeof page.page === 'function' ? page.page() : page;
+  const binding = `__recorderVideoEvent${++watchCount}`;
+  await owner.exposeFunction(binding, (event) => watcher.handle(event));
+
+  const attached = await page.evaluate((sel, adapter, binding) => {
+    const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
+    if (!video) {
+      return false;
+    }
+    const types = adapter ? ['waiting', 'stalled', 'playing', 'timeupdate'] : ['ended', 'waiting', 'stalled', 'playing', 'timeupdate'];
+    for (const type of types) {
+      video.addEventListener(type, () => {
+        window[binding]({ type, currentTime: video.currentTime });
+      });
+    }
+    if (adapter) {
+      const poll = setInterval(() => {
+        if (window.__recorderPlayers[adapter].ended()) {
+          clearInterval(poll);
+          window[binding]({ type: 'ended', currentTime: video.currentTime });
+        }
+      }, 250);
+    }
+    return true;
+  }, selector, adapter, binding);
+
+  if (!attached) {
+    throw new JobError(`Cannot watch playback, video element not found: ${describeVideo(selector)}`, 'no-video');
+  }
+
+  log('Watching video playback events');
+  return watcher;
+}
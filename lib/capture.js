@@ -0,0 +1,385 @@
+/**
+ * Capture stage of a recording job
+ * Starts ffmpeg on the job's display and sink, waits while the page plays, then stops and measures the capture
+ */
+
+import { sleep } from './cleanup.js';
+import { moveBrowserSinkInputs } from './audio.js';
+import { startRecording, stopRecording, trimInPlace } from './recorder.js';
+import { startScreencastRecording } from './screencast.js';
+import { forceTopRendition, warmUpRendition, getRenditionChanges } from './renditions.js';
+import { getPlaybackTimes } from './browser.js';
+
+/**
+ * Start ffmpeg on the display (x11grab samples it on a timer; screencast takes the compositor's frames)
+ * @param {Recorder} recorder - Recording job
+ * @param {Page} page - Page being recorded
+ * @param {Object} capture
+ * @param {string} capture.capturePath - File to capture to
+ * @param {Object} capture.captureProfile - Profile to capture with
+ * @param {boolean} capture.encodeStage - Whether the capture is encoded afterwards
+ * @param {Object|null} capture.crop - Region from cropRegion()
+ */
+export async function startCapture(recorder, page, { capturePath, captureProfile, encodeStage, crop }) {
+  const {
+    captureBackend,
+    resolution,
+    framerate,
+    quality,
+    preset,
+    audioBitrate,
+    trim,
+    cropScale,
+    cropLetterbox
+  } = recorder.options;
+
+  recorder.log(`Starting ffmpeg recording (${captureBackend})...`);
+  const start = captureBackend === 'screencast'
+    ? (options) => startScreencastRecording(page, options)
+    : startRecording;
+  recorder.ffmpegProcess = await start({
+    displayNumber: recorder.displayInfo.displayNumber,
+    audioSource: recorder.audioInfo.monitorName,
+    outputPath: capturePath,
+    resolution,
+    framerate,
+    format: captureProfile.name,
+    crf: quality,
+    preset,
+    audioBitrate,
+    // Frequent keyframes keep stream-copy trims close to the playback start
+    // (the encode stage trims frame-accurately, so it doesn't need them)
+    keyframeInterval: trim === 'copy' && !encodeStage ? 1 : null,
+    crop,
+    scale: crop ? cropScale : null,
+    letterbox: cropLetterbox
+  });
+  recorder.checkCancelled();
+}
+
+/**
+ * Route this browser's audio to its per-worker sink (parallel mode)
+ * Chromium only creates PulseAudio sink inputs once audio starts, so call this after play()
+ * @param {Recorder} recorder - Recording job
+ * @param {Object} options
+ * @param {boolean} options.background - Keep looking for sink inputs without waiting
+ */
+export async function routeAudio(recorder, { background = false } = {}) {
+  const { parallelMode, sinkName } = recorder.options;
+  if (!parallelMode || !recorder.browser.process()) {
+    return;
+  }
+  const browserPid = recorder.browser.process().pid;
+  recorder.log(`Browser PID: ${browserPid}, routing audio to ${sinkName}...`);
+  const routing = moveBrowserSinkInputs(sinkName, browserPid);
+  if (background) {
+    routing.catch(() => {});
+  } else {
+    await routing;
+  }
+}
+
+/**
+ * Force the top rendition of an adaptive stream and warm it up (muted, then rewound)
+ * Updates the metadata to the settled frame size; a video that isn't an adaptive stream,
+ * or a player that rejects the switch, is recorded as the page plays it
+ * @param {Recorder} recorder - Recording job
+ * @param {Object} media - From locateMedia() or videoTarget()
+ * @param {Object} metadata - Video metadata, updated in place
+ * @returns {Promise<Object|null>} { engine, quality, settled, width, height, warmUp } for the result
+ */
+export async function settleRendition(recorder, media, metadata) {
+  const { renditionTimeout } = recorder.options;
+  let forced;
+  let warmUp;
+  try {
+    forced = await forceTopRendition(media.frame, media.selector, recorder.renditionState);
+    if (!forced) {
+      return null;
+    }
+    warmUp = await warmUpRendition(media.frame, media.selector, {
+      height: forced.height,
+      timeout: renditionTimeout * 1000
+    });
+  } catch (err) {
+    recorder.checkCancelled();
+    recorder.log(`Warning: Could not force the top rendition: ${err.message}`);
+    return null;
+  }
+  recorder.checkCancelled();
+
+  if (warmUp.width) {
+    metadata.videoWidth = warmUp.width;
+    metadata.videoHeight = warmUp.height;
+  }
+  return {
+    engine: forced.engine,
+    quality: forced.quality,
+    settled: warmUp.settled,
+    width: warmUp.width,
+    height: warmUp.height,
+    warmUp: warmUp.seconds
+  };
+}
+
+/**
+ * Frame size changes of the video during capture, in seconds from ffmpeg's first frame
+ * @param {Recorder} recorder - Recording job
+ * @param {Object} media - From locateMedia() or videoTarget()
+ * @param {number} captureStartedAt - Epoch ms of ffmpeg's first frame
+ * @returns {Promise<{time: number, width: number, height: number}[]>}
+ */
+async function readRenditions(recorder, media, captureStartedAt) {
+  const changes = await getRenditionChanges(media.frame, media.selector);
+  const renditions = changes.map(({ at, width, height }) => ({
+    time: Math.max((at - captureStartedAt) / 1000, 0),
+    width,
+    height
+  }));
+  if (renditions.length > 1) {
+    recorder.log(`Rendition changed during capture: ${renditions.map(({ time, width, height }) => `${width}x${height} at ${time.toFixed(1)}s`).join(', ')}`);
+  }
+  return renditions;
+}
+
+/**
+ * Wait until the capture should stop: the video ended, the timeline finished, or the time is up
+ * @param {Recorder} recorder - Recording job
+ * @param {Object} capture
+ * @param {Object|null} capture.watcher - Playback watcher (endDetection video)
+ * @param {Object|null} capture.run - Timeline run state (page mode)
+ * @param {number|null} capture.totalTime - Capture length in seconds (duration + buffer)
+ * @param {number} capture.recordingStartedAt - Epoch ms at which ffmpeg started capturing
+ */
+export async function waitForEnd(recorder, { watcher = null, run = null, totalTime, recordingStartedAt }) {
+  if (watcher) {
+    await waitForPlaybackEnd(recorder, watcher, totalTime, recordingStartedAt);
+  } else if (run) {
+    await waitForTimeline(recorder, run, totalTime, recordingStartedAt);
+  } else {
+    await waitForDuration(recorder, totalTime);
+  }
+}
+
+/**
+ * Wait a fixed number of seconds, reporting progress every second
+ * @param {Recorder} recorder - Recording job
+ * @param {number} totalTime - Capture length in seconds (duration + buffer)
+ */
+async function waitForDuration(recorder, totalTime) {
+  for (let i = 1; i <= totalTime; i++) {
+    await sleep(1000);
+    recorder.checkCancelled();
+    const remaining = totalTime - i;
+    await recorder.reportProgress({ elapsed: i, total: totalTime, remaining });
+    if (i % 5 === 0 || remaining <= 5) {
+      recorder.log(`Recording... ${i}/${totalTime}s elapsed (${remaining}s remaining)`);
+    }
+  }
+  recorder.log('Recording duration completed');
+}
+
+/**
+ * Wait for the recording duration while a timeline runs
+ * Without a duration, stops `bufferTime` seconds after the last step; a failing step
+ * fails the recording, and a timeline still running at the deadline is stopped
+ * @param {Recorder} recorder - Recording job
+ * @param {Object} run - Timeline run state ({ steps, done, error, controller })
+ * @param {number|null} totalTime - Capture length in seconds (duration + buffer), if known
+ * @param {number} recordingStartedAt - Epoch ms at which ffmpeg started capturing
+ */
+async function waitForTimeline(recorder, run, totalTime, recordingStartedAt) {
+  const { bufferTime } = recorder.options;
+  let total = totalTime;
+  let finished = false;
+
+  for (;;) {
+    await sleep(1000);
+    recorder.checkCancelled();
+    if (run.error) {
+      throw run.error;
+    }
+
+    const elapsed = Math.floor((Date.now() - recordingStartedAt) / 1000);
+    if (run.done && !finished) {
+      finished = true;
+      if (total === null) {
+        total = elapsed + bufferTime;
+        recorder.log(`Timeline finished, stopping in ${bufferTime}s`);
+      } else {
+        recorder.log('Timeline finished');
+      }
+    }
+
+    const remaining = total === null ? null : Math.max(total - elapsed, 0);
+    await recorder.reportProgress({ elapsed, total, remaining });
+
+    if (remaining === 0) {
+      if (!run.done) {
+        recorder.log('Duration reached before the timeline finished, stopping it');
+        run.controller.abort();
+      }
+      return;
+    }
+    if (elapsed % 5 === 0 || (remaining !== null && remaining <= 5)) {
+      recorder.log(`Recording... ${elapsed}s elapsed${remaining === null ? ' (timeline running)' : ` (${remaining}s remaining)`}`);
+    }
+  }
+}
+
+/**
+ * Wait until the watched video ends, extending the deadline by time spent stalled
+ * Stops `endGrace` seconds after the `ended` event, or at the extended deadline
+ * @param {Recorder} recorder - Recording job
+ * @param {Object} watcher - Playback watcher from watchVideoPlayback()
+ * @param {number} totalTime - Expected capture length in seconds (duration + buffer)
+ * @param {number} recordingStartedAt - Epoch ms at which ffmpeg started capturing
+ */
+async function waitForPlaybackEnd(recorder, watcher, totalTime, recordingStartedAt) {
+  const { endGrace } = recorder.options;
+
+  for (;;) {
+    await sleep(1000);
+    recorder.checkCancelled();
+
+    if (watcher.ended) {
+      recorder.log(`Video ended, stopping in ${endGrace}s`);
+      await sleep(endGrace * 1000);
+      recorder.checkCancelled();
+      return;
+    }
+
+    const elapsed = Math.floor((Date.now() - recordingStartedAt) / 1000);
+    const stalled = Math.round(watcher.stalledMs() / 1000);
+    const total = totalTime + stalled;
+    const remaining = Math.max(total - elapsed, 0);
+    await recorder.reportProgress({ elapsed, total, remaining, stalled });
+
+    if (remaining === 0) {
+      // Close any ongoing stall so it is reported
+      watcher.endStall(Date.now());
+      recorder.log(`Deadline reached before video ended (${stalled}s stalled)`);
+      return;
+    }
+    if (elapsed % 5 === 0 || remaining <= 5) {
+      recorder.log(`Recording... ${elapsed}/${total}s elapsed (${remaining}s remaining, ${stalled}s stalled)`);
+    }
+  }
+}
+
+/**
+ * Stop the running capture and measure it, leaving the browser open
+ * The playback window and rendition changes are read from the page before ffmpeg stops;
+ * frame counts once it has exited. Offsets are in seconds from ffmpeg's first frame
+ * @param {Recorder} recorder - Recording job
+ * @param {Object} capture
+ * @param {Object|null} capture.media - Captured video (null in page mode)
+ * @param {Object|null} capture.watcher - Playback watcher (endDetection video)
+ * @param {number} capture.recordingStartedAt - Epoch ms at which ffmpeg started capturing
+ * @returns {Promise<{captureStartedAt: number, captureSeconds: number, frames: Object, renditions: Object[]|null, playback?: Object, stalls?: Object[]}>}
+ */
+export async function endCapture(recorder, { media, watcher, recordingStartedAt }) {
+  const capture = recorder.ffmpegProcess;
+  const captureStartedAt = capture.captureStartedAt || recordingStartedAt;
+  const { playingAt, endedAt } = media ? await getPlaybackTimes(media.frame) : {};
+  const renditions = media ? await readRenditions(recorder, media, captureStartedAt) : null;
+  const captureSeconds = (Date.now() - captureStartedAt) / 1000;
+  await stopCapture(recorder);
+
+  const captured = {
+    captureStartedAt,
+    captureSeconds,
+    renditions,
+    frames: capture.screencast
+      ? { backend: 'screencast', ...capture.screencast.stats }
+      : { backend: 'x11grab', ...capture.frameStats }
+  };
+
+  if (playingAt) {
+    captured.playback = {
+      start: Math.max((playingAt - captureStartedAt) / 1000, 0),
+      end: endedAt ? Math.min((endedAt - captureStartedAt) / 1000, captureSeconds) : null
+    };
+    const { start, end } = captured.playback;
+    recorder.log(`Playback window: ${start.toFixed(2)}s-${end === null ? 'end' : `${end.toFixed(2)}s`} of ${captureSeconds.toFixed(2)}s capture`);
+  }
+
+  if (watcher) {
+    // Stall intervals in seconds relative to the start of the recording
+    captured.stalls = watcher.stalls.map(({ start, end }) => ({
+      start: (start - recordingStartedAt) / 1000,
+      end: (end - recordingStartedAt) / 1000,
+      duration: (end - start) / 1000
+    }));
+  }
+
+  return captured;
+}
+
+/**
+ * Cut pre-roll (page before play) and post-roll (buffer after end) when trim is set
+ * A capture that is encoded afterwards is trimmed by the encode, so only its window is returned
+ * @param {Recorder} recorder - Recording job
+ * @param {Object} captured - From endCapture()
+ * @param {Object} target
+ * @param {string} target.path - The capture, when it is the deliverable itself
+ * @param {Object} target.captureProfile - Profile it was captured with
+ * @param {boolean} target.encodeStage - Whether it is encoded afterwards
+ * @param {Object} target.details - Where to report the kept master
+ * @param {string} target.name - What was captured, for the log
+ * @returns {Promise<{window: {start: number, end: number|null}|null, expectedDuration: number}>}
+ */
+export async function trimCapture(recorder, { playback, captureSeconds }, { path, captureProfile, encodeStage, details, name }) {
+  const { trim, quality, preset, audioBitrate, framerate, keepMaster } = recorder.options;
+  if (trim === 'none') {
+    return { window: null, expectedDuration: captureSeconds };
+  }
+  if (!playback) {
+    recorder.log(`Warning: Playback start of ${name} was not observed, leaving it untrimmed`);
+    return { window: null, expectedDuration: captureSeconds };
+  }
+
+  if (!encodeStage) {
+    const { masterPath } = await trimInPlace(path, {
+      start: playback.start,
+      end: playback.end,
+      mode: trim,
+      format: captureProfile.name,
+      crf: quality,
+      preset,
+      audioBitrate,
+      framerate,
+      keepMaster
+    });
+    if (masterPath) {
+      details.masterPath = masterPath;
+    }
+    return { window: playback, expectedDuration: (playback.end === null ? captureSeconds : playback.end) - playback.start };
+  }
+  return { window: playback, expectedDuration: captureSeconds };
+}
+
+/**
+ * Stop ffmpeg, leaving the browser open (for the next video with allVideos)
+ * @param {Recorder} recorder - Recording job
+ * @param {Object} options
+ * @param {boolean} options.emergency - Short grace period
+ * @param {Object} options.ffmpegProcess - Capture to stop (default: the running one, which is detached)
+ */
+export async function stopCapture(recorder, { emergency = false, ffmpegProcess = recorder.ffmpegProcess } = {}) {
+  if (ffmpegProcess === recorder.ffmpegProcess) {
+    recorder.ffmpegProcess = null;
+  }
+  if (!ffmpegProcess) {
+    return;
+  }
+  if (!emergency) recorder.log('Stopping recording...');
+  // Close the frame pipe first so ffmpeg finishes on its own (needs the browser still open)
+  try {
+    if (ffmpegProcess.screencast) {
+      await ffmpegProcess.screencast.stop(emergency ? 5000 : 15000);
+    }
+  } finally {
+    await stopRecording(ffmpegProcess, emergency ? 5000 : 15000);
+  }
+}
@@ -5,6 +5,7 @@
 
 import { spawn } from 'child_process';
 import { log, sleep } from './cleanup.js';
+import { JobError } from './errors.js';
 
 /**
  * Check if Xvfb is available
@@ -43,7 +44,7 @@ export async function findAvailableDisplay(startDisplay = 99, maxAttempts = 10)
     }
   }
 
-  throw new Error(`Could not find available display after ${maxAttempts} attempts`);
+  throw new JobError(`Could not find available display after ${maxAttempts} attempts`, 'display');
 }
 
 /**
@@ -59,7 +60,7 @@ export async function startDisplay(displayNumber = 99, resolution = '1920x1080x2
   // Check if Xvfb is available
   const xvfbAvailable = await checkXvfbAvailable();
   if (!xvfbAvailable) {
-    throw new Error('Xvfb is not installed. Install with: apt-get install xvfb');
+    throw new JobError('Xvfb is not installed. Install with: apt-get install xvfb', 'environment');
   }
 
   // Check if display is already in use
@@ -69,7 +70,7 @@ export async function startDisplay(displayNumber = 99, resolution = '1920x1080x2
       log(`Display :${displayNumber} is in use, finding alternative...`);
       displayNumber = await findAvailableDisplay(displayNumber + 1);
     } else {
-      throw new Error(`Display :${displayNumber} is already in use`);
+      throw new JobError(`Display :${displayNumber} is already in use`, 'display');
     }
   }
 
@@ -112,7 +113,7 @@ export async function startDisplay(displayNumber = 99, resolution = '1920x1080x2
     xvfbProcess.on('exit', (code, signal) => {
       cleanup();
       if (code !== 0 && code !== null) {
-        const error = new Error(`Xvfb exited with code ${code}\nStderr: ${errorOutput}`);
+        const error = new JobError(`Xvfb exited with code ${code}\nStderr: ${errorOutput}`, 'display');
         reject(error);
       }
     });
@@ -121,7 +122,7 @@ export async function startDisplay(displayNumber = 99, resolution = '1920x1080x2
     startupTimeout = setTimeout(() => {
       cleanup();
       xvfbProcess.kill('SIGTERM');
-      reject(new Error(`Xvfb startup timeout after 10 seconds\nStderr: ${errorOutput}`));
+      reject(new JobError(`Xvfb startup timeout after 10 seconds\nStderr: ${errorOutput}`, 'display'));
     }, 10000);
 
     // Poll for display availability
@@ -211,7 +212,7 @@ export async function getDisplayResolution(displayNumber) {
 
     xdpyinfo.on('exit', (code) => {
       if (code !== 0) {
-        reject(new Error(`xdpyinfo failed with code ${code}`));
+        reject(new JobError(`xdpyinfo failed with code ${code}`, 'display'));
         return;
       }
 
@@ -223,7 +224,7 @@ export async function getDisplayResolution(displayNumber) {
           height: parseInt(match[2], 10)
         });
       } else {
-        reject(new Error('Could not parse display resolution'));
+        reject(new JobError('Could not parse display resolution', 'display'));
       }
     });
   });
@@ -0,0 +1,261 @@
+/**
+ * Direct stream download (--strategy fetch)
+ * When the page plays a plain file or an HLS stream, the source is downloaded with the
+ * page's cookies, user agent and referer and copied into the output container, instead
+ * of being captured off the screen. MediaSource (blob:) URLs and DRM-protected media
+ * can't be fetched; those are reported so the recording falls back to screen capture
+ */
+
+import { unlinkSync } from 'fs';
+import { log } from './cleanup.js';
+import { getProfile } from './profiles.js';
+import { downloadStream, encodeRecording, remuxRecording } from './recorder.js';
+import { bestVariant, hlsVariants } from './renditions.js';
+import { probeFile } from './validate.js';
+
+/**
+ * Key methods a download can decrypt (ffmpeg's HLS demuxer handles AES-128 itself)
+ */
+const CLEAR_KEY_METHODS = ['NONE', 'AES-128'];
+
+/**
+ * Read the video's source URL and whether it is encrypted
+ * @param {Frame} frame - Frame containing the video
+ * @param {string|ElementHandle} selector - Video selector, or a handle for a nested video
+ * @returns {Promise<{url: string, type?: string, reason?: string}>}
+ *   `type` is 'progressive' or 'hls' for a fetchable source; otherwise `reason` says why not
+ */
+async function inspectElement(frame, selector) {
+  return frame.evaluate((sel) => {
+    const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
+    const url = video.currentSrc || video.src || '';
+    if (video.mediaKeys) {
+      return { url, reason: 'the video is DRM-protected (Encrypted Media Extensions)' };
+    }
+    if (!url) {
+      return { url, reason: 'the video has no source URL' };
+    }
+    if (url.startsWith('blob:')) {
+      return { url, reason: 'the video plays from a MediaSource (blob:) URL' };
+    }
+    if (!/^https?:/i.test(url)) {
+      return { url, reason: `${url.split(':')[0]}: sources can't be downloaded` };
+    }
+    return { url, type: /\.m3u8($|[?#])/i.test(url) ? 'hls' : 'progressive' };
+  }, selector);
+}
+
+/**
+ * Fetch a text file from inside the page, so it is sent with the page's cookies
+ * (the browser runs with web security off, so cross-origin playlists can be read)
+ * @param {Frame} frame - Frame to fetch from
+ * @param {string} url - URL to fetch
+ * @returns {Promise<string>}
+ */
+async function fetchText(frame, url) {
+  return frame.evaluate(async (target) => {
+    const response = await fetch(target, { credentials: 'include' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${target}`);
+    }
+    return response.text();
+  }, url);
+}
+
+/**
+ * Find a key method the download can't decrypt (SAMPLE-AES, FairPlay, Widevine...)
+ * @param {string} playlist - Playlist text
+ * @returns {string|null} The first such method, or null if every segment is clear or AES-128
+ */
+function protectedKeyMethod(playlist) {
+  for (const line of playlist.split(/\r?\n/)) {
+    if (!/^#EXT-X-(SESSION-)?KEY:/.test(line)) {
+      continue;
+    }
+    const method = (/METHOD=([^,\s]+)/.exec(line) || [])[1] || 'NONE';
+    const keyFormat = (/KEYFORMAT="([^"]*)"/.exec(line) || [])[1] || 'identity';
+    if (!CLEAR_KEY_METHODS.includes(method) || keyFormat !== 'identity') {
+      return keyFormat === 'identity' ? method : `${method} (${keyFormat})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * List the URLs a media playlist makes ffmpeg request: the first segment or key on each host
+ * Cookies are matched by domain and path, so one URL per host stands for the rest
+ * @param {string} playlist - Media playlist text
+ * @param {string} url - Playlist URL
+ * @returns {string[]}
+ */
+function playlistRequestUrls(playlist, url) {
+  const hosts = new Set();
+  const urls = [];
+  for (const line of playlist.split(/\r?\n/)) {
+    const uri = line.startsWith('#') ? (/URI="([^"]*)"/.exec(line) || [])[1] : line.trim();
+    if (!uri) {
+      continue;
+    }
+    let resolved;
+    try {
+      resolved = new URL(uri, url);
+    } catch {
+      continue;
+    }
+    if (!hosts.has(resolved.host)) {
+      hosts.add(resolved.host);
+      urls.push(resolved.href);
+    }
+  }
+  return urls;
+}
+
+/**
+ * Read an HLS stream's playlists and pick the variant to download
+ * @param {Frame} frame - Frame playing the stream
+ * @param {string} url - Master or media playlist URL
+ * @returns {Promise<{program: number|null, width: number|null, height: number|null, urls: string[], reason?: string}>}
+ *   `program` is the top variant's index in the master playlist (null for a media playlist);
+ *   `urls` are the playlists, segments and keys the download requests (see playlistRequestUrls())
+ */
+async function inspectHls(frame, url) {
+  const master = await fetchText(frame, url);
+  if (!master.trimStart().startsWith('#EXTM3U')) {
+    return { program: null, width: null, height: null, reason: 'the .m3u8 source is not an HLS playlist' };
+  }
+
+  const variants = hlsVariants(master);
+  let top = null;
+  let media = master;
+  let mediaUrl = url;
+  if (variants.length > 0) {
+    top = bestVariant(variants);
+    const lines = master.split(/\r?\n/);
+    mediaUrl = new URL(lines[top.uri].trim(), url).href;
+    media = await fetchText(frame, mediaUrl);
+  }
+
+  const variant = {
+    program: top ? variants.indexOf(top) : null,
+    width: top ? top.width : null,
+    height: top ? top.height : null,
+    urls: [...new Set([url, mediaUrl, ...playlistRequestUrls(media, mediaUrl)])]
+  };
+  const method = protectedKeyMethod(`${master}\n${media}`);
+  if (method) {
+    return { ...variant, reason: `the HLS stream is encrypted with ${method}` };
+  }
+  return variant;
+}
+
+/**
+ * Decide whether the video's source can be downloaded directly
+ * @param {Object} media - Video location from locateMedia() ({ frame, selector })
+ * @returns {Promise<{url: string, type?: string, variant?: Object, urls?: string[], reason?: string}>}
+ *   A source to pass to downloadSource(), or `reason` when it must be screen-captured;
+ *   `urls` are the URLs the download requests, for pageSession()
+ */
+export async function inspectSource(media) {
+  const source = await inspectElement(media.frame, media.selector);
+  if (source.reason) {
+    return source;
+  }
+  if (source.type !== 'hls') {
+    return { ...source, urls: [source.url] };
+  }
+  const { reason, urls, ...variant } = await inspectHls(media.frame, source.url);
+  return reason ? { url: source.url, reason } : { ...source, variant, urls };
+}
+
+/**
+ * Collect what the browser would send with the video's requests
+ * Only the cookies the browser would send to the source's URLs are exported. ffmpeg takes
+ * them in Set-Cookie form and picks the ones whose domain and path match each request, so
+ * cookies for a separate segment host are sent there too, and `secure` ones only over https
+ * @param {Page} page - Puppeteer page
+ * @param {Object} media - Video location ({ frameUrl })
+ * @param {Object} source - Source from inspectSource() ({ url, urls })
+ * @param {Object|null} auth - Session from loadAuth() (extra headers, HTTP credentials)
+ * @returns {Promise<{userAgent: string, referer: string, cookies: string[], headers: Object}>}
+ */
+export async function pageSession(page, media, source, auth = null) {
+  const client = await page.createCDPSession();
+  let cookies;
+  try {
+    ({ cookies } = await client.send('Network.getCookies', { urls: source.urls }));
+  } finally {
+    await client.detach().catch(() => {});
+  }
+
+  const headers = { ...(auth && auth.headers) };
+  // Credentials only go to the origin they were given for, never to a CDN
+  if (auth && auth.credentials && new URL(source.url).origin === new URL(page.url()).origin) {
+    const { username, password } = auth.credentials;
+    headers.Authorization = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+
+  return {
+    userAgent: await page.browser().userAgent(),
+    referer: media.frameUrl || page.url(),
+    cookies: cookies.map(({ name, value, domain, path, secure }) => `${name}=${value}; domain=${domain}; path=${path}${secure ? '; secure' : ''}`),
+    headers
+  };
+}
+
+/**
+ * Download a source and write it with the output profile
+ * The streams are copied when they already use the profile's codecs and re-encoded
+ * otherwise (always for GIF/WebP, whose codecs no web source uses)
+ * @param {Object} source - Source from inspectSource()
+ * @param {string} outputPath - Deliverable path
+ * @param {Object} options
+ * @param {string} options.format - Output profile name
+ * @param {Object} options.session - Request session from pageSession()
+ * @param {number|null} options.duration - Seconds to keep (null: the whole source)
+ * @param {number} options.crf - Video quality when re-encoding
+ * @param {string} options.preset - x264/x265 preset when re-encoding
+ * @param {string} options.audioBitrate - Audio bitrate when re-encoding
+ * @param {number} options.framerate - Framerate when re-encoding
+ * @param {AbortSignal} options.signal - Kills ffmpeg when aborted
+ * @returns {Promise<{remux: string, codecs: {video: string|null, audio: string|null}}>}
+ *   `remux` is 'copy' or 'encode'
+ */
+export async function downloadSource(source, outputPath, options) {
+  const { format, session, duration = null, crf, preset, audioBitrate, framerate, signal } = options;
+  const profile = getProfile(format);
+  // Matroska takes any codec a web source uses, so the download never fails on the container
+  const downloadPath = `${outputPath}.download.mkv`;
+
+  try {
+    await downloadStream(source.url, downloadPath, {
+      session,
+      program: source.variant ? source.variant.program : null,
+      duration,
+      signal
+    });
+
+    const { streams } = await probeFile(downloadPath);
+    const video = streams.find(stream => stream.type === 'video');
+    const audio = streams.find(stream => stream.type === 'audio');
+    const codecs = { video: video ? video.codec : null, audio: audio ? audio.codec : null };
+    if (!video) {
+      throw new Error('the download has no video stream');
+    }
+
+    const copy = codecs.video === profile.codecs.video &&
+      (!audio || codecs.audio === profile.codecs.audio);
+    log(`Downloaded ${codecs.video}${audio ? `/${codecs.audio}` : ''}; ${copy ? 'copying' : 'encoding'} into ${profile.name}`);
+    if (copy) {
+      await remuxRecording(downloadPath, outputPath, { format: profile.name, signal });
+    } else {
+      await encodeRecording(downloadPath, outputPath, { format: profile.name, crf, preset, audioBitrate, framerate, signal });
+    }
+    return { remux: copy ? 'copy' : 'encode', codecs };
+  } finally {
+    try {
+      unlinkSync(downloadPath);
+    } catch {
+      // ffmpeg failed before creating it
+    }
+  }
+}
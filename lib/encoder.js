@@ -0,0 +1,86 @@
+/**
+ * Offline encode worker pool
+ * Runs the second stage of two-stage capture (intermediate -> deliverable) with
+ * bounded concurrency and lowered CPU priority, so encodes don't starve live captures
+ */
+
+import { log } from './cleanup.js';
+import { encodeRecording } from './recorder.js';
+
+/**
+ * Niceness for offline encodes; live ffmpeg captures keep the default (0)
+ */
+export const ENCODE_PRIORITY = 10;
+
+/**
+ * Queue of encodes shared by every job in a batch (or server)
+ *
+ * @example
+ * const pool = new EncodePool({ concurrency: 1 });
+ * await pool.encode('out.capture.mkv', 'out.mp4', { format: 'mp4-h264', crf: 18, preset: 'slow' });
+ */
+export class EncodePool {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Maximum simultaneous encodes (default: 1)
+   * @param {number} options.priority - Niceness for encode processes (default: ENCODE_PRIORITY)
+   */
+  constructor({ concurrency = 1, priority = ENCODE_PRIORITY } = {}) {
+    this.concurrency = Math.max(concurrency, 1);
+    this.priority = priority;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Queue an encode and wait for it to finish
+   * An aborted `signal` drops a queued encode or kills a running one
+   * @param {string} inputPath - Intermediate recording
+   * @param {string} outputPath - Deliverable path
+   * @param {Object} options - encodeRecording options (format, crf, preset, start, end, signal, ...)
+   * @returns {Promise<void>}
+   */
+  encode(inputPath, outputPath, options) {
+    return new Promise((resolve, reject) => {
+      const task = { inputPath, outputPath, options, resolve, reject };
+      const { signal } = options;
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(new Error('Encode aborted'));
+          return;
+        }
+        signal.addEventListener('abort', () => {
+          const index = this.queue.indexOf(task);
+          if (index !== -1) {
+            this.queue.splice(index, 1);
+            reject(new Error('Encode aborted'));
+          }
+        }, { once: true });
+      }
+
+      this.queue.push(task);
+      if (this.active >= this.concurrency) {
+        log(`Encode queued: ${outputPath} (${this.queue.length} waiting, ${this.active} running)`);
+      }
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Start queued encodes while there is capacity
+   */
+  dispatch() {
+    while (this.active < this.concurrency && this.queue.length > 0) {
+      const { inputPath, outputPath, options, resolve, reject } = this.queue.shift();
+      this.active++;
+
+      encodeRecording(inputPath, outputPath, { priority: this.priority, ...options })
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.dispatch();
+        });
+    }
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Recording errors
+ * Errors that fail a job carry a failure category where they are thrown; the category
+ * decides whether a batch retries the job (see lib/retry.js)
+ */
+
+/**
+ * Failure categories and whether a retry can fix them
+ * Permanent failures are caused by the page or the job itself and will fail again;
+ * retryable failures come from the recording infrastructure (display, audio, ffmpeg, browser)
+ */
+export const FAILURE_CATEGORIES = Object.freeze({
+  // Job / environment problems that a retry cannot fix
+  cancelled: false,
+  environment: false,
+  'invalid-job': false,
+
+  // lib/encoder.js — the capture slot is released before encoding; a retry would record again
+  // on a display/sink that another job may be using by now
+  encode: false,
+
+  // lib/browser.js — content errors
+  'invalid-url': false,
+  'no-video': false,
+  'no-duration': false,
+
+  // lib/timeline.js — a step's selector may simply not have rendered yet
+  timeline: true,
+
+  // lib/hooks.js — user code against a live page; treated like other page interaction
+  hook: true,
+
+  // lib/hooks.js, lib/timeline.js — a bug in a hook or an invalid selector fails every attempt
+  script: false,
+
+  // Puppeteer timeouts (waitForSelector, waitForFunction) — the page was slow this time
+  timeout: true,
+
+  // lib/browser.js — infrastructure errors
+  navigation: true,
+  browser: true,
+  playback: true,
+
+  // lib/validate.js — silent audio or a black/frozen capture is usually an infrastructure hiccup
+  validation: true,
+
+  // lib/recorder.js, lib/display.js, lib/audio.js
+  ffmpeg: true,
+  display: true,
+  audio: true
+});
+
+/**
+ * An error that fails a recording job, with its failure category
+ *
+ * @example
+ * throw new JobError(`Invalid trim mode: ${trim}`, 'invalid-job');
+ */
+export class JobError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} category - One of FAILURE_CATEGORIES
+   * @param {Object} options - Error options ({ cause })
+   */
+  constructor(message, category, options) {
+    super(message, options);
+    this.name = 'JobError';
+    this.category = category;
+    this.retryable = FAILURE_CATEGORIES[category] === true;
+  }
+}
+
+/**
+ * Puppeteer errors by name (they escape from any page call, so they are matched by name)
+ */
+const PUPPETEER_CATEGORIES = {
+  ProtocolError: 'browser',
+  TargetCloseError: 'browser',
+  TimeoutError: 'timeout'
+};
+
+/**
+ * Errors that mean the script itself is wrong; page-side errors keep their name,
+ * and an invalid selector is a SyntaxError
+ */
+const SCRIPT_ERRORS = ['SyntaxError', 'TypeError', 'ReferenceError', 'RangeError'];
+
+/**
+ * Failure category of a Puppeteer error
+ * @param {Error|null} error
+ * @returns {string|null} Category, or null for other errors
+ */
+export function puppeteerCategory(error) {
+  return (error && PUPPETEER_CATEGORIES[error.name]) || null;
+}
+
+/**
+ * Failure category of an error thrown by user script run against the page (a hook or timeline step)
+ * Job and Puppeteer errors keep their category, script errors are permanent, anything else is `fallback`
+ * @param {Error} error - Error thrown by the hook or step
+ * @param {string} fallback - Category for other errors ('hook' or 'timeline')
+ * @returns {string}
+ */
+export function scriptFailureCategory(error, fallback) {
+  if (error instanceof JobError) {
+    return error.category;
+  }
+  if (error && SCRIPT_ERRORS.includes(error.name)) {
+    return 'script';
+  }
+  return puppeteerCategory(error) || fallback;
+}
@@ -0,0 +1,90 @@
+/**
+ * Fetch stage of a recording job (strategy fetch)
+ * Downloads the video's source instead of capturing it, falling back to capture when it can't
+ */
+
+import { inspectSource, pageSession, downloadSource } from './download.js';
+import { pauseAllMedia } from './browser.js';
+import { finish } from './finish.js';
+
+/**
+ * Fetch strategy: download the video's source instead of capturing the screen
+ * The page stays open (paused) until the download is written and validated, so a source
+ * that can't be fetched (MediaSource, DRM) or a failed download falls back to capture
+ * @param {Recorder} recorder - Recording job
+ * @param {Page} page - Loaded page
+ * @param {Object} media - From locateMedia()
+ * @param {Object} plan
+ * @param {Object} plan.outputProfile - Resolved output profile
+ * @param {number} plan.duration - Seconds to record, from videoDuration()
+ * @returns {Promise<boolean>} Whether the output was written; false to capture instead
+ */
+export async function fetchSource(recorder, page, media, { outputProfile, duration }) {
+  const { outputPath, autoDetectDuration, quality, preset, audioBitrate, framerate } = recorder.options;
+  const fallBack = (reason) => {
+    recorder.details.fetchFallback = reason;
+    recorder.log(`Can't download the video directly (${reason}), falling back to screen capture`);
+    return false;
+  };
+
+  let source;
+  try {
+    source = await inspectSource(media);
+  } catch (err) {
+    recorder.checkCancelled();
+    return fallBack(`source inspection failed: ${err.message}`);
+  }
+  if (source.reason) {
+    return fallBack(source.reason);
+  }
+
+  // The whole source when its length is known; otherwise as long as a capture would run
+  const sourceDuration = recorder.metadata.duration;
+  const whole = autoDetectDuration && sourceDuration > 0 && isFinite(sourceDuration);
+
+  await pauseAllMedia(page);
+  const { variant } = source;
+
+  let download;
+  try {
+    // Reading the page's cookies can fail too (e.g. the page crashed); capture may still work
+    const session = await pageSession(page, media, source, recorder.auth);
+    recorder.log(`Downloading ${source.type} source${variant && variant.height ? ` (${variant.height}p variant)` : ''}: ${source.url}`);
+    recorder.emit('download-started', { outputPath, url: source.url, type: source.type });
+    download = await downloadSource(source, outputPath, {
+      format: outputProfile.name,
+      session,
+      duration: whole ? null : duration,
+      crf: quality,
+      preset,
+      audioBitrate,
+      framerate,
+      signal: recorder.abortController.signal
+    });
+    // A source without an audio track is downloaded as it is
+    await finish(recorder, {
+      capturePath: outputPath,
+      outputProfile,
+      encodeStage: false,
+      expectedDuration: whole ? sourceDuration : duration,
+      window: null,
+      requireAudio: outputProfile.audio && download.codecs.audio !== null
+    });
+  } catch (err) {
+    recorder.checkCancelled();
+    recorder.log(`Download failed: ${err.message}`);
+    return fallBack(`download failed: ${err.message.split('\n')[0]}`);
+  }
+
+  await recorder.teardown();
+  recorder.details.strategy = 'fetch';
+  recorder.details.source = {
+    url: source.url,
+    type: source.type,
+    ...(variant ? { variant } : {}),
+    remux: download.remux,
+    codecs: download.codecs
+  };
+  recorder.log(`Downloaded (${download.remux === 'copy' ? 'stream copy' : `encoded to ${outputProfile.name}`}): ${outputPath}`);
+  return true;
+}
@@ -0,0 +1,114 @@
+/**
+ * Finish stage of a recording job
+ * Validates the capture, then encodes the deliverable from it when it is a separate file
+ */
+
+import { renameSync, unlinkSync } from 'fs';
+import { extname } from 'path';
+import { EncodePool } from './encoder.js';
+import { validateRecording } from './validate.js';
+import { JobError } from './errors.js';
+
+/**
+ * Validate the capture, then encode the deliverable from it if it is a separate file
+ * A separate capture is validated before encoding, while a retry can still reuse this job's display and sink
+ * @param {Recorder} recorder - Recording job
+ * @param {Object} capture
+ * @param {string} capture.capturePath - Captured file
+ * @param {Object} capture.outputProfile - Resolved output profile
+ * @param {boolean} capture.encodeStage - Whether the capture still needs encoding to outputPath
+ * @param {number} capture.expectedDuration - Expected duration of the capture (after trimming)
+ * @param {{start: number, end: number|null}|null} capture.window - Playback window for the encode to keep
+ * @param {boolean} capture.requireAudio - Fail validation without an audio stream
+ * @param {Object} capture.checks - Validation thresholds for this kind of capture (the validation option still wins)
+ * @param {string} capture.outputPath - Deliverable (default: the outputPath option)
+ * @param {Object} capture.details - Where to report validation and the master (default: the result details)
+ */
+export async function finish(recorder, { capturePath, outputProfile, encodeStage, expectedDuration, window, requireAudio, checks = {}, outputPath = recorder.options.outputPath, details = recorder.details }) {
+  await check(recorder, { capturePath, expectedDuration, requireAudio, checks, outputPath, details });
+
+  // Encode the deliverable from the capture (trimmed to the playback window)
+  if (encodeStage) {
+    release(recorder, { capturePath });
+    await encode(recorder, capturePath, outputProfile, window, { outputPath, details });
+  }
+}
+
+/**
+ * Check the capture actually contains what we meant to record (unless validate is off)
+ * @param {Recorder} recorder - Recording job
+ * @param {Object} capture - See finish()
+ */
+export async function check(recorder, { capturePath, expectedDuration, requireAudio, checks = {}, outputPath = recorder.options.outputPath, details = recorder.details }) {
+  const { validate, validation } = recorder.options;
+  if (!validate) {
+    return;
+  }
+
+  const { passed, failures, reportPath } = await validateRecording(capturePath, {
+    expectedDuration,
+    requireAudio,
+    reportPath: `${outputPath}.report.json`,
+    ...checks,
+    ...validation
+  });
+  details.validation = { passed, failures, reportPath };
+  if (!passed) {
+    throw new JobError(`Output validation failed: ${failures.join('; ')}`, 'validation');
+  }
+}
+
+/**
+ * Report that only encoding is left, so the capture slot can be reused (onCaptured)
+ * Called once per job: after it, failures must not be retried (see encode())
+ * @param {Recorder} recorder - Recording job
+ * @param {Object} captured - { capturePath }, or { capturePaths } with allVideos
+ */
+export function release(recorder, captured) {
+  const { onCaptured } = recorder.options;
+  recorder.emit('captured', captured);
+  if (onCaptured) {
+    onCaptured(captured);
+  }
+}
+
+/**
+ * Encode the deliverable from a separate capture, then delete the capture
+ * (or keep it as the master when trimming with keepMaster)
+ * Failures here are reported as `Encode failed: ...` and are not retried, since
+ * the capture resources have already been released
+ * @param {Recorder} recorder - Recording job
+ * @param {string} capturePath - Captured intermediate
+ * @param {Object} outputProfile - Resolved output profile
+ * @param {{start: number, end: number|null}|null} window - Playback window to keep
+ * @param {Object} target - Deliverable path and result details (see finish())
+ */
+export async function encode(recorder, capturePath, outputProfile, window, { outputPath = recorder.options.outputPath, details = recorder.details } = {}) {
+  const { quality, preset, audioBitrate, framerate, keepMaster } = recorder.options;
+  const encodePool = recorder.options.encodePool || new EncodePool();
+
+  try {
+    await encodePool.encode(capturePath, outputPath, {
+      format: outputProfile.name,
+      crf: quality,
+      preset,
+      audioBitrate,
+      framerate,
+      start: window ? window.start : 0,
+      end: window ? window.end : null,
+      signal: recorder.abortController.signal
+    });
+  } catch (err) {
+    recorder.checkCancelled();
+    throw new JobError(`Encode failed: ${err.message}`, 'encode', { cause: err });
+  }
+
+  if (window && keepMaster) {
+    const masterPath = outputPath.replace(/(\.[^./]+)?$/, `.master${extname(capturePath)}`);
+    renameSync(capturePath, masterPath);
+    details.masterPath = masterPath;
+    recorder.log(`Untrimmed master kept at ${masterPath}`);
+  } else {
+    unlinkSync(capturePath);
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * User recording hooks
+ * Loads a module of optional async functions that run at fixed points of a recording
+ * (consent dialogs, logins, custom player settings, injected CSS)
+ */
+
+import { resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { JobError, scriptFailureCategory } from './errors.js';
+
+/**
+ * Hook points, in the order they run
+ * - beforeNavigate: page created, nothing loaded yet (metadata is null)
+ * - afterNavigate:  page loaded, before fullscreen and clicks (metadata is null)
+ * - beforePlay:     video found (metadata set, except in page mode), before ffmpeg starts
+ * - afterPlay:      video playing (or the timeline started) while ffmpeg captures;
+ *                   not run for virtual-time renders, which have no playback
+ * - onProgress:     about once a second of capture (or of rendered output), with `progress`
+ * - beforeStop:     capture finished, before ffmpeg stops and the browser closes
+ */
+export const HOOK_NAMES = ['beforeNavigate', 'afterNavigate', 'beforePlay', 'afterPlay', 'onProgress', 'beforeStop'];
+
+/**
+ * Check a hooks object: every hook it defines must be a function
+ * @param {Object} hooks - Hooks keyed by name
+ * @param {string} source - Where the hooks came from (for errors)
+ * @returns {Object} The hooks that are defined
+ */
+export function parseHooks(hooks, source = 'hooks') {
+  if (!hooks || typeof hooks !== 'object') {
+    throw new JobError(`Invalid hooks ${source}: expected an object of functions`, 'invalid-job');
+  }
+
+  const defined = {};
+  for (const name of HOOK_NAMES) {
+    if (hooks[name] === undefined) {
+      continue;
+    }
+    if (typeof hooks[name] !== 'function') {
+      throw new JobError(`Invalid hooks ${source}: ${name} must be a function`, 'invalid-job');
+    }
+    defined[name] = hooks[name];
+  }
+
+  if (Object.keys(defined).length === 0) {
+    throw new JobError(`Invalid hooks ${source}: no hooks exported (expected any of ${HOOK_NAMES.join(', ')})`, 'invalid-job');
+  }
+  return defined;
+}
+
+/**
+ * Load hooks from a JS module
+ * Hooks are named exports, or properties of the default export
+ * @param {string} filePath - Path to a .js or .mjs module
+ * @returns {Promise<Object>} Hooks keyed by name
+ */
+export async function loadHooks(filePath) {
+  let module;
+  try {
+    module = await import(pathToFileURL(resolve(filePath)).href);
+  } catch (err) {
+    throw new JobError(`Invalid hooks ${filePath}: ${err.message}`, 'invalid-job');
+  }
+
+  const exported = HOOK_NAMES.some(name => name in module) ? module : module.default;
+  return parseHooks(exported, filePath);
+}
+
+/**
+ * Run one hook if it is defined
+ * Errors are rethrown as `Hook <name> failed: ...`; a bug in the hook is not retried
+ * @param {Object|null} hooks - Hooks keyed by name
+ * @param {string} name - Hook name (see HOOK_NAMES)
+ * @param {Object} context - Hook argument ({ page, browser, metadata, log, options, progress?, video? })
+ */
+export async function runHook(hooks, name, context) {
+  if (!hooks || !hooks[name]) {
+    return;
+  }
+
+  try {
+    await hooks[name](context);
+  } catch (err) {
+    throw new JobError(`Hook ${name} failed: ${err && err.message ? err.message : err}`, scriptFailureCategory(err, 'hook'), { cause: err });
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Persistent batch job ledger
+ * Append-only JSON-lines file in the output directory recording each job's state,
+ * so an interrupted batch can be resumed without re-recording finished files
+ */
+
+import { createHash } from 'crypto';
+import { appendFileSync, createReadStream, existsSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { log } from './cleanup.js';
+
+export const LEDGER_FILENAME = '.batch-ledger.jsonl';
+
+/**
+ * Compute the SHA-256 checksum of a file
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+export function fileChecksum(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Files a successful job wrote: its output path, or with allVideos (and no playlist) one
+ * file per video plus the segment index, since outputPath itself is never written
+ * @param {Object} result - Recording result
+ * @param {string} outputPath - Job output path
+ * @returns {string[]}
+ */
+function jobOutputs(result, outputPath) {
+  const videos = Array.isArray(result.videos) ? result.videos.filter(video => video.outputPath) : [];
+  if (videos.length === 0) {
+    return [outputPath];
+  }
+  return [...videos.map(video => video.outputPath), ...(result.indexPath ? [result.indexPath] : [])];
+}
+
+/**
+ * Job ledger for one batch output directory
+ * Each line is a full snapshot of one job; the last line for a job wins
+ */
+export class JobLedger {
+  /**
+   * @param {string} outputDir - Batch output directory
+   * @param {Object} options
+   * @param {boolean} options.resume - Keep existing entries (otherwise the ledger starts empty)
+   */
+  constructor(outputDir, { resume = false } = {}) {
+    this.path = join(outputDir, LEDGER_FILENAME);
+    this.entries = new Map();
+
+    if (resume) {
+      this.load();
+    } else {
+      writeFileSync(this.path, '');
+    }
+  }
+
+  /**
+   * Replay the ledger file into memory
+   */
+  load() {
+    if (!existsSync(this.path)) {
+      log(`No ledger found at ${this.path}, starting a new one`);
+      return;
+    }
+
+    const lines = readFileSync(this.path, 'utf-8').split('\n');
+    for (const [i, line] of lines.entries()) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        this.entries.set(entry.outputPath, entry);
+      } catch {
+        // A crash mid-write can leave a truncated last line
+        log(`Warning: Skipping unreadable ledger line ${i + 1}`);
+      }
+    }
+
+    log(`Loaded ledger with ${this.entries.size} job(s): ${this.path}`);
+  }
+
+  /**
+   * Get the ledger entry for a job
+   * @param {string} outputPath - Job output path (the job key)
+   * @returns {Object|undefined}
+   */
+  get(outputPath) {
+    return this.entries.get(outputPath);
+  }
+
+  /**
+   * Merge an update into a job's entry and append it to the file
+   * @param {string} outputPath - Job output path (the job key)
+   * @param {Object} update - Fields to change (state, url, attempts, error, checksum, outputs)
+   * @returns {Object} The updated entry
+   */
+  update(outputPath, update) {
+    const entry = {
+      outputPath,
+      attempts: 0,
+      error: null,
+      checksum: null,
+      outputs: null,
+      ...this.entries.get(outputPath),
+      ...update,
+      updatedAt: new Date().toISOString()
+    };
+    this.entries.set(outputPath, entry);
+    // Synchronous append keeps lines whole even if the process dies right after
+    appendFileSync(this.path, JSON.stringify(entry) + '\n');
+    return entry;
+  }
+
+  /**
+   * Check whether a job finished in a previous run and its outputs are intact
+   * (every per-video file for a multi-video job, see jobOutputs())
+   * @param {string} outputPath - Job output path
+   * @returns {Promise<boolean>}
+   */
+  async isCompleted(outputPath) {
+    const entry = this.entries.get(outputPath);
+    if (!entry || entry.state !== 'completed') {
+      return false;
+    }
+    const outputs = entry.outputs || [{ path: outputPath, checksum: entry.checksum }];
+    for (const { path, checksum } of outputs) {
+      if (!existsSync(path)) {
+        log(`Ledger marks ${outputPath} completed but ${path} is missing, re-queueing`);
+        return false;
+      }
+      if (checksum && checksum !== await fileChecksum(path)) {
+        log(`Checksum mismatch for ${path}, re-queueing`);
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Mark every running job as interrupted (called on SIGINT/SIGTERM)
+   */
+  markInterrupted() {
+    for (const entry of this.entries.values()) {
+      if (entry.state === 'running') {
+        this.update(entry.outputPath, { state: 'interrupted' });
+      }
+    }
+  }
+
+  /**
+   * Wrap a batch recordFn so every attempt is recorded in the ledger
+   * @param {Function} recordFn - Recording function (options) => result
+   * @returns {Function} Wrapped recording function
+   */
+  track(recordFn) {
+    return async (options) => {
+      const { url, outputPath } = options;
+      const previous = this.entries.get(outputPath);
+
+      this.update(outputPath, {
+        url,
+        state: 'running',
+        attempts: (previous ? previous.attempts : 0) + 1,
+        error: null,
+        checksum: null,
+        outputs: null
+      });
+
+      const result = await recordFn(options);
+
+      if (result.success) {
+        const paths = jobOutputs(result, outputPath);
+        if (paths.length === 1 && paths[0] === outputPath) {
+          const checksum = existsSync(outputPath) ? await fileChecksum(outputPath) : null;
+          this.update(outputPath, { state: 'completed', checksum });
+          return { ...result, checksum };
+        }
+        const outputs = [];
+        for (const path of paths) {
+          outputs.push({ path, checksum: existsSync(path) ? await fileChecksum(path) : null });
+        }
+        this.update(outputPath, { state: 'completed', outputs });
+        return { ...result, outputs };
+      }
+
+      this.update(outputPath, { state: 'failed', error: result.error });
+      return result;
+    };
+  }
+}
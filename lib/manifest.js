@@ -0,0 +1,344 @@
+/**
+ * Batch manifest parsing
+ * Reads JSON/YAML/CSV manifests with shared defaults and per-entry overrides
+ */
+
+import { readFile } from 'fs/promises';
+import { existsSync } from 'fs';
+import { dirname, extname, isAbsolute, join, resolve } from 'path';
+import { parseDocument, LineCounter, isMap, isSeq } from 'yaml';
+import { log } from './cleanup.js';
+import { resolveOutputProfile } from './profiles.js';
+import { loadTimeline } from './timeline.js';
+import { loadHooks } from './hooks.js';
+import { loadRequestRules } from './rules.js';
+import { loadAuth } from './auth.js';
+import { resolveProfileDir } from './userdata.js';
+import { OPTION_FIELDS, checkOptionValue, checkOptionCombinations } from './options.js';
+
+export const MANIFEST_EXTENSIONS = ['.json', '.yaml', '.yml', '.csv'];
+
+/**
+ * Manifest field types: Recorder options plus `output` (filename within the batch output dir)
+ */
+export const MANIFEST_FIELDS = { ...OPTION_FIELDS, output: { type: 'string' } };
+
+/**
+ * Check whether a batch file should be parsed as a manifest
+ * @param {string} filePath - Batch file path
+ * @returns {boolean}
+ */
+export function isManifestFile(filePath) {
+  return MANIFEST_EXTENSIONS.includes(extname(filePath).toLowerCase());
+}
+
+/**
+ * Convert a CSV cell to the field's type; other formats are already typed
+ */
+function coerceCsvValue(value, spec) {
+  switch (spec.type) {
+    case 'number':
+      return value.trim() === '' || isNaN(Number(value)) ? value : Number(value);
+    case 'boolean':
+      if (/^(true|yes|1)$/i.test(value)) return true;
+      if (/^(false|no|0)$/i.test(value)) return false;
+      return value;
+    case 'string[]':
+      return value.split('|').map(v => v.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+/**
+ * Validate a single field value
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateField(key, value) {
+  const spec = MANIFEST_FIELDS[key];
+  if (!spec) {
+    return `unknown field "${key}"`;
+  }
+  return checkOptionValue(key, value, { spec });
+}
+
+/**
+ * Validate an options object
+ * @param {Object} entry - Raw entry
+ * @param {boolean} requireUrl - Entries need a URL; defaults don't
+ * @returns {string[]} Error messages
+ */
+function validateEntry(entry, requireUrl) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['entry must be an object'];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(entry)) {
+    const error = validateField(key, value);
+    if (error) {
+      errors.push(error);
+    }
+  }
+
+  if (requireUrl && entry.url === undefined) {
+    errors.push('"url" is required');
+  }
+  if (!requireUrl && (entry.url !== undefined || entry.output !== undefined)) {
+    errors.push('"url" and "output" cannot be set in defaults');
+  }
+  return errors;
+}
+
+/**
+ * Parse a JSON or YAML manifest
+ * Either a list of entries, or `{ defaults: {...}, jobs: [...] }`
+ * @returns {{defaults: Object, defaultsLine: number, entries: {value: Object, line: number}[]}}
+ */
+function parseStructuredManifest(content, filePath) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(content, { lineCounter });
+  const lineOf = (node) => (node && node.range ? lineCounter.linePos(node.range[0]).line : 0);
+
+  if (doc.errors.length > 0) {
+    const details = doc.errors.map(err => `  line ${err.linePos ? err.linePos[0].line : '?'}: ${err.message.split('\n')[0]}`);
+    throw new Error(`Could not parse manifest ${filePath}:\n${details.join('\n')}`);
+  }
+
+  let defaultsNode = null;
+  let jobsNode = doc.contents;
+
+  if (isMap(doc.contents)) {
+    const unknown = doc.contents.items
+      .map(pair => String(pair.key && pair.key.value))
+      .filter(key => key !== 'defaults' && key !== 'jobs');
+    if (unknown.length > 0) {
+      throw new Error(`Unknown top-level manifest key(s) in ${filePath}: ${unknown.join(', ')} (expected "defaults" and "jobs")`);
+    }
+    defaultsNode = doc.contents.get('defaults', true) || null;
+    jobsNode = doc.contents.get('jobs', true);
+  }
+
+  if (!isSeq(jobsNode)) {
+    throw new Error(`Manifest ${filePath} must be a list of jobs or an object with a "jobs" list`);
+  }
+
+  return {
+    defaults: defaultsNode ? defaultsNode.toJSON() : {},
+    defaultsLine: lineOf(defaultsNode),
+    entries: jobsNode.items.map(node => ({ value: node.toJSON(), line: lineOf(node) }))
+  };
+}
+
+/**
+ * Split one CSV line into cells (RFC 4180 quoting, no embedded newlines)
+ */
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Parse a CSV manifest
+ * The header row names the fields; a row whose url is `defaults` sets defaults.
+ * Empty cells fall back to the defaults; list fields separate items with `|`
+ * @returns {{defaults: Object, defaultsLine: number, entries: {value: Object, line: number}[]}}
+ */
+function parseCsvManifest(content, filePath) {
+  const rows = content
+    .split('\n')
+    .map((text, i) => ({ text: text.trim(), line: i + 1 }))
+    .filter(row => row.text.length > 0 && !row.text.startsWith('#'));
+
+  if (rows.length === 0) {
+    throw new Error(`Manifest ${filePath} is empty`);
+  }
+
+  const header = splitCsvLine(rows[0].text);
+  const unknown = header.filter(name => !MANIFEST_FIELDS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown CSV column(s) in ${filePath} (line ${rows[0].line}): ${unknown.join(', ')}`);
+  }
+  if (!header.includes('url')) {
+    throw new Error(`CSV manifest ${filePath} needs a "url" column`);
+  }
+
+  let defaults = {};
+  let defaultsLine = 0;
+  const entries = [];
+
+  for (const row of rows.slice(1)) {
+    const cells = splitCsvLine(row.text);
+    const value = {};
+    header.forEach((name, i) => {
+      if (cells[i] !== undefined && cells[i] !== '') {
+        value[name] = coerceCsvValue(cells[i], MANIFEST_FIELDS[name]);
+      }
+    });
+    if (cells.length > header.length) {
+      value.__extraCells = cells.length - header.length;
+    }
+
+    if (value.url === 'defaults') {
+      delete value.url;
+      defaults = value;
+      defaultsLine = row.line;
+    } else {
+      entries.push({ value, line: row.line });
+    }
+  }
+
+  return { defaults, defaultsLine, entries };
+}
+
+/**
+ * Read a batch manifest and return validated jobs
+ * Every bad entry is reported (with its line number) before anything is recorded
+ * @param {string} filePath - Path to a .json, .yaml/.yml or .csv manifest
+ * @param {string} outputDir - Batch output directory (relative `output` values resolve here)
+ * @param {Object} baseOptions - Recorder options the entries override (the CLI options)
+ * @returns {Promise<{url: string, outputPath?: string, options: Object, line: number}[]>}
+ */
+export async function readManifest(filePath, outputDir, baseOptions = {}) {
+  log(`Reading batch manifest: ${filePath}`);
+
+  if (!existsSync(filePath)) {
+    throw new Error(`Manifest file not found: ${filePath}`);
+  }
+
+  const content = await readFile(filePath, 'utf-8');
+  const { defaults, defaultsLine, entries } = extname(filePath).toLowerCase() === '.csv'
+    ? parseCsvManifest(content, filePath)
+    : parseStructuredManifest(content, filePath);
+
+  const problems = [];
+  for (const error of validateEntry(defaults, false)) {
+    problems.push(`  line ${defaultsLine} (defaults): ${error}`);
+  }
+
+  const jobs = [];
+  const outputs = new Map();
+
+  for (const [i, { value, line }] of entries.entries()) {
+    const errors = [];
+    if (value && value.__extraCells) {
+      errors.push(`${value.__extraCells} more cell(s) than header columns`);
+      delete value.__extraCells;
+    }
+    errors.push(...validateEntry(value, true));
+
+    // Option combinations (and profile/extension/quality) are only checkable once defaults are merged
+    if (errors.length === 0) {
+      const merged = { ...defaults, ...value };
+      errors.push(...checkOptionCombinations({ ...baseOptions, ...merged }));
+      try {
+        resolveOutputProfile(value.output || null, merged.profile, { quality: merged.quality });
+      } catch (err) {
+        errors.push(err.message);
+      }
+
+      // Timeline, hooks, request rules, cookie, storage state and user data dir paths are relative to the manifest
+      if (merged.timeline) {
+        try {
+          await loadTimeline(resolve(dirname(filePath), merged.timeline));
+        } catch (err) {
+          errors.push(err.message);
+        }
+      }
+      if (merged.hooks) {
+        try {
+          await loadHooks(resolve(dirname(filePath), merged.hooks));
+        } catch (err) {
+          errors.push(err.message);
+        }
+      }
+      if (merged.requestRules) {
+        try {
+          loadRequestRules(resolve(dirname(filePath), merged.requestRules));
+        } catch (err) {
+          errors.push(err.message);
+        }
+      }
+      try {
+        loadAuth({
+          cookies: merged.cookies ? resolve(dirname(filePath), merged.cookies) : null,
+          storageState: merged.storageState ? resolve(dirname(filePath), merged.storageState) : null,
+          headers: merged.headers,
+          httpAuth: merged.httpAuth
+        });
+      } catch (err) {
+        errors.push(err.message);
+      }
+      try {
+        resolveProfileDir(merged);
+      } catch (err) {
+        errors.push(err.message);
+      }
+    }
+
+    if (value && typeof value.output === 'string') {
+      const outputPath = isAbsolute(value.output) ? value.output : join(outputDir, value.output);
+      if (outputs.has(outputPath)) {
+        errors.push(`"output" ${value.output} is also used on line ${outputs.get(outputPath)}`);
+      } else {
+        outputs.set(outputPath, line);
+      }
+    }
+
+    if (errors.length > 0) {
+      for (const error of errors) {
+        problems.push(`  line ${line} (entry ${i + 1}): ${error}`);
+      }
+      continue;
+    }
+
+    const { url, output, ...overrides } = value;
+    const options = { ...defaults, ...overrides };
+    for (const key of ['timeline', 'hooks', 'requestRules', 'cookies', 'storageState', 'userDataDir']) {
+      if (options[key]) {
+        options[key] = resolve(dirname(filePath), options[key]);
+      }
+    }
+    jobs.push({
+      url,
+      outputPath: output ? (isAbsolute(output) ? output : join(outputDir, output)) : undefined,
+      options,
+      line
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid manifest ${filePath}:\n${problems.join('\n')}`);
+  }
+  if (jobs.length === 0) {
+    throw new Error(`No jobs found in manifest: ${filePath}`);
+  }
+
+  log(`Found ${jobs.length} job(s) in manifest`);
+  return jobs;
+}
@@ -0,0 +1,439 @@
+/**
+ * Network capture (--network-capture)
+ * Records the page's requests from CDP Network events, without intercepting them, and
+ * writes them as a HAR file and an inventory of the media the page loaded: manifests,
+ * segments and progressive files, with their sizes, statuses, timings and hosts
+ */
+
+import { writeFileSync } from 'fs';
+import { log } from './cleanup.js';
+import { hlsVariants } from './renditions.js';
+
+/**
+ * MIME types of HLS and DASH manifests
+ */
+const MANIFEST_TYPES = [
+  'application/vnd.apple.mpegurl',
+  'application/x-mpegurl',
+  'audio/mpegurl',
+  'audio/x-mpegurl',
+  'application/dash+xml'
+];
+
+/**
+ * Headers that carry credentials; the HAR keeps their names but not their values
+ */
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+/**
+ * MIME types only used for stream segments
+ */
+const SEGMENT_TYPES = ['video/mp2t', 'video/iso.segment', 'audio/iso.segment', 'audio/aac'];
+
+/**
+ * Classify a request as a media manifest, segment or progressive file
+ * Players on MediaSource fetch segments with XHR/fetch, while a <video src> loads a
+ * progressive file as a Media request, so MP4/WebM responses are told apart by who loaded them
+ * @param {Object} record - Request record
+ * @returns {'manifest'|'segment'|'progressive'|null} Null for non-media requests
+ */
+function mediaKind(record) {
+  const mimeType = record.response ? record.response.mimeType.toLowerCase() : '';
+  let path;
+  try {
+    path = new URL(record.url).pathname;
+  } catch {
+    return null;
+  }
+
+  if (MANIFEST_TYPES.includes(mimeType) || /\.(m3u8|mpd)$/i.test(path)) {
+    return 'manifest';
+  }
+  if (SEGMENT_TYPES.includes(mimeType) || /\.(ts|m4s|cmfv|cmfa|aac)$/i.test(path)) {
+    return 'segment';
+  }
+  if (/^(video|audio)\//.test(mimeType) || /\.(mp4|m4v|m4a|webm|mov|mkv|mp3|ogg|ogv)$/i.test(path)) {
+    return ['XHR', 'Fetch'].includes(record.resourceType) ? 'segment' : 'progressive';
+  }
+  return null;
+}
+
+/**
+ * Start recording a page's network requests
+ * Covers the page and its same-process iframes; requests made by workers are not seen.
+ * Manifest bodies are kept so their variants can be listed in the inventory
+ * @param {Page} page - Puppeteer page (before navigating)
+ * @returns {Promise<{stop: Function}>} stop() detaches and resolves with the request records
+ */
+export async function startNetworkCapture(page) {
+  const client = await page.createCDPSession();
+  const records = [];
+  const pending = new Map();
+  const bodies = [];
+
+  const finish = (record, timestamp) => {
+    record.endTimestamp = timestamp;
+    pending.delete(record.id);
+  };
+
+  client.on('Network.requestWillBeSent', ({ requestId, request, timestamp, wallTime, type, redirectResponse }) => {
+    // A redirect reuses the request id: the previous hop ends with the redirect response
+    const previous = pending.get(requestId);
+    if (previous && redirectResponse) {
+      previous.response = redirectResponse;
+      previous.encodedDataLength = redirectResponse.encodedDataLength || 0;
+      finish(previous, timestamp);
+    }
+
+    const record = {
+      id: requestId,
+      url: request.url,
+      method: request.method,
+      headers: request.headers,
+      postData: request.postData || null,
+      resourceType: type || 'Other',
+      wallTime,
+      timestamp,
+      endTimestamp: null,
+      response: null,
+      fromCache: false,
+      dataLength: 0,
+      encodedDataLength: 0,
+      error: null,
+      body: null
+    };
+    records.push(record);
+    pending.set(requestId, record);
+  });
+
+  client.on('Network.responseReceived', ({ requestId, response }) => {
+    const record = pending.get(requestId);
+    if (record) {
+      record.response = response;
+      record.fromCache = Boolean(response.fromDiskCache || response.fromServiceWorker || response.fromPrefetchCache);
+    }
+  });
+
+  client.on('Network.requestServedFromCache', ({ requestId }) => {
+    const record = pending.get(requestId);
+    if (record) {
+      record.fromCache = true;
+    }
+  });
+
+  client.on('Network.dataReceived', ({ requestId, dataLength }) => {
+    const record = pending.get(requestId);
+    if (record) {
+      record.dataLength += dataLength;
+    }
+  });
+
+  client.on('Network.loadingFinished', ({ requestId, timestamp, encodedDataLength }) => {
+    const record = pending.get(requestId);
+    if (!record) {
+      return;
+    }
+    record.encodedDataLength = encodedDataLength;
+    finish(record, timestamp);
+    if (mediaKind(record) === 'manifest') {
+      bodies.push(client.send('Network.getResponseBody', { requestId }).then(({ body, base64Encoded }) => {
+        record.body = base64Encoded ? Buffer.from(body, 'base64').toString('utf-8') : body;
+      }, () => {}));
+    }
+  });
+
+  client.on('Network.loadingFailed', ({ requestId, timestamp, errorText, canceled, blockedReason }) => {
+    const record = pending.get(requestId);
+    if (record) {
+      record.error = blockedReason ? `${errorText} (${blockedReason})` : canceled ? `${errorText} (canceled)` : errorText;
+      finish(record, timestamp);
+    }
+  });
+
+  await client.send('Network.enable');
+
+  return {
+    /**
+     * Stop recording (before the page closes, so manifest bodies can still be read)
+     * @returns {Promise<Object[]>} Request records in the order they were sent
+     */
+    stop: async () => {
+      await Promise.all(bodies);
+      await client.detach().catch(() => {});
+      return records;
+    }
+  };
+}
+
+/**
+ * Convert CDP headers ({ name: value }, repeated values joined by newlines) to HAR headers,
+ * with credential values redacted
+ */
+function harHeaders(headers = {}) {
+  return Object.entries(headers).flatMap(([name, value]) => (REDACTED_HEADERS.includes(name.toLowerCase())
+    ? [{ name, value: '<redacted>' }]
+    : String(value).split('\n').map(line => ({ name, value: line }))));
+}
+
+/**
+ * Look up a CDP header by name, whatever its case
+ * @param {Object} headers - CDP headers ({ name: value })
+ * @param {string} name - Header name
+ * @returns {string|undefined}
+ */
+function headerValue(headers = {}, name) {
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * HAR timings in milliseconds from a CDP ResourceTiming (-1 for phases that didn't happen)
+ * @param {Object} record - Request record
+ * @returns {Object} { blocked, dns, connect, ssl, send, wait, receive }
+ */
+function harTimings(record) {
+  const total = record.endTimestamp === null ? 0 : (record.endTimestamp - record.timestamp) * 1000;
+  const timing = record.response && record.response.timing;
+  if (!timing) {
+    return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: Number(Math.max(total, 0).toFixed(3)), receive: 0 };
+  }
+
+  const span = (start, end) => (start >= 0 && end >= 0 ? end - start : -1);
+  const firstPhase = [timing.dnsStart, timing.connectStart, timing.sendStart].find(start => start >= 0) || 0;
+  const headersAt = (timing.requestTime - record.timestamp) * 1000 + timing.receiveHeadersEnd;
+  const timings = {
+    blocked: Math.max((timing.requestTime - record.timestamp) * 1000 + firstPhase, 0),
+    dns: span(timing.dnsStart, timing.dnsEnd),
+    connect: span(timing.connectStart, timing.connectEnd),
+    ssl: span(timing.sslStart, timing.sslEnd),
+    send: Math.max(timing.sendEnd - timing.sendStart, 0),
+    wait: Math.max(timing.receiveHeadersEnd - timing.sendEnd, 0),
+    receive: Math.max(total - headersAt, 0)
+  };
+  return Object.fromEntries(Object.entries(timings).map(([phase, ms]) => [phase, Number(ms.toFixed(3))]));
+}
+
+/**
+ * Build a HAR 1.2 log from request records
+ * Response bodies are left out, except the text of media manifests. Credential headers
+ * (Authorization, Cookie, Set-Cookie) are redacted, and request bodies (form posts, logins)
+ * are only kept with `postData`
+ * @param {Object[]} records - From startNetworkCapture()
+ * @param {string} pageUrl - URL the job recorded
+ * @param {Object} options
+ * @param {boolean} options.postData - Keep request bodies
+ * @returns {Object} HAR document
+ */
+export function buildHar(records, pageUrl, { postData = false } = {}) {
+  const started = records.length > 0 ? new Date(records[0].wallTime * 1000) : new Date();
+
+  const entries = records.map((record) => {
+    const { response } = record;
+    const timings = harTimings(record);
+    const headers = response ? harHeaders(response.headers) : [];
+    const location = headers.find(({ name }) => name.toLowerCase() === 'location');
+    let queryString = [];
+    try {
+      queryString = [...new URL(record.url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch {
+      // Not a URL with a query (data:, blob:)
+    }
+
+    return {
+      pageref: 'page_1',
+      startedDateTime: new Date(record.wallTime * 1000).toISOString(),
+      // ssl is part of connect
+      time: Number((Object.values(timings).reduce((sum, value) => sum + Math.max(value, 0), 0) - Math.max(timings.ssl, 0)).toFixed(3)),
+      request: {
+        method: record.method,
+        url: record.url,
+        httpVersion: response && response.protocol ? response.protocol : '',
+        cookies: [],
+        headers: harHeaders(record.headers),
+        queryString,
+        ...(postData && record.postData ? { postData: { mimeType: headerValue(record.headers, 'content-type') || '', text: record.postData } } : {}),
+        headersSize: -1,
+        bodySize: record.postData ? Buffer.byteLength(record.postData) : 0
+      },
+      response: {
+        status: response ? response.status : 0,
+        statusText: response ? response.statusText : '',
+        httpVersion: response && response.protocol ? response.protocol : '',
+        cookies: [],
+        headers,
+        content: {
+          size: record.dataLength,
+          mimeType: response ? response.mimeType : '',
+          ...(record.body !== null ? { text: record.body } : {})
+        },
+        redirectURL: location ? location.value : '',
+        headersSize: -1,
+        bodySize: record.fromCache ? 0 : record.encodedDataLength
+      },
+      cache: {},
+      timings,
+      ...(response && response.remoteIPAddress ? { serverIPAddress: response.remoteIPAddress } : {}),
+      _resourceType: record.resourceType,
+      ...(record.error ? { _error: record.error } : {})
+    };
+  });
+
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'webpage-video-recorder', version: '1.0.0' },
+      pages: [{ startedDateTime: started.toISOString(), id: 'page_1', title: pageUrl, pageTimings: {} }],
+      entries
+    }
+  };
+}
+
+/**
+ * List the variants a manifest offers, resolved against its URL
+ * @param {string} body - Manifest text
+ * @param {string} url - Manifest URL
+ * @returns {{variants: Object[], segments: string[]}} Variants of an HLS master or DASH MPD,
+ *   and the segment URLs of an HLS media playlist
+ */
+function manifestContents(body, url) {
+  if (body.trimStart().startsWith('#EXTM3U')) {
+    const lines = body.split(/\r?\n/);
+    // A malformed line only loses its own entry
+    const resolve = (uri) => {
+      try {
+        return new URL(uri.trim(), url).href;
+      } catch {
+        return null;
+      }
+    };
+    const variants = hlsVariants(body).map(({ uri, width, height, bandwidth }) => ({
+      url: uri >= 0 ? resolve(lines[uri]) : null,
+      bandwidth,
+      width,
+      height
+    }));
+    const segments = variants.length > 0 ? [] : lines.filter(line => line.trim() && !line.startsWith('#')).map(resolve).filter(Boolean);
+    return { variants, segments };
+  }
+
+  const variants = [...body.matchAll(/<Representation\b([^>]*)>/g)].map(([, attributes]) => {
+    const attribute = (name) => (new RegExp(`\\b${name}="([^"]*)"`).exec(attributes) || [])[1];
+    const number = (name) => (attribute(name) ? parseInt(attribute(name), 10) : null);
+    return {
+      id: attribute('id') || null,
+      bandwidth: number('bandwidth'),
+      width: number('width'),
+      height: number('height'),
+      codecs: attribute('codecs') || null
+    };
+  });
+  return { variants, segments: [] };
+}
+
+/**
+ * Build the media inventory: every manifest, segment and progressive media request,
+ * plus request and byte totals per host
+ * HLS segments are matched to the master playlist variant they were loaded from
+ * @param {Object[]} records - From startNetworkCapture()
+ * @param {string} pageUrl - URL the job recorded
+ * @returns {Object} { url, summary, media }
+ */
+export function buildMediaInventory(records, pageUrl) {
+  const origin = records.length > 0 ? records[0].timestamp : 0;
+  const variantOf = new Map();
+  const playlistOf = new Map();
+  const hosts = new Map();
+  const counts = { manifests: 0, segments: 0, progressive: 0 };
+  let mediaBytes = 0;
+
+  const manifests = records.filter(record => record.body !== null && mediaKind(record) === 'manifest');
+  const contents = new Map(manifests.map(record => [record, manifestContents(record.body, record.url)]));
+  for (const [record, { variants, segments }] of contents) {
+    variants.filter(variant => variant.url).forEach(({ url, ...variant }) => variantOf.set(url, variant));
+    segments.forEach(segment => playlistOf.set(segment, record.url));
+  }
+
+  const media = [];
+  for (const record of records) {
+    let host = '';
+    try {
+      host = new URL(record.url).host;
+    } catch {
+      // data: and blob: URLs have no host
+    }
+    const bytes = record.fromCache ? 0 : record.encodedDataLength;
+    const stats = hosts.get(host) || { host, requests: 0, bytes: 0, mediaBytes: 0 };
+    stats.requests += 1;
+    stats.bytes += bytes;
+    hosts.set(host, stats);
+
+    const kind = mediaKind(record);
+    if (!kind) {
+      continue;
+    }
+    stats.mediaBytes += bytes;
+    mediaBytes += bytes;
+    counts[kind === 'progressive' ? 'progressive' : `${kind}s`] += 1;
+
+    const entry = {
+      kind,
+      url: record.url,
+      host,
+      method: record.method,
+      resourceType: record.resourceType,
+      status: record.response ? record.response.status : null,
+      mimeType: record.response ? record.response.mimeType : null,
+      size: bytes,
+      start: Number((record.timestamp - origin).toFixed(3)),
+      duration: record.endTimestamp === null ? null : Number((record.endTimestamp - record.timestamp).toFixed(3)),
+      fromCache: record.fromCache
+    };
+    if (record.error) {
+      entry.error = record.error;
+    }
+    if (contents.has(record) && contents.get(record).variants.length > 0) {
+      entry.variants = contents.get(record).variants;
+    }
+    const variant = variantOf.get(playlistOf.get(record.url)) || (kind === 'manifest' && variantOf.get(record.url));
+    if (variant) {
+      entry.variant = variant;
+    }
+    media.push(entry);
+  }
+
+  return {
+    url: pageUrl,
+    summary: {
+      requests: records.length,
+      failed: records.filter(record => record.error).length,
+      bytes: [...hosts.values()].reduce((sum, { bytes }) => sum + bytes, 0),
+      mediaBytes,
+      ...counts,
+      hosts: [...hosts.values()].sort((a, b) => b.bytes - a.bytes)
+    },
+    media
+  };
+}
+
+/**
+ * Write a job's HAR file and media inventory next to its output
+ * @param {Object[]} records - From startNetworkCapture()
+ * @param {string} outputPath - Job output path (`<output>.har` and `<output>.media.json` are written)
+ * @param {string} pageUrl - URL the job recorded
+ * @param {Object} options
+ * @param {boolean} options.postData - Keep request bodies in the HAR
+ * @returns {{harPath: string, inventoryPath: string, requests: number, failed: number, bytes: number,
+ *   manifests: number, segments: number, progressive: number}}
+ */
+export function writeNetworkCapture(records, outputPath, pageUrl, { postData = false } = {}) {
+  const harPath = `${outputPath}.har`;
+  const inventoryPath = `${outputPath}.media.json`;
+  const inventory = buildMediaInventory(records, pageUrl);
+
+  writeFileSync(harPath, JSON.stringify(buildHar(records, pageUrl, { postData }), null, 2));
+  writeFileSync(inventoryPath, JSON.stringify(inventory, null, 2));
+
+  const { requests, failed, bytes, manifests, segments, progressive } = inventory.summary;
+  log(`Network capture: ${requests} requests (${failed} failed), ${manifests} manifest(s), ${segments} segment(s), ${progressive} progressive file(s); HAR: ${harPath}`);
+  return { harPath, inventoryPath, requests, failed, bytes, manifests, segments, progressive };
+}
@@ -0,0 +1,155 @@
+/**
+ * Job option rules
+ * Recorder option types and the combinations no single field can validate, shared by the CLI,
+ * batch manifests and the job server so a job is rejected the same way wherever it comes from
+ */
+
+import { PROFILE_NAMES, INTERMEDIATE_PROFILES } from './profiles.js';
+import { PLAYER_ADAPTERS } from './players.js';
+
+const PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+
+/**
+ * Option types, keyed by Recorder option name
+ */
+export const OPTION_FIELDS = {
+  url: { type: 'url' },
+  duration: { type: 'number', min: 0, exclusiveMin: true },
+  resolution: { type: 'resolution' },
+  framerate: { type: 'number', min: 0, exclusiveMin: true },
+  quality: { type: 'number', min: 0, max: 63 },
+  preset: { type: 'choice', choices: PRESETS },
+  audioBitrate: { type: 'string' },
+  profile: { type: 'choice', choices: PROFILE_NAMES },
+  captureBackend: { type: 'choice', choices: ['x11grab', 'screencast'] },
+  strategy: { type: 'choice', choices: ['capture', 'fetch'] },
+  virtualTime: { type: 'boolean' },
+  pageMode: { type: 'boolean' },
+  timeline: { type: 'string' },
+  hooks: { type: 'string' },
+  requestRules: { type: 'string' },
+  blockAds: { type: 'boolean' },
+  cookies: { type: 'string' },
+  storageState: { type: 'string' },
+  headers: { type: 'string[]' },
+  httpAuth: { type: 'string' },
+  userDataDir: { type: 'string' },
+  browserProfile: { type: 'string' },
+  resetProfile: { type: 'boolean' },
+  bufferTime: { type: 'number', min: 0 },
+  endDetection: { type: 'choice', choices: ['timer', 'video'] },
+  endGrace: { type: 'number', min: 0 },
+  videoSelector: { type: 'string' },
+  player: { type: 'choice', choices: ['auto', 'none', ...PLAYER_ADAPTERS] },
+  allVideos: { type: 'boolean' },
+  minVideoDuration: { type: 'number', min: 0 },
+  visibleOnly: { type: 'boolean' },
+  playlist: { type: 'boolean' },
+  highestRendition: { type: 'boolean' },
+  renditionTimeout: { type: 'number', min: 0, exclusiveMin: true },
+  clickSelectors: { type: 'string[]' },
+  autoDetectDuration: { type: 'boolean' },
+  logConsole: { type: 'boolean' },
+  logRequests: { type: 'boolean' },
+  networkCapture: { type: 'boolean' },
+  harPostData: { type: 'boolean' },
+  elementFullscreen: { type: 'boolean' },
+  fullscreenSelector: { type: 'string' },
+  cropToVideo: { type: 'boolean' },
+  cropScale: { type: 'resolution' },
+  cropLetterbox: { type: 'boolean' },
+  trim: { type: 'choice', choices: ['none', 'copy', 'precise'] },
+  keepMaster: { type: 'boolean' },
+  twoStage: { type: 'boolean' },
+  intermediate: { type: 'choice', choices: INTERMEDIATE_PROFILES },
+  validate: { type: 'boolean' }
+};
+
+const quoted = (key) => `"${key}"`;
+
+/**
+ * Validate a single option value
+ * @param {string} key - Recorder option name
+ * @param {*} value - Value to check
+ * @param {Object} settings
+ * @param {Object} settings.spec - Field type (default: the option's OPTION_FIELDS entry)
+ * @param {string} settings.name - How the field is named in the message (default `"key"`)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function checkOptionValue(key, value, { spec = OPTION_FIELDS[key], name = quoted(key) } = {}) {
+  switch (spec.type) {
+    case 'url':
+      if (typeof value !== 'string') return `${name} must be a string`;
+      try {
+        new URL(value);
+      } catch {
+        return `${name} is not a valid URL: ${value}`;
+      }
+      return null;
+    case 'string':
+      return typeof value === 'string' && value.length > 0 ? null : `${name} must be a non-empty string`;
+    case 'number':
+      if (typeof value !== 'number' || !isFinite(value)) return `${name} must be a number`;
+      if (spec.exclusiveMin && value <= spec.min) return `${name} must be greater than ${spec.min}`;
+      if (value < spec.min) return `${name} must be at least ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `${name} must be at most ${spec.max}`;
+      return null;
+    case 'resolution':
+      return typeof value === 'string' && /^\d+x\d+$/.test(value) ? null : `${name} must look like 1920x1080`;
+    case 'choice':
+      return spec.choices.includes(value) ? null : `${name} must be one of: ${spec.choices.join(', ')}`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${name} must be true or false`;
+    case 'string[]':
+      return Array.isArray(value) && value.every(v => typeof v === 'string' && v.length > 0)
+        ? null
+        : `${name} must be a list of non-empty strings`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check Recorder options for conflicting or incomplete combinations
+ * @param {Object} options - Recorder options
+ * @param {Object} settings
+ * @param {(key: string) => string} settings.name - How an option is named in messages (default `"key"`)
+ * @param {boolean} settings.complete - Whether these are a job's final options; the CLI options of
+ *   a manifest batch are not (entries may still add a duration or timeline)
+ * @returns {string[]} Error messages
+ */
+export function checkOptionCombinations(options, { name = quoted, complete = true } = {}) {
+  const errors = [];
+  const pageMode = options.pageMode || options.timeline;
+  const mode = options.virtualTime ? name('virtualTime') : 'page mode';
+
+  if ((options.cropScale || options.cropLetterbox) && !options.cropToVideo) {
+    errors.push(`${name('cropScale')} and ${name('cropLetterbox')} require ${name('cropToVideo')}`);
+  }
+  if (options.cropLetterbox && !options.cropScale) {
+    errors.push(`${name('cropLetterbox')} requires ${name('cropScale')}`);
+  }
+  if ((options.virtualTime || pageMode) &&
+      (options.cropToVideo || (options.trim && options.trim !== 'none') || options.endDetection === 'video')) {
+    errors.push(`${name('cropToVideo')}, ${name('trim')} and ${name('endDetection')} video need a <video> element and can't be used with ${mode}`);
+  }
+  if ((options.playlist || options.visibleOnly || options.minVideoDuration) && !options.allVideos) {
+    errors.push(`${name('playlist')}, ${name('visibleOnly')} and ${name('minVideoDuration')} require ${name('allVideos')}`);
+  }
+  if (options.allVideos && (options.virtualTime || pageMode)) {
+    errors.push(`${name('allVideos')} needs <video> elements and can't be used with ${mode}`);
+  }
+  if (options.strategy === 'fetch' && (options.virtualTime || pageMode || options.allVideos)) {
+    errors.push(`${name('strategy')} fetch downloads a single <video> and can't be used with ${name('virtualTime')}, page mode or ${name('allVideos')}`);
+  }
+  if (options.virtualTime && options.timeline) {
+    errors.push(`${name('timeline')} can't be used with ${name('virtualTime')}`);
+  }
+  if (complete && options.pageMode && !options.duration && !options.timeline) {
+    errors.push(`${name('pageMode')} requires ${name('duration')} or ${name('timeline')}`);
+  }
+  if (complete && options.virtualTime && !options.duration) {
+    errors.push(`${name('virtualTime')} requires ${name('duration')}`);
+  }
+  return errors;
+}
@@ -0,0 +1,352 @@
+/**
+ * Player adapters
+ * Recognise well-known players (YouTube, Vimeo, JW Player, Video.js, HLS.js), including
+ * players inside iframes, and drive them through their own APIs: find the media element,
+ * read the duration, force the highest quality, hide controls and overlays, play and
+ * report the end. Pages without a known player keep the plain <video> selector path
+ */
+
+import { log, sleep } from './cleanup.js';
+import { JobError } from './errors.js';
+import { PLAYER_ATTRIBUTE, findVideoElement, markEmbed, videoTarget } from './browser.js';
+
+/**
+ * Attribute marking the media element an adapter found (selector within its frame)
+ */
+const MEDIA_ATTRIBUTE = 'data-recorder-media';
+
+/**
+ * Adapters in detection order: specific players before the HLS.js engine some of them embed
+ */
+export const PLAYER_ADAPTERS = ['youtube', 'vimeo', 'jwplayer', 'videojs', 'hlsjs'];
+
+/**
+ * Keep a reference to every HLS.js instance a page creates
+ * HLS.js has no registry of its own; the UMD build assigns `window.Hls`, so the class
+ * is wrapped on assignment. Bundled copies that never touch `window.Hls` aren't seen
+ * (also installed by lib/renditions.js; the second install is a no-op)
+ */
+export function trackHlsInstances() {
+  if (window.__recorderHlsInstances) {
+    return;
+  }
+  const instances = [];
+  let Hls;
+  Object.defineProperty(window, '__recorderHlsInstances', { value: instances });
+  Object.defineProperty(window, 'Hls', {
+    configurable: true,
+    get: () => Hls,
+    set: (value) => {
+      Hls = typeof value === 'function'
+        ? class extends value {
+          constructor(...args) {
+            super(...args);
+            instances.push(this);
+          }
+        }
+        : value;
+    }
+  });
+}
+
+/**
+ * Page-side adapters, installed into a frame before detection
+ * Each adapter has:
+ * - detect():  true if the player is in this frame
+ * - media():   the <video>/<audio> element it plays into
+ * - container(): the element to fullscreen (null for the media element itself)
+ * - prepare(): hide controls and overlays, force the highest quality; returns { quality, duration }
+ * - play():    start playback through the player's API
+ * - ended():   true once the player (not just the element, which ads reuse) has finished
+ */
+function playerAdapters() {
+  if (window.__recorderPlayers) {
+    return;
+  }
+
+  const hide = (id, selectors) => {
+    if (document.getElementById(id)) {
+      return;
+    }
+    const style = document.createElement('style');
+    style.id = id;
+    style.textContent = `${selectors.join(', ')} { display: none !important; }`;
+    (document.head || document.documentElement).appendChild(style);
+  };
+
+  // Highest quality level by height, then bitrate; index into levels
+  const best = (levels, height = (level) => level.height, bitrate = (level) => level.bitrate) => {
+    let index = -1;
+    levels.forEach((level, i) => {
+      const current = index < 0 ? null : levels[index];
+      if (!current || (height(level) || 0) > (height(current) || 0) ||
+        ((height(level) || 0) === (height(current) || 0) && (bitrate(level) || 0) > (bitrate(current) || 0))) {
+        index = i;
+      }
+    });
+    return index;
+  };
+
+  const youtube = () => document.getElementById('movie_player');
+  const jwplayer = () => (typeof window.jwplayer === 'function' ? window.jwplayer() : null);
+  const videojs = () => {
+    const players = window.videojs && typeof window.videojs.getPlayers === 'function'
+      ? Object.values(window.videojs.getPlayers()).filter(player => player && !player.isDisposed())
+      : [];
+    return players.find(player => player.el().querySelector('video')) || null;
+  };
+  const hls = () => (window.__recorderHlsInstances || []).concat(window.hls || []).find(instance => instance.media) || null;
+
+  window.__recorderPlayers = {
+    youtube: {
+      detect: () => Boolean(youtube() && typeof youtube().getPlayerState === 'function' && youtube().querySelector('video')),
+      media: () => youtube().querySelector('video.html5-main-video') || youtube().querySelector('video'),
+      container: () => youtube(),
+      prepare() {
+        const player = youtube();
+        hide('__recorder-youtube', [
+          '.ytp-chrome-top', '.ytp-chrome-bottom', '.ytp-gradient-top', '.ytp-gradient-bottom',
+          '.ytp-pause-overlay', '.ytp-ce-element', '.ytp-watermark', '.ytp-large-play-button',
+          '.ytp-cued-thumbnail-overlay', '.ytp-spinner', '.ytp-paid-content-overlay', '.ytp-endscreen-content',
+          '.iv-branding'
+        ]);
+        // Listed highest first, 'auto' last; empty until the player has loaded the video
+        const levels = (player.getAvailableQualityLevels() || []).filter(level => level !== 'auto');
+        if (levels.length > 0) {
+          player.setPlaybackQualityRange(levels[0], levels[0]);
+        }
+        return { quality: levels[0] || null, duration: player.getDuration() || null };
+      },
+      play: () => youtube().playVideo(),
+      ended: () => youtube().getPlayerState() === 0
+    },
+
+    // Runs inside the player.vimeo.com iframe; the in-frame player has no public API
+    vimeo: {
+      detect: () => location.hostname === 'player.vimeo.com' && Boolean(document.querySelector('video')),
+      media: () => document.querySelector('.vp-video video') || document.querySelector('video'),
+      container: () => null,
+      prepare() {
+        hide('__recorder-vimeo', [
+          '.vp-controls-wrapper', '.vp-controls', '.vp-title', '.vp-sidedock', '.vp-outro-wrapper',
+          '.vp-overlay-wrapper', '.vp-badge', '.vp-unmute', '.vp-spin', '.vp-preview'
+        ]);
+        const video = window.__recorderPlayers.vimeo.media();
+        return { quality: null, duration: isFinite(video.duration) ? video.duration : null };
+      },
+      play: () => window.__recorderPlayers.vimeo.media().play(),
+      ended: () => window.__recorderPlayers.vimeo.media().ended
+    },
+
+    jwplayer: {
+      detect: () => {
+        const player = jwplayer();
+        return Boolean(player && typeof player.getState === 'function' && player.getContainer() &&
+          player.getContainer().querySelector('video'));
+      },
+      media: () => jwplayer().getContainer().querySelector('video'),
+      container: () => jwplayer().getContainer(),
+      prepare() {
+        const player = jwplayer();
+        player.setControls(false);
+        const levels = player.getQualityLevels() || [];
+        const index = best(levels);
+        if (index >= 0 && levels[index].height) {
+          player.setCurrentQuality(index);
+        }
+        return {
+          quality: index >= 0 && levels[index].height ? levels[index].label : null,
+          duration: player.getDuration() > 0 ? player.getDuration() : null
+        };
+      },
+      play: () => {
+        jwplayer().play();
+      },
+      ended: () => jwplayer().getState() === 'complete'
+    },
+
+    videojs: {
+      detect: () => Boolean(videojs()),
+      media: () => videojs().el().querySelector('video'),
+      container: () => videojs().el(),
+      prepare() {
+        const player = videojs();
+        player.controls(false);
+        hide('__recorder-videojs', ['.vjs-big-play-button', '.vjs-loading-spinner', '.vjs-dock-text', '.vjs-dock-shelf']);
+
+        // videojs-contrib-quality-levels if loaded, otherwise the VHS representations
+        let quality = null;
+        if (typeof player.qualityLevels === 'function' && player.qualityLevels().length > 0) {
+          const levels = Array.from({ length: player.qualityLevels().length }, (_, i) => player.qualityLevels()[i]);
+          const index = best(levels);
+          levels.forEach((level, i) => {
+            level.enabled = i === index;
+          });
+          quality = levels[index].height ? `${levels[index].height}p` : null;
+        } else {
+          const tech = player.tech({ IWillNotUseThisInPlugins: true });
+          const representations = tech && tech.vhs ? tech.vhs.representations() : [];
+          const index = best(representations, r => r.height, r => r.bandwidth);
+          representations.forEach((representation, i) => representation.enabled(i === index));
+          quality = index >= 0 && representations[index].height ? `${representations[index].height}p` : null;
+        }
+        const duration = player.duration();
+        return { quality, duration: duration > 0 && isFinite(duration) ? duration : null };
+      },
+      play: () => videojs().play(),
+      ended: () => videojs().ended()
+    },
+
+    hlsjs: {
+      detect: () => Boolean(hls()),
+      media: () => hls().media,
+      container: () => null,
+      prepare() {
+        const instance = hls();
+        instance.media.controls = false;
+        const index = best(instance.levels || []);
+        // Locks the level (disables ABR) and switches immediately, flushing the buffer,
+        // so only when it isn't locked there already (prepare() runs again after play)
+        if (index >= 0 && (instance.autoLevelEnabled || instance.currentLevel !== index)) {
+          instance.currentLevel = index;
+        }
+        const { duration } = instance.media;
+        return {
+          quality: index >= 0 && instance.levels[index].height ? `${instance.levels[index].height}p` : null,
+          duration: duration > 0 && isFinite(duration) ? duration : null
+        };
+      },
+      play: () => hls().media.play(),
+      ended: () => hls().media.ended
+    }
+  };
+}
+
+/**
+ * Track player instances that can't be found after the fact (HLS.js)
+ * Must be called before navigating
+ * @param {Page} page - Puppeteer page
+ */
+export async function installPlayerHooks(page) {
+  await page.evaluateOnNewDocument(trackHlsInstances);
+}
+
+/**
+ * Find a known player in any frame of the page
+ * @param {Page} page - Puppeteer page
+ * @param {string[]} adapters - Adapters to try, in order
+ * @returns {Promise<{frame: Frame, adapter: string}|null>}
+ */
+async function detectPlayer(page, adapters) {
+  for (const frame of page.frames()) {
+    try {
+      await frame.evaluate(playerAdapters);
+      const adapter = await frame.evaluate((names) => names.find(name => {
+        try {
+          return window.__recorderPlayers[name].detect();
+        } catch {
+          return false;
+        }
+      }) || null, adapters);
+      if (adapter) {
+        return { frame, adapter };
+      }
+    } catch {
+      // Frame detached or navigating; the next poll sees its replacement
+    }
+  }
+  return null;
+}
+
+/**
+ * Locate the media to record
+ * With `player: 'auto'` the known players are tried first; a page without one (or with a
+ * custom video selector) falls back to the plain `<video>` selector
+ * @param {Page} page - Puppeteer page
+ * @param {Object} options
+ * @param {string} options.player - 'auto', 'none' or an adapter name (required to match)
+ * @param {string} options.videoSelector - Selector for the generic path
+ * @param {number} options.detectTimeout - Time to wait for a player to initialise (ms)
+ * @returns {Promise<{frame: Page|Frame, selector: string|ElementHandle, adapter: string|null, container: string|null, frameUrl: string|null, shadowRoot: boolean}>}
+ *   `frame` and `selector` locate the media element (see videoTarget()); `container` is a top-document selector for fullscreen
+ */
+export async function locateMedia(page, { player = 'auto', videoSelector = 'video', detectTimeout = 10000 } = {}) {
+  const generic = async () => {
+    const element = await findVideoElement(page, videoSelector);
+    return { ...await videoTarget(page, element, videoSelector), adapter: null };
+  };
+
+  if (player === 'none' || (player === 'auto' && videoSelector !== 'video')) {
+    return generic();
+  }
+  if (player !== 'auto' && !PLAYER_ADAPTERS.includes(player)) {
+    throw new JobError(`Invalid player adapter: ${player} (expected auto, none or one of ${PLAYER_ADAPTERS.join(', ')})`, 'invalid-job');
+  }
+
+  log(player === 'auto' ? 'Detecting video player...' : `Waiting for ${player} player...`);
+  const adapters = player === 'auto' ? PLAYER_ADAPTERS : [player];
+  const deadline = Date.now() + detectTimeout;
+  let found = await detectPlayer(page, adapters);
+
+  // Players initialise after load; a page that already has a plain top-level <video> isn't waited on
+  while (!found && Date.now() < deadline) {
+    if (player === 'auto' && await page.$(videoSelector)) {
+      break;
+    }
+    await sleep(500);
+    found = await detectPlayer(page, adapters);
+  }
+
+  if (!found) {
+    if (player !== 'auto') {
+      throw new JobError(`Video element not found: no ${player} player on the page within ${detectTimeout}ms`, 'no-video');
+    }
+    log('No known player detected, using the generic video element');
+    return generic();
+  }
+
+  const { frame, adapter } = found;
+  const embedded = frame !== page.mainFrame();
+  const marked = await frame.evaluate((name, mediaAttribute, playerAttribute, embedded) => {
+    const adapter = window.__recorderPlayers[name];
+    adapter.media().setAttribute(mediaAttribute, '');
+    const container = embedded ? null : adapter.container();
+    if (container) {
+      container.setAttribute(playerAttribute, '');
+    }
+    return Boolean(container);
+  }, adapter, MEDIA_ATTRIBUTE, PLAYER_ATTRIBUTE, embedded);
+
+  // An embedded player is fullscreened through its iframe in the top document
+  if (embedded) {
+    await markEmbed(page, frame);
+  }
+
+  log(`Detected ${adapter} player${embedded ? ` in iframe ${frame.url()}` : ''}`);
+  return {
+    frame: embedded ? frame : page,
+    selector: `[${MEDIA_ATTRIBUTE}]`,
+    adapter,
+    container: embedded || marked ? `[${PLAYER_ATTRIBUTE}]` : null,
+    frameUrl: embedded ? frame.url() : null,
+    shadowRoot: false
+  };
+}
+
+/**
+ * Hide the player's controls and overlays and force its highest quality
+ * Safe to call again after playback starts (some players only list qualities then)
+ * @param {{frame: Page|Frame, adapter: string|null}} media - From locateMedia()
+ * @returns {Promise<{quality: string|null, duration: number|null}>}
+ */
+export async function preparePlayer({ frame, adapter }) {
+  if (!adapter) {
+    return { quality: null, duration: null };
+  }
+  try {
+    return await frame.evaluate((name) => window.__recorderPlayers[name].prepare(), adapter);
+  } catch (err) {
+    log(`Warning: Could not prepare ${adapter} player: ${err.message}`);
+    return { quality: null, duration: null };
+  }
+}
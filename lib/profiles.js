@@ -0,0 +1,258 @@
+/**
+ * Output codec/container profiles
+ * Each profile sets a valid combination of codecs, pixel format and muxer flags
+ */
+
+import { extname } from 'path';
+import { JobError } from './errors.js';
+
+/**
+ * libvpx `-cpu-used` speed for each x264 preset in `good` deadline mode (0 is slowest, 5 fastest)
+ */
+const VP9_SPEEDS = {
+  ultrafast: 5,
+  superfast: 5,
+  veryfast: 4,
+  faster: 4,
+  fast: 3,
+  medium: 2,
+  slow: 1,
+  slower: 1,
+  veryslow: 0
+};
+
+/**
+ * Named output profiles
+ * - extension:  file extension the container requires
+ * - mimeType:   Content-Type used when serving the file
+ * - codecs:     ffprobe codec names the output streams use (a downloaded source in
+ *   these codecs is copied into the container instead of re-encoded)
+ * - audio:      whether the output carries an audio stream
+ * - crfRange:   valid range for --quality, or null if the encoder ignores it
+ * - usesPreset: whether --preset applies (x264/x265 presets, mapped to a speed for offline VP9)
+ * - intraOnly:  every frame is a keyframe, so keyframe intervals don't apply
+ * - video(ctx) / audio(ctx) / mux: ffmpeg output arguments (`ctx.live` is set when the
+ *   encoder writes the live capture and has to keep up with it)
+ * - captureWith: profiles that can't be written live (GIF/WebP) are captured with
+ *   this profile and converted after recording
+ */
+export const PROFILES = {
+  'mp4-h264': {
+    description: 'MP4, H.264 + AAC (universal playback)',
+    extension: '.mp4',
+    mimeType: 'video/mp4',
+    codecs: { video: 'h264', audio: 'aac' },
+    audio: true,
+    crfRange: [0, 51],
+    usesPreset: true,
+    video: ({ crf, preset }) => ['-c:v', 'libx264', '-preset', preset, '-crf', String(crf), '-pix_fmt', 'yuv420p'],
+    audio: ({ audioBitrate }) => ['-c:a', 'aac', '-b:a', audioBitrate],
+    mux: ['-movflags', '+faststart']
+  },
+  'mp4-hevc': {
+    description: 'MP4, HEVC/H.265 + AAC (smaller files, Apple-compatible tag)',
+    extension: '.mp4',
+    mimeType: 'video/mp4',
+    codecs: { video: 'hevc', audio: 'aac' },
+    audio: true,
+    crfRange: [0, 51],
+    usesPreset: true,
+    video: ({ crf, preset }) => ['-c:v', 'libx265', '-preset', preset, '-crf', String(crf), '-pix_fmt', 'yuv420p', '-tag:v', 'hvc1'],
+    audio: ({ audioBitrate }) => ['-c:a', 'aac', '-b:a', audioBitrate],
+    mux: ['-movflags', '+faststart']
+  },
+  'mp4-av1': {
+    description: 'MP4, AV1 (SVT-AV1) + AAC',
+    extension: '.mp4',
+    mimeType: 'video/mp4',
+    codecs: { video: 'av1', audio: 'aac' },
+    audio: true,
+    crfRange: [0, 63],
+    usesPreset: false,
+    video: ({ crf }) => ['-c:v', 'libsvtav1', '-preset', '8', '-crf', String(crf), '-pix_fmt', 'yuv420p'],
+    audio: ({ audioBitrate }) => ['-c:a', 'aac', '-b:a', audioBitrate],
+    mux: ['-movflags', '+faststart']
+  },
+  'webm-vp9': {
+    description: 'WebM, VP9 + Opus (web players)',
+    extension: '.webm',
+    mimeType: 'video/webm',
+    codecs: { video: 'vp9', audio: 'opus' },
+    audio: true,
+    crfRange: [0, 63],
+    usesPreset: true,
+    // Realtime speed keeps up with a live capture; offline encodes (two-stage, trims, downloads) use the slower, better `good` deadline
+    video: ({ crf, preset, live }) => [
+      '-c:v', 'libvpx-vp9', '-crf', String(crf), '-b:v', '0',
+      ...(live ? ['-deadline', 'realtime', '-cpu-used', '8'] : ['-deadline', 'good', '-cpu-used', String(VP9_SPEEDS[preset] ?? 2)]),
+      '-row-mt', '1', '-pix_fmt', 'yuv420p'
+    ],
+    audio: ({ audioBitrate }) => ['-c:a', 'libopus', '-b:a', audioBitrate],
+    mux: []
+  },
+  'mov-prores': {
+    description: 'QuickTime, ProRes 422 HQ + PCM (editing)',
+    extension: '.mov',
+    mimeType: 'video/quicktime',
+    codecs: { video: 'prores', audio: 'pcm_s16le' },
+    audio: true,
+    crfRange: null,
+    usesPreset: false,
+    intraOnly: true,
+    video: () => ['-c:v', 'prores_ks', '-profile:v', '3', '-pix_fmt', 'yuv422p10le'],
+    audio: () => ['-c:a', 'pcm_s16le'],
+    mux: []
+  },
+  'mkv-ffv1': {
+    description: 'Matroska, FFV1 + FLAC (lossless intermediate)',
+    extension: '.mkv',
+    mimeType: 'video/x-matroska',
+    codecs: { video: 'ffv1', audio: 'flac' },
+    audio: true,
+    crfRange: null,
+    usesPreset: false,
+    intraOnly: true,
+    video: () => ['-c:v', 'ffv1', '-level', '3', '-g', '1', '-slices', '4', '-pix_fmt', 'yuv420p'],
+    audio: () => ['-c:a', 'flac'],
+    mux: []
+  },
+  'mkv-x264-lossless': {
+    description: 'Matroska, lossless H.264 (ultrafast, qp 0) + PCM (fast capture intermediate)',
+    extension: '.mkv',
+    mimeType: 'video/x-matroska',
+    codecs: { video: 'h264', audio: 'pcm_s16le' },
+    audio: true,
+    crfRange: null,
+    usesPreset: false,
+    video: () => ['-c:v', 'libx264', '-preset', 'ultrafast', '-qp', '0', '-pix_fmt', 'yuv420p'],
+    audio: () => ['-c:a', 'pcm_s16le'],
+    mux: []
+  },
+  gif: {
+    description: 'Animated GIF preview (no audio, max 960px wide, 15 fps)',
+    extension: '.gif',
+    mimeType: 'image/gif',
+    codecs: { video: 'gif', audio: null },
+    audio: false,
+    crfRange: null,
+    usesPreset: false,
+    captureWith: 'mp4-h264',
+    video: ({ framerate }) => [
+      '-filter_complex',
+      `fps=${Math.min(framerate, 15)},scale='min(960,iw)':-2:flags=lanczos,split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer`,
+      '-loop', '0'
+    ],
+    audio: () => ['-an'],
+    mux: []
+  },
+  webp: {
+    description: 'Animated WebP preview (no audio, max 960px wide, 15 fps)',
+    extension: '.webp',
+    mimeType: 'image/webp',
+    codecs: { video: 'webp', audio: null },
+    audio: false,
+    crfRange: null,
+    usesPreset: false,
+    captureWith: 'mp4-h264',
+    video: ({ framerate }) => [
+      '-vf', `fps=${Math.min(framerate, 15)},scale='min(960,iw)':-2:flags=lanczos`,
+      '-c:v', 'libwebp_anim', '-lossless', '0', '-q:v', '75', '-loop', '0'
+    ],
+    audio: () => ['-an'],
+    mux: []
+  }
+};
+
+/**
+ * Short names accepted for profiles (container or codec name)
+ */
+const PROFILE_ALIASES = {
+  mp4: 'mp4-h264',
+  h264: 'mp4-h264',
+  hevc: 'mp4-hevc',
+  h265: 'mp4-hevc',
+  av1: 'mp4-av1',
+  webm: 'webm-vp9',
+  vp9: 'webm-vp9',
+  mov: 'mov-prores',
+  prores: 'mov-prores',
+  mkv: 'mkv-ffv1',
+  ffv1: 'mkv-ffv1',
+  lossless: 'mkv-ffv1',
+  'x264-lossless': 'mkv-x264-lossless'
+};
+
+/**
+ * Profiles cheap enough to capture live and lossless enough to re-encode later (--two-stage)
+ */
+export const INTERMEDIATE_PROFILES = ['mkv-x264-lossless', 'mkv-ffv1'];
+
+export const PROFILE_NAMES = [...Object.keys(PROFILES), ...Object.keys(PROFILE_ALIASES)];
+
+/**
+ * Look up a profile by name or alias
+ * @param {string} name - Profile name (e.g., 'webm-vp9') or alias (e.g., 'webm')
+ * @returns {Object} Profile with its canonical `name`
+ */
+export function getProfile(name) {
+  const canonical = PROFILE_ALIASES[name] || name;
+  const profile = PROFILES[canonical];
+  if (!profile) {
+    throw new JobError(`Unknown output profile: ${name} (available: ${Object.keys(PROFILES).join(', ')})`, 'invalid-job');
+  }
+  return { name: canonical, ...profile };
+}
+
+/**
+ * Pick the profile for an output file and reject incompatible combinations
+ * Without an explicit profile, the profile is inferred from the output extension
+ * @param {string|null} outputPath - Output file path (null when the name is generated from the profile)
+ * @param {string|null} profileName - Explicit profile name, if any
+ * @param {Object} settings - Encoding settings to check ({ quality })
+ * @returns {Object} Resolved profile
+ */
+export function resolveOutputProfile(outputPath, profileName = null, { quality } = {}) {
+  const extension = outputPath ? extname(outputPath).toLowerCase() : null;
+  let profile;
+
+  if (profileName || !outputPath) {
+    profile = getProfile(profileName || 'mp4-h264');
+    if (outputPath && extension !== profile.extension) {
+      throw new JobError(`Output profile ${profile.name} writes ${profile.extension} files, but the output is ${outputPath}`, 'invalid-job');
+    }
+  } else {
+    const match = Object.keys(PROFILES).find(name => PROFILES[name].extension === extension);
+    if (!match) {
+      throw new JobError(`Cannot infer an output profile from "${extension || outputPath}"; use one of: ${[...new Set(Object.values(PROFILES).map(p => p.extension))].join(', ')}`, 'invalid-job');
+    }
+    profile = getProfile(match);
+  }
+
+  if (quality !== undefined && profile.crfRange) {
+    const [min, max] = profile.crfRange;
+    if (quality < min || quality > max) {
+      throw new JobError(`Quality ${quality} is out of range for ${profile.name} (${min}-${max})`, 'invalid-job');
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * File extension for a profile name (used for auto-generated batch filenames)
+ * @param {string|null} profileName - Profile name or alias
+ * @returns {string} Extension including the dot
+ */
+export function profileExtension(profileName) {
+  return profileName ? getProfile(profileName).extension : '.mp4';
+}
+
+/**
+ * Build the ffmpeg output arguments for a profile
+ * @param {Object} profile - Resolved profile
+ * @param {Object} ctx - Encoding settings ({ crf, preset, audioBitrate, framerate, live })
+ * @returns {string[]} Codec and muxer arguments
+ */
+export function profileOutputArgs(profile, ctx) {
+  return [...profile.video(ctx), ...profile.audio(ctx), ...profile.mux];
+}
@@ -4,9 +4,13 @@
  */
 
 import { spawn } from 'child_process';
-import { existsSync, mkdirSync } from 'fs';
+import { existsSync, mkdirSync, renameSync, unlinkSync, writeFileSync } from 'fs';
+import { once } from 'events';
+import { setPriority } from 'os';
 import { dirname, resolve } from 'path';
 import { log } from './cleanup.js';
+import { JobError } from './errors.js';
+import { getProfile, profileOutputArgs } from './profiles.js';
 
 /**
  * Check if ffmpeg is available
@@ -47,7 +51,7 @@ export async function getFfmpegVersion() {
 function parseResolution(resolution) {
   const match = resolution.match(/(\d+)x(\d+)/);
   if (!match) {
-    throw new Error(`Invalid resolution format: ${resolution}. Expected format: WIDTHxHEIGHT (e.g., 1920x1080)`);
+    throw new JobError(`Invalid resolution format: ${resolution}. Expected format: WIDTHxHEIGHT (e.g., 1920x1080)`, 'invalid-job');
   }
   return {
     width: parseInt(match[1], 10),
@@ -56,47 +60,70 @@ function parseResolution(resolution) {
 }
 
 /**
- * Start recording screen and audio with ffmpeg
- * @param {Object} options - Recording options
- * @param {number} options.displayNumber - X display number
- * @param {string} options.audioSource - PulseAudio monitor source
- * @param {string} options.outputPath - Output file path
- * @param {string} options.resolution - Video resolution (e.g., '1920x1080')
- * @param {number} options.framerate - Video framerate (default: 30)
- * @param {string} options.format - Output format (default: 'mp4')
- * @param {number} options.crf - Video quality (0-51, lower is better, default: 23)
- * @param {string} options.preset - ffmpeg preset (default: 'fast')
- * @param {string} options.audioBitrate - Audio bitrate (default: '128k')
- * @returns {Promise<ChildProcess>}
+ * Convert element bounds into a valid x11grab capture region
+ * Rounds to whole pixels, clamps to the display and makes the size even (required by yuv420p)
+ * @param {Object} bounds - {x, y, width, height} in display pixels
+ * @param {string} resolution - Display resolution (e.g., '1920x1080')
+ * @returns {{x: number, y: number, width: number, height: number}}
  */
-export async function startRecording(options) {
-  const {
-    displayNumber = 99,
-    audioSource,
-    outputPath,
-    resolution = '1920x1080',
-    framerate = 30,
-    format = 'mp4',
-    crf = 23,
-    preset = 'fast',
-    audioBitrate = '128k'
-  } = options;
+export function cropRegion(bounds, resolution) {
+  const display = parseResolution(resolution);
 
-  log('Starting ffmpeg recording...');
+  const x = Math.min(Math.max(Math.round(bounds.x), 0), display.width - 2);
+  const y = Math.min(Math.max(Math.round(bounds.y), 0), display.height - 2);
+  const right = Math.min(Math.round(bounds.x + bounds.width), display.width);
+  const bottom = Math.min(Math.round(bounds.y + bounds.height), display.height);
+
+  const width = Math.max(Math.floor((right - x) / 2) * 2, 2);
+  const height = Math.max(Math.floor((bottom - y) / 2) * 2, 2);
+
+  return { x, y, width, height };
+}
+
+/**
+ * Build the video filter for scaling a cropped capture
+ * Scales to fit inside the target size; with letterbox, pads to exactly the target size
+ * @param {string} scale - Target size (e.g., '1280x720')
+ * @param {boolean} letterbox - Pad to the target size with black bars
+ * @returns {string} ffmpeg -vf filter graph
+ */
+export function scaleFilter(scale, letterbox) {
+  const { width, height } = parseResolution(scale);
+  const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease:force_divisible_by=2`;
+  return letterbox
+    ? `${fit},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1`
+    : `${fit},setsar=1`;
+}
+
+/**
+ * Check capture options, ffmpeg and the output directory before a capture starts
+ * Shared by the x11grab and screencast backends and the virtual-time frame encoder
+ * @param {Object} options - Capture options (audioSource, outputPath, format)
+ * @param {Object} settings
+ * @param {boolean} settings.audio - Whether the capture records audio (requires audioSource, default: true)
+ * @returns {Promise<Object>} Resolved output profile
+ */
+export async function prepareCapture(options, { audio = true } = {}) {
+  const { audioSource, outputPath, format = 'mp4-h264' } = options;
 
   // Validate required options
-  if (!audioSource) {
-    throw new Error('audioSource is required');
+  if (audio && !audioSource) {
+    throw new JobError('audioSource is required', 'invalid-job');
   }
 
   if (!outputPath) {
-    throw new Error('outputPath is required');
+    throw new JobError('outputPath is required', 'invalid-job');
+  }
+
+  const profile = getProfile(format);
+  if (profile.captureWith) {
+    throw new JobError(`Output profile ${profile.name} cannot be captured live; capture with ${profile.captureWith} and convert with encodeRecording()`, 'invalid-job');
   }
 
   // Check if ffmpeg is available
   const available = await checkFfmpegAvailable();
   if (!available) {
-    throw new Error('ffmpeg is not installed. Install with: apt-get install ffmpeg');
+    throw new JobError('ffmpeg is not installed. Install with: apt-get install ffmpeg', 'environment');
   }
 
   // Log ffmpeg version
@@ -114,28 +141,48 @@ export async function startRecording(options) {
     mkdirSync(outputDir, { recursive: true });
   }
 
-  // Parse resolution
-  const { width, height } = parseResolution(resolution);
+  log(`Output profile: ${profile.name} (${profile.description})`);
+  return profile;
+}
 
-  // Build ffmpeg command
-  const ffmpegArgs = [
-    '-y',                              // Overwrite output file
-    '-video_size', `${width}x${height}`,
-    '-framerate', framerate.toString(),
-    '-f', 'x11grab',
-    '-i', `:${displayNumber}`,         // X11 display input
-    '-f', 'pulse',
-    '-i', audioSource,                 // PulseAudio input
-    '-c:v', 'libx264',                 // H.264 video codec
-    '-preset', preset,                 // Encoding preset
-    '-crf', crf.toString(),            // Quality level
-    '-c:a', 'aac',                     // AAC audio codec
-    '-b:a', audioBitrate,              // Audio bitrate
-    '-pix_fmt', 'yuv420p',             // Pixel format (universal compatibility)
-    '-movflags', '+faststart',         // Enable streaming
+/**
+ * Build the ffmpeg output arguments of a live capture
+ * @param {Object} profile - Resolved output profile
+ * @param {Object} options - Capture options (framerate, crf, preset, audioBitrate, keyframeInterval, outputPath;
+ *   `live: false` when frames arrive slower than real time)
+ * @param {string[]} filters - Video filters to apply, in order
+ * @returns {string[]} Filter, codec and muxer arguments followed by the output path
+ */
+export function captureOutputArgs(profile, options, filters = []) {
+  const {
+    outputPath,
+    framerate = 30,
+    crf = 23,
+    preset = 'fast',
+    audioBitrate = '128k',
+    keyframeInterval = null,
+    live = true
+  } = options;
+
+  return [
+    ...(filters.length > 0 ? ['-vf', filters.join(',')] : []),
+    ...profileOutputArgs(profile, { crf, preset, audioBitrate, framerate, live }),  // Codecs, pixel format, muxer flags
+    ...(keyframeInterval && !profile.intraOnly ? ['-g', String(Math.round(framerate * keyframeInterval))] : []),
     outputPath
   ];
+}
 
+/**
+ * Spawn a capture ffmpeg and wait until it is writing frames
+ * The process gains `captureStartedAt` (epoch ms of output timestamp 0, unless the
+ * caller set it before frames flow) and `frameStats` ({ frames, dup, drop }, from ffmpeg's progress line)
+ * @param {string[]} ffmpegArgs - ffmpeg arguments
+ * @param {Object} options
+ * @param {number} options.displayNumber - X display number for DISPLAY
+ * @param {Function} options.onSpawn - Called with the process before waiting for startup (e.g. to feed stdin)
+ * @returns {Promise<ChildProcess>}
+ */
+export async function spawnCapture(ffmpegArgs, { displayNumber = 99, onSpawn = null } = {}) {
   log(`ffmpeg command: ffmpeg ${ffmpegArgs.join(' ')}`);
 
   // Start ffmpeg process
@@ -143,6 +190,7 @@ export async function startRecording(options) {
     stdio: ['pipe', 'pipe', 'pipe'],
     env: { ...process.env, DISPLAY: `:${displayNumber}` }
   });
+  ffmpegProcess.frameStats = { frames: 0, dup: 0, drop: 0 };
 
   // Track startup
   let started = false;
@@ -153,12 +201,24 @@ export async function startRecording(options) {
     const output = data.toString();
     errorOutput += output;
 
+    // Wall-clock time of the first captured frame (output timestamp 0), used for trimming
+    if (!ffmpegProcess.captureStartedAt && (output.includes('Press [q]') || output.includes('frame='))) {
+      ffmpegProcess.captureStartedAt = Date.now();
+    }
+
     // ffmpeg prints progress info to stderr
     if (output.includes('frame=') || output.includes('time=')) {
       if (!started) {
         started = true;
         log('ffmpeg recording started successfully');
       }
+      // Frames written, duplicated and dropped to hold the output framerate
+      for (const key of ['frame', 'dup', 'drop']) {
+        const match = output.match(new RegExp(`${key}=\\s*(\\d+)`));
+        if (match) {
+          ffmpegProcess.frameStats[key === 'frame' ? 'frames' : key] = parseInt(match[1], 10);
+        }
+      }
       // Log progress periodically
       const timeMatch = output.match(/time=(\S+)/);
       if (timeMatch) {
@@ -181,12 +241,16 @@ export async function startRecording(options) {
     }
   });
 
+  if (onSpawn) {
+    onSpawn(ffmpegProcess);
+  }
+
   // Wait a moment to ensure ffmpeg starts successfully
   await new Promise((resolve, reject) => {
     const timeout = setTimeout(() => {
       if (!started) {
         ffmpegProcess.kill('SIGTERM');
-        reject(new Error(`ffmpeg failed to start within 5 seconds\nStderr: ${errorOutput}`));
+        reject(new JobError(`ffmpeg failed to start within 5 seconds\nStderr: ${errorOutput}`, 'ffmpeg'));
       } else {
         resolve();
       }
@@ -195,7 +259,7 @@ export async function startRecording(options) {
     ffmpegProcess.on('exit', (code) => {
       clearTimeout(timeout);
       if (code !== 0 && code !== null) {
-        reject(new Error(`ffmpeg exited prematurely with code ${code}\nStderr: ${errorOutput}`));
+        reject(new JobError(`ffmpeg exited prematurely with code ${code}\nStderr: ${errorOutput}`, 'ffmpeg'));
       }
     });
 
@@ -212,6 +276,57 @@ export async function startRecording(options) {
   return ffmpegProcess;
 }
 
+/**
+ * Start recording screen and audio with ffmpeg (x11grab backend)
+ * @param {Object} options - Recording options
+ * @param {number} options.displayNumber - X display number
+ * @param {string} options.audioSource - PulseAudio monitor source
+ * @param {string} options.outputPath - Output file path
+ * @param {string} options.resolution - Video resolution (e.g., '1920x1080')
+ * @param {number} options.framerate - Video framerate (default: 30)
+ * @param {string} options.format - Output profile name or alias (see lib/profiles.js, default: 'mp4-h264')
+ * @param {number} options.crf - Video quality (lower is better, range depends on the profile, default: 23)
+ * @param {string} options.preset - x264/x265 preset (default: 'fast')
+ * @param {string} options.audioBitrate - Audio bitrate (default: '128k')
+ * @param {number} options.keyframeInterval - Force a keyframe every N seconds (default: encoder choice)
+ * @param {Object} options.crop - Capture only this region ({x, y, width, height}, see cropRegion)
+ * @param {string} options.scale - Scale the capture to fit this size (e.g., '1280x720')
+ * @param {boolean} options.letterbox - Pad the scaled capture to exactly `scale` with black bars
+ * @returns {Promise<ChildProcess>}
+ */
+export async function startRecording(options) {
+  const {
+    displayNumber = 99,
+    audioSource,
+    resolution = '1920x1080',
+    framerate = 30,
+    crop = null,
+    scale = null,
+    letterbox = false
+  } = options;
+
+  log('Starting ffmpeg recording...');
+  const profile = await prepareCapture(options);
+
+  // Parse resolution (grab the whole display, or just the crop region at its offset)
+  const { width, height } = crop || parseResolution(resolution);
+  const grabInput = crop ? `:${displayNumber}+${crop.x},${crop.y}` : `:${displayNumber}`;
+
+  // Build ffmpeg command
+  const ffmpegArgs = [
+    '-y',                              // Overwrite output file
+    '-video_size', `${width}x${height}`,
+    '-framerate', framerate.toString(),
+    '-f', 'x11grab',
+    '-i', grabInput,                   // X11 display input
+    '-f', 'pulse',
+    '-i', audioSource,                 // PulseAudio input
+    ...captureOutputArgs(profile, options, scale ? [scaleFilter(scale, letterbox)] : [])
+  ];
+
+  return spawnCapture(ffmpegArgs, { displayNumber });
+}
+
 /**
  * Stop ffmpeg recording gracefully
  * @param {ChildProcess} ffmpegProcess - The ffmpeg process to stop
@@ -223,6 +338,11 @@ export async function stopRecording(ffmpegProcess, gracePeriod = 5000) {
     return;
   }
 
+  if (ffmpegProcess.exitCode !== null || ffmpegProcess.signalCode !== null) {
+    log('ffmpeg has already exited');
+    return;
+  }
+
   log('Stopping ffmpeg recording...');
 
   return new Promise((resolve) => {
@@ -271,6 +391,356 @@ export async function stopRecording(ffmpegProcess, gracePeriod = 5000) {
   });
 }
 
+/**
+ * Cut a recording down to a time window
+ * `copy` stream-copies (lossless, but the start snaps back to the previous keyframe);
+ * `precise` re-encodes with the recording settings for a frame-accurate cut
+ * @param {string} inputPath - Untrimmed recording
+ * @param {string} outputPath - Trimmed output path
+ * @param {Object} options - Trim options
+ * @param {number} options.start - Window start in seconds
+ * @param {number|null} options.end - Window end in seconds (null keeps everything after start)
+ * @param {string} options.mode - 'copy' or 'precise'
+ * @param {string} options.format - Output profile of the recording (default: 'mp4-h264')
+ * @param {number} options.crf - Video quality for precise mode
+ * @param {string} options.preset - ffmpeg preset for precise mode
+ * @param {string} options.audioBitrate - Audio bitrate for precise mode
+ * @param {number} options.framerate - Recording framerate for precise mode
+ * @returns {Promise<void>}
+ */
+export async function trimRecording(inputPath, outputPath, options) {
+  const {
+    start,
+    end = null,
+    mode = 'copy',
+    format = 'mp4-h264',
+    crf = 23,
+    preset = 'fast',
+    audioBitrate = '128k',
+    framerate = 30
+  } = options;
+
+  log(`Trimming recording to ${start.toFixed(2)}s-${end === null ? 'end' : `${end.toFixed(2)}s`} (${mode})`);
+
+  const profile = getProfile(format);
+  const codecArgs = mode === 'precise'
+    ? profileOutputArgs(profile, { crf, preset, audioBitrate, framerate, live: false })
+    : ['-c', 'copy', '-avoid_negative_ts', 'make_zero', ...profile.mux];
+
+  // Input seeking is keyframe-based for copy and frame-accurate when re-encoding
+  await runFfmpeg([
+    '-y',
+    '-ss', start.toFixed(3),
+    '-i', inputPath,
+    ...(end === null ? [] : ['-t', (end - start).toFixed(3)]),
+    ...codecArgs,
+    outputPath
+  ], 'trim');
+}
+
+/**
+ * Re-encode a finished recording with another output profile
+ * Used for profiles that can't be captured live (GIF/WebP previews) and for
+ * the second stage of two-stage capture; an optional window trims frame-accurately
+ * @param {string} inputPath - Source recording
+ * @param {string} outputPath - Encoded output path
+ * @param {Object} options - Encoding options
+ * @param {string} options.format - Output profile name or alias
+ * @param {number} options.crf - Video quality (if the profile uses it)
+ * @param {string} options.preset - x264/x265 preset (if the profile uses it)
+ * @param {string} options.audioBitrate - Audio bitrate (if the profile uses it)
+ * @param {number} options.framerate - Source framerate
+ * @param {number} options.start - Window start in seconds (default: 0)
+ * @param {number|null} options.end - Window end in seconds (null keeps everything after start)
+ * @param {number} options.priority - Process niceness (0-19, higher yields more CPU to live captures)
+ * @param {AbortSignal} options.signal - Kills ffmpeg when aborted
+ * @returns {Promise<void>}
+ */
+export async function encodeRecording(inputPath, outputPath, options) {
+  const {
+    format,
+    crf = 23,
+    preset = 'fast',
+    audioBitrate = '128k',
+    framerate = 30,
+    start = 0,
+    end = null,
+    priority = 0,
+    signal
+  } = options;
+
+  const profile = getProfile(format);
+  log(`Encoding ${profile.name}: ${outputPath}`);
+
+  await runFfmpeg([
+    '-y',
+    ...(start > 0 ? ['-ss', start.toFixed(3)] : []),
+    '-i', inputPath,
+    ...(end === null ? [] : ['-t', (end - start).toFixed(3)]),
+    ...profileOutputArgs(profile, { crf, preset, audioBitrate, framerate, live: false }),
+    outputPath
+  ], 'encode', { priority, signal });
+}
+
+/**
+ * Start an ffmpeg that encodes still frames written to it one at a time
+ * Used by virtual-time rendering: frames are produced slower than real time, so each
+ * one becomes exactly one output frame at `framerate`, with no audio track
+ * @param {Object} options - Capture options (outputPath, format, framerate, crf, preset, audioBitrate, keyframeInterval)
+ * @param {string} options.inputCodec - Codec of the written frames (default: 'png')
+ * @param {AbortSignal} options.signal - Kills ffmpeg when aborted
+ * @returns {Promise<{write: Function, finish: Function, abort: Function}>}
+ */
+export async function startFrameEncoder(options) {
+  const { framerate = 30, inputCodec = 'png', signal } = options;
+  const profile = await prepareCapture(options, { audio: false });
+
+  let ffmpeg = null;
+  const done = runFfmpeg([
+    '-y',
+    '-f', 'image2pipe',
+    '-framerate', framerate.toString(),
+    '-c:v', inputCodec,
+    '-i', 'pipe:0',                    // One image per output frame
+    // Rendering waits for the encoder, so it doesn't need realtime settings
+    ...captureOutputArgs(profile, { ...options, live: false }, ['pad=ceil(iw/2)*2:ceil(ih/2)*2'])
+  ], 'render', {
+    signal,
+    onSpawn: (child) => {
+      ffmpeg = child;
+      // A closed pipe surfaces as ffmpeg's exit code
+      child.stdin.on('error', () => {});
+    }
+  });
+  done.catch(() => {});
+
+  return {
+    /**
+     * Write one frame, waiting while ffmpeg catches up
+     * @param {Buffer} frame - Encoded image
+     */
+    write: async (frame) => {
+      if (!ffmpeg.stdin.write(frame)) {
+        await Promise.race([once(ffmpeg.stdin, 'drain'), done]);
+      }
+    },
+    /**
+     * Close the frame pipe and wait for ffmpeg to finalize the file
+     */
+    finish: async () => {
+      ffmpeg.stdin.end();
+      await done;
+    },
+    /**
+     * Kill ffmpeg without finalizing the file
+     */
+    abort: () => {
+      if (ffmpeg.exitCode === null && ffmpeg.signalCode === null) {
+        ffmpeg.kill('SIGKILL');
+      }
+    }
+  };
+}
+
+/**
+ * Run an offline ffmpeg job (trim, encode, render) to completion
+ * @param {string[]} ffmpegArgs - ffmpeg arguments
+ * @param {string} label - Short job name for error messages
+ * @param {Object} options
+ * @param {number} options.priority - Process niceness (default: 0)
+ * @param {AbortSignal} options.signal - Kills ffmpeg when aborted
+ * @param {Function} options.onSpawn - Called with the process; stdin is a pipe when given
+ * @param {string[]} options.redact - Flags whose values are left out of the log (cookies, headers)
+ * @returns {Promise<void>} Rejects with an 'ffmpeg' JobError ('environment' when ffmpeg is missing)
+ */
+function runFfmpeg(ffmpegArgs, label, { priority = 0, signal, onSpawn = null, redact = [] } = {}) {
+  const logged = ffmpegArgs.map((arg, i) => (i > 0 && redact.includes(ffmpegArgs[i - 1]) ? '<redacted>' : arg));
+  log(`ffmpeg command: ffmpeg ${logged.join(' ')}`);
+
+  return new Promise((resolve, reject) => {
+    const ffmpeg = spawn('ffmpeg', ffmpegArgs, { stdio: [onSpawn ? 'pipe' : 'ignore', 'ignore', 'pipe'], signal });
+    if (onSpawn) {
+      onSpawn(ffmpeg);
+    }
+
+    if (priority && ffmpeg.pid) {
+      try {
+        setPriority(ffmpeg.pid, priority);
+      } catch (err) {
+        log(`Could not lower ffmpeg ${label} priority: ${err.message}`);
+      }
+    }
+
+    let errorOutput = '';
+    ffmpeg.stderr.on('data', (data) => {
+      errorOutput += data.toString();
+    });
+
+    ffmpeg.on('error', (err) => reject(new JobError(
+      `Failed to run ffmpeg for ${label}: ${err.message}`,
+      err.code === 'ENOENT' ? 'environment' : 'ffmpeg',
+      { cause: err }
+    )));
+    ffmpeg.on('exit', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new JobError(`ffmpeg ${label} exited with code ${code}\nStderr: ${errorOutput.slice(-2000)}`, 'ffmpeg'));
+      }
+    });
+  });
+}
+
+/**
+ * Trim a finished recording in place, optionally keeping the untrimmed master
+ * The master is kept next to the output as `<name>.master.<ext>`
+ * @param {string} outputPath - Recording to trim
+ * @param {Object} options - trimRecording options plus `keepMaster`
+ * @returns {Promise<{masterPath: string|null}>}
+ */
+export async function trimInPlace(outputPath, options) {
+  const { keepMaster = false, ...trimOptions } = options;
+  const masterPath = outputPath.replace(/(\.[^./]+)?$/, '.master$1');
+
+  renameSync(outputPath, masterPath);
+  try {
+    await trimRecording(masterPath, outputPath, trimOptions);
+  } catch (err) {
+    // Put the untrimmed file back so the recording isn't lost
+    renameSync(masterPath, outputPath);
+    throw err;
+  }
+
+  if (keepMaster) {
+    log(`Untrimmed master kept at ${masterPath}`);
+    return { masterPath };
+  }
+
+  unlinkSync(masterPath);
+  return { masterPath: null };
+}
+
+/**
+ * Quote a path for an ffmpeg concat list
+ */
+function escapeConcatPath(path) {
+  return `'${path.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Escape a value for an FFMETADATA file
+ */
+function escapeMetadata(value) {
+  return value.replace(/[=;#\\\n]/g, (char) => `\\${char}`);
+}
+
+/**
+ * Join recordings end to end into one file with a chapter per input
+ * Inputs must share codecs and frame size (recorded with the same profile, resolution and
+ * crop scale), since the streams are copied rather than re-encoded
+ * @param {string[]} inputPaths - Recordings in playback order
+ * @param {string} outputPath - Joined output path
+ * @param {Object} options
+ * @param {string} options.format - Output profile shared by the inputs
+ * @param {{title: string, start: number, end: number}[]} options.chapters - Chapter per input, in seconds
+ * @param {AbortSignal} options.signal - Kills ffmpeg when aborted
+ * @returns {Promise<void>}
+ */
+export async function concatRecordings(inputPaths, outputPath, { format, chapters, signal } = {}) {
+  const profile = getProfile(format);
+  const listPath = `${outputPath}.concat.txt`;
+  const metadataPath = `${outputPath}.chapters.txt`;
+
+  writeFileSync(listPath, inputPaths.map(path => `file ${escapeConcatPath(resolve(path))}\n`).join(''));
+  writeFileSync(metadataPath, [
+    ';FFMETADATA1',
+    ...chapters.flatMap(({ title, start, end }) => [
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(start * 1000)}`,
+      `END=${Math.round(end * 1000)}`,
+      `title=${escapeMetadata(title)}`
+    ])
+  ].join('\n') + '\n');
+
+  log(`Joining ${inputPaths.length} recordings into ${outputPath}`);
+  try {
+    await runFfmpeg([
+      '-y',
+      '-f', 'concat',
+      '-safe', '0',
+      '-i', listPath,
+      '-i', metadataPath,
+      '-map', '0',
+      '-map_metadata', '1',
+      '-map_chapters', '1',
+      '-c', 'copy',
+      ...profile.mux,
+      outputPath
+    ], 'concat', { signal });
+  } finally {
+    unlinkSync(listPath);
+    unlinkSync(metadataPath);
+  }
+}
+
+/**
+ * Download a video source over HTTP(S) without re-encoding
+ * HLS playlists are fetched segment by segment by ffmpeg's HLS demuxer, which sends the
+ * same user agent, referer, cookies and headers for every playlist and segment request
+ * @param {string} url - Progressive file or HLS playlist URL
+ * @param {string} outputPath - Output path (Matroska holds any web codec)
+ * @param {Object} options
+ * @param {Object} options.session - { userAgent, referer, cookies: string[], headers: Object }
+ * @param {number|null} options.program - HLS variant to keep (null: the first video and audio)
+ * @param {number|null} options.duration - Stop after this many seconds (null: whole source)
+ * @param {AbortSignal} options.signal - Kills ffmpeg when aborted
+ * @returns {Promise<void>}
+ */
+export async function downloadStream(url, outputPath, { session, program = null, duration = null, signal } = {}) {
+  const { userAgent, referer, cookies = [], headers = {} } = session;
+  const headerLines = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('');
+  const input = program === null ? '0' : `0:p:${program}`;
+
+  log(`Downloading ${url}`);
+  await runFfmpeg([
+    '-y',
+    ...(userAgent ? ['-user_agent', userAgent] : []),
+    ...(referer ? ['-referer', referer] : []),
+    ...(cookies.length > 0 ? ['-cookies', cookies.join('\n') + '\n'] : []),
+    ...(headerLines ? ['-headers', headerLines] : []),
+    '-i', url,
+    ...(duration ? ['-t', duration.toFixed(3)] : []),
+    '-map', `${input}:v:0`,
+    '-map', `${input}:a:0?`,
+    '-c', 'copy',
+    outputPath
+  ], 'download', { signal, redact: ['-cookies', '-headers'] });
+}
+
+/**
+ * Copy a recording's streams into another container without re-encoding
+ * @param {string} inputPath - Source file
+ * @param {string} outputPath - Output path
+ * @param {Object} options
+ * @param {string} options.format - Output profile (its codecs must match the source)
+ * @param {AbortSignal} options.signal - Kills ffmpeg when aborted
+ * @returns {Promise<void>}
+ */
+export async function remuxRecording(inputPath, outputPath, { format, signal } = {}) {
+  const profile = getProfile(format);
+  log(`Remuxing into ${profile.name}: ${outputPath}`);
+
+  await runFfmpeg([
+    '-y',
+    '-i', inputPath,
+    '-map', '0',
+    '-c', 'copy',
+    ...profile.mux,
+    outputPath
+  ], 'remux', { signal });
+}
+
 /**
  * Estimate recording file size
  * @param {number} durationSeconds - Recording duration
@@ -0,0 +1,355 @@
+/**
+ * Adaptive-bitrate renditions
+ * HLS and DASH players start on a low rendition and step up while playing, so the first
+ * seconds of a recording come out blurry. The streaming engine behind the video (hls.js,
+ * dash.js or the browser's native HLS) is told to use its top rendition, and the video is
+ * warmed up muted until the switch has landed, before capture starts
+ */
+
+import { log, sleep } from './cleanup.js';
+import { trackHlsInstances } from './players.js';
+
+/**
+ * Keep a reference to every dash.js player a page creates
+ * Like HLS.js, dash.js has no registry; the UMD build assigns `window.dashjs`, whose
+ * MediaPlayer() factory is wrapped on assignment
+ */
+function trackDashPlayers() {
+  if (window.__recorderDashPlayers) {
+    return;
+  }
+  const players = [];
+  let dashjs;
+  Object.defineProperty(window, '__recorderDashPlayers', { value: players });
+  Object.defineProperty(window, 'dashjs', {
+    configurable: true,
+    get: () => dashjs,
+    set: (value) => {
+      dashjs = value;
+      if (!value || typeof value.MediaPlayer !== 'function') {
+        return;
+      }
+      const MediaPlayer = value.MediaPlayer;
+      value.MediaPlayer = Object.assign(function (...args) {
+        const factory = MediaPlayer.apply(this, args);
+        const create = factory.create;
+        factory.create = function (...createArgs) {
+          const player = create.apply(this, createArgs);
+          players.push(player);
+          return player;
+        };
+        return factory;
+      }, MediaPlayer);
+    }
+  });
+}
+
+/**
+ * List the variants of an HLS master playlist
+ * @param {string} playlist - Playlist text
+ * @returns {{line: number, uri: number, width: number|null, height: number|null, bandwidth: number|null}[]}
+ *   Variants in playlist order, with the line indexes of their tag and URI (empty for a media playlist)
+ */
+export function hlsVariants(playlist) {
+  const lines = playlist.split(/\r?\n/);
+  const variants = [];
+  lines.forEach((line, i) => {
+    if (!line.startsWith('#EXT-X-STREAM-INF:')) {
+      return;
+    }
+    const uri = lines.findIndex((next, j) => j > i && next.trim() && !next.startsWith('#'));
+    const resolution = /RESOLUTION=(\d+)x(\d+)/.exec(line);
+    const bandwidth = /[:,]BANDWIDTH=(\d+)/.exec(line);
+    variants.push({
+      line: i,
+      uri,
+      width: resolution ? parseInt(resolution[1], 10) : null,
+      height: resolution ? parseInt(resolution[2], 10) : null,
+      bandwidth: bandwidth ? parseInt(bandwidth[1], 10) : null
+    });
+  });
+  return variants;
+}
+
+/**
+ * Pick the best of a playlist's variants, by resolution then bandwidth
+ * @param {Object[]} variants - Variants from hlsVariants() (at least one)
+ * @returns {Object} The top variant
+ */
+export function bestVariant(variants) {
+  return variants.reduce((best, variant) =>
+    (variant.height || 0) > (best.height || 0) ||
+    ((variant.height || 0) === (best.height || 0) && (variant.bandwidth || 0) > (best.bandwidth || 0))
+      ? variant
+      : best);
+}
+
+/**
+ * Pick the top variant of an HLS master playlist, by resolution then bandwidth
+ * @param {string} playlist - Playlist text
+ * @returns {{playlist: string, width: number|null, height: number|null, bandwidth: number|null}|null}
+ *   The playlist with only that variant left, or null for a media playlist or a single variant
+ */
+export function topVariant(playlist) {
+  const lines = playlist.split(/\r?\n/);
+  const variants = hlsVariants(playlist);
+  if (variants.length < 2) {
+    return null;
+  }
+
+  const top = bestVariant(variants);
+  const dropped = new Set(variants.filter(variant => variant !== top).flatMap(({ line, uri }) => [line, uri]));
+
+  return {
+    playlist: lines.filter((_, i) => !dropped.has(i)).join('\n'),
+    width: top.width,
+    height: top.height,
+    bandwidth: top.bandwidth
+  };
+}
+
+/**
+ * Serve native HLS master playlists with only their top variant
+ * The browser's own HLS player has no API for picking a rendition, so it is given no choice.
+ * Only the page's own process is covered (not out-of-process cross-origin iframes)
+ * @param {Page} page - Puppeteer page
+ * @param {Object} state - Receives `native` ({ url, width, height, bandwidth }) for the last rewrite
+ */
+async function rewriteNativeHls(page, state) {
+  const client = await page.createCDPSession();
+
+  client.on('Fetch.requestPaused', async ({ requestId, request, responseStatusCode, responseHeaders = [] }) => {
+    try {
+      if (responseStatusCode === 200) {
+        const { body, base64Encoded } = await client.send('Fetch.getResponseBody', { requestId });
+        const top = topVariant(base64Encoded ? Buffer.from(body, 'base64').toString('utf-8') : body);
+        if (top) {
+          const { playlist, ...variant } = top;
+          state.native = { url: request.url, ...variant };
+          log(`Native HLS: serving only the top rendition${top.height ? ` (${top.height}p)` : ''} of ${request.url}`);
+          // The body is rewritten decoded, so its encoding and length no longer apply
+          await client.send('Fetch.fulfillRequest', {
+            requestId,
+            responseCode: 200,
+            responseHeaders: responseHeaders.filter(({ name }) => !/^content-(encoding|length)$/i.test(name)),
+            body: Buffer.from(playlist).toString('base64')
+          });
+          return;
+        }
+      }
+      await client.send('Fetch.continueRequest', { requestId });
+    } catch (err) {
+      log(`Warning: Could not rewrite HLS playlist ${request.url}: ${err.message}`);
+      await client.send('Fetch.continueRequest', { requestId }).catch(() => {});
+    }
+  });
+
+  await client.send('Fetch.enable', {
+    patterns: [{ urlPattern: '*.m3u8*', resourceType: 'Media', requestStage: 'Response' }]
+  });
+}
+
+/**
+ * Track streaming engines and rewrite native HLS playlists
+ * Must be called before navigating
+ * @param {Page} page - Puppeteer page
+ * @returns {Promise<Object>} State to pass to forceTopRendition()
+ */
+export async function installRenditionHooks(page) {
+  const state = { native: null };
+  await page.evaluateOnNewDocument(trackHlsInstances);
+  await page.evaluateOnNewDocument(trackDashPlayers);
+  await rewriteNativeHls(page, state);
+  return state;
+}
+
+/**
+ * Tell the engine playing a video to use its top rendition (and stop adapting)
+ * @param {Page|Frame} frame - Page or iframe holding the video
+ * @param {string|ElementHandle} selector - Video element selector, or its handle
+ * @param {Object} state - From installRenditionHooks()
+ * @returns {Promise<{engine: string, quality: string|null, width: number|null, height: number|null}|null>}
+ *   null when the video isn't an adaptive stream of a known engine
+ */
+export async function forceTopRendition(frame, selector, state) {
+  const forced = await frame.evaluate((sel) => {
+    const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
+    if (!video) {
+      return null;
+    }
+
+    // Highest by height, then bitrate
+    const best = (levels, bitrate) => levels.reduce((top, level, i) => {
+      if (top < 0) {
+        return i;
+      }
+      const current = levels[top];
+      return (level.height || 0) > (current.height || 0) ||
+        ((level.height || 0) === (current.height || 0) && (bitrate(level) || 0) > (bitrate(current) || 0))
+        ? i
+        : top;
+    }, -1);
+    const describe = (engine, level) => ({
+      engine,
+      quality: level && level.height ? `${level.height}p` : null,
+      width: level ? level.width || null : null,
+      height: level ? level.height || null : null
+    });
+
+    const hls = (window.__recorderHlsInstances || []).concat(window.hls || []).find(instance => instance.media === video);
+    if (hls) {
+      const levels = hls.levels || [];
+      const index = best(levels, level => level.bitrate);
+      // Locks the level (disables ABR) and flushes what was buffered at the old one
+      if (index >= 0 && (hls.autoLevelEnabled || hls.currentLevel !== index)) {
+        hls.currentLevel = index;
+      }
+      return describe('hlsjs', levels[index]);
+    }
+
+    const dash = (window.__recorderDashPlayers || []).find(player => {
+      try {
+        return player.getVideoElement() === video;
+      } catch {
+        return false;
+      }
+    });
+    if (dash) {
+      dash.updateSettings({ streaming: { abr: { autoSwitchBitrate: { video: false } } } });
+      // dash.js 5 lists representations; 4 lists bitrate infos
+      if (typeof dash.getRepresentationsByType === 'function') {
+        const representations = dash.getRepresentationsByType('video') || [];
+        const index = best(representations, r => r.bandwidth);
+        if (index >= 0) {
+          dash.setRepresentationForTypeByIndex('video', index, true);
+        }
+        return describe('dashjs', representations[index]);
+      }
+      const levels = dash.getBitrateInfoListFor('video') || [];
+      const index = best(levels, level => level.bitrate);
+      if (index >= 0) {
+        dash.setQualityFor('video', levels[index].qualityIndex, true);
+      }
+      return describe('dashjs', levels[index]);
+    }
+
+    if (/\.m3u8($|[?#])/i.test(video.currentSrc || '')) {
+      return describe('native-hls', null);
+    }
+    return null;
+  }, selector);
+
+  if (forced && forced.engine === 'native-hls' && state && state.native) {
+    const { width, height } = state.native;
+    Object.assign(forced, { width, height, quality: height ? `${height}p` : null });
+  }
+  if (forced) {
+    log(`Adaptive stream (${forced.engine}): requested top rendition${forced.quality ? ` ${forced.quality}` : ''}`);
+  }
+  return forced;
+}
+
+/**
+ * Play the video muted until the rendition switch has landed, then rewind it
+ * Settled once the frame reaches the requested height, or (height unknown) once the
+ * frame size has held for two seconds of playback
+ * @param {Page|Frame} frame - Page or iframe holding the video
+ * @param {string|ElementHandle} selector - Video element selector, or its handle
+ * @param {Object} options
+ * @param {number|null} options.height - Requested rendition height
+ * @param {number} options.timeout - Longest warm-up (ms)
+ * @returns {Promise<{settled: boolean, width: number, height: number, seconds: number}>}
+ */
+export async function warmUpRendition(frame, selector, { height = null, timeout = 20000 } = {}) {
+  const startedAt = Date.now();
+  await frame.evaluate((sel) => {
+    const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
+    video.__recorderWarmUp = { muted: video.muted, time: video.currentTime };
+    video.muted = true;
+    Promise.resolve(video.play()).catch(() => {});
+  }, selector);
+
+  let settled = false;
+  let size = { width: 0, height: 0 };
+  let stableSince = null;
+  while (!settled && Date.now() - startedAt < timeout) {
+    await sleep(250);
+    const current = await frame.evaluate((sel) => {
+      const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
+      return { width: video.videoWidth, height: video.videoHeight, playing: !video.paused && video.currentTime > 0 };
+    }, selector);
+    if (current.width !== size.width || current.height !== size.height) {
+      stableSince = Date.now();
+    }
+    size = current;
+    settled = height
+      ? current.height >= height
+      : current.playing && current.height > 0 && Date.now() - stableSince >= 2000;
+  }
+
+  // Back to where the page left it; a live stream keeps its position
+  await frame.evaluate(async (sel) => {
+    const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
+    const { muted, time } = video.__recorderWarmUp;
+    delete video.__recorderWarmUp;
+    video.pause();
+    video.muted = muted;
+    if (isFinite(video.duration) && video.currentTime !== time) {
+      const seeked = new Promise(resolve => video.addEventListener('seeked', resolve, { once: true }));
+      video.currentTime = time;
+      await Promise.race([seeked, new Promise(resolve => setTimeout(resolve, 5000))]);
+    }
+  }, selector);
+
+  const seconds = (Date.now() - startedAt) / 1000;
+  log(settled
+    ? `Rendition settled at ${size.width}x${size.height} after ${seconds.toFixed(1)}s warm-up`
+    : `Warning: Rendition still ${size.width}x${size.height} after ${seconds.toFixed(1)}s warm-up, recording anyway`);
+  return { settled, width: size.width, height: size.height, seconds };
+}
+
+/**
+ * Log the video's frame size from now on, from `resize` events and polling
+ * (some engines swap renditions without a resize event)
+ * @param {Page|Frame} frame - Page or iframe holding the video
+ * @param {string|ElementHandle} selector - Video element selector, or its handle
+ * @returns {Promise<void>}
+ */
+export async function watchRenditions(frame, selector) {
+  await frame.evaluate((sel) => {
+    const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
+    const changes = [];
+    const check = () => {
+      const last = changes[changes.length - 1];
+      if (video.videoWidth && (!last || last.width !== video.videoWidth || last.height !== video.videoHeight)) {
+        changes.push({ at: performance.timeOrigin + performance.now(), width: video.videoWidth, height: video.videoHeight });
+      }
+    };
+    check();
+    video.addEventListener('resize', check);
+    video.__recorderRenditions = { changes, stop: () => {
+      clearInterval(interval);
+      video.removeEventListener('resize', check);
+    } };
+    const interval = setInterval(check, 250);
+  }, selector);
+}
+
+/**
+ * Stop watching and read the frame sizes seen since watchRenditions()
+ * @param {Page|Frame} frame - Page or iframe holding the video
+ * @param {string|ElementHandle} selector - Video element selector, or its handle
+ * @returns {Promise<{at: number, width: number, height: number}[]>} `at` is epoch ms
+ */
+export async function getRenditionChanges(frame, selector) {
+  return frame.evaluate((sel) => {
+    const video = typeof sel === 'string' ? document.querySelector(sel) : sel;
+    if (!video || !video.__recorderRenditions) {
+      return [];
+    }
+    const { changes, stop } = video.__recorderRenditions;
+    stop();
+    delete video.__recorderRenditions;
+    return changes;
+  }, selector);
+}
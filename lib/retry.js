@@ -0,0 +1,75 @@
+/**
+ * Batch job retries
+ * Classifies recording failures and retries transient ones with exponential backoff
+ */
+
+import { log, sleep } from './cleanup.js';
+import { FAILURE_CATEGORIES, puppeteerCategory } from './errors.js';
+
+/**
+ * Classify a recording failure
+ * Job errors carry their category (see lib/errors.js) and Puppeteer protocol errors and
+ * timeouts are retryable; anything unrecognized fails the job for good
+ * @param {Error|null} error - Error that failed the recording
+ * @returns {{category: string, retryable: boolean}}
+ */
+export function classifyFailure(error) {
+  if (error && typeof error.category === 'string' && typeof error.retryable === 'boolean') {
+    return { category: error.category, retryable: error.retryable };
+  }
+  const category = puppeteerCategory(error);
+  if (category) {
+    return { category, retryable: FAILURE_CATEGORIES[category] };
+  }
+  return { category: 'unknown', retryable: false };
+}
+
+/**
+ * Delay before a given retry
+ * @param {number} retry - 1-based retry number
+ * @param {number} baseDelay - Delay before the first retry (ms)
+ * @param {number} maxDelay - Upper bound (ms)
+ * @returns {number} Milliseconds
+ */
+export function backoffDelay(retry, baseDelay, maxDelay) {
+  return Math.min(baseDelay * Math.pow(2, retry - 1), maxDelay);
+}
+
+/**
+ * Wrap a batch recordFn so retryable failures are attempted again
+ * Failed results carry the `failure` the recorder classified ({ category, retryable });
+ * results without one are not retried. Results gain `attempts`
+ * @param {Function} recordFn - Recording function (options) => result
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Extra attempts after the first (0 disables retries)
+ * @param {number} options.baseDelay - Delay before the first retry (ms)
+ * @param {number} options.maxDelay - Maximum delay between attempts (ms)
+ * @returns {Function} Wrapped recording function
+ */
+export function withRetries(recordFn, { retries = 0, baseDelay = 5000, maxDelay = 60000 } = {}) {
+  return async (options) => {
+    const prefix = options.jobLabel ? `${options.jobLabel} ` : '';
+    let attempt = 0;
+
+    for (;;) {
+      attempt++;
+      const result = await recordFn(options);
+
+      if (result.success) {
+        return { ...result, attempts: attempt };
+      }
+
+      const failure = result.failure || classifyFailure(null);
+      if (!failure.retryable || attempt > retries) {
+        if (!failure.retryable && retries > 0) {
+          log(`${prefix}Not retrying ${failure.category} failure`);
+        }
+        return { ...result, attempts: attempt, failure };
+      }
+
+      const delay = backoffDelay(attempt, baseDelay, maxDelay);
+      log(`${prefix}Attempt ${attempt}/${retries + 1} failed (${failure.category}), retrying in ${delay / 1000}s...`);
+      await sleep(delay);
+    }
+  };
+}
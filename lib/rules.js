@@ -0,0 +1,246 @@
+/**
+ * Request rules (--request-rules, --block-ads)
+ * Blocks, stubs or rewrites the page's requests (pre-roll ads, analytics beacons, chat
+ * widgets) before they are sent, through CDP Fetch. The first rule whose URL pattern
+ * matches a request decides what happens to it; unmatched requests are checked against
+ * the built-in blocklist when it is enabled, then sent unchanged
+ */
+
+import { readFileSync } from 'fs';
+import { dirname, extname, resolve } from 'path';
+import { log } from './cleanup.js';
+import { JobError } from './errors.js';
+import { isBlocklisted } from './blocklist.js';
+
+/**
+ * Rule actions
+ * - block:    fail the request (as an ad blocker does)
+ * - redirect: answer with a local file instead (`file`, relative to the rules file)
+ * - replace:  answer with `body` instead (`status`, `contentType` optional)
+ * - headers:  send the request with extra or replaced `headers`
+ * - allow:    send the request unchanged, skipping later rules and the blocklist
+ */
+export const RULE_ACTIONS = ['block', 'redirect', 'replace', 'headers', 'allow'];
+
+/**
+ * Content types for redirect files, by extension
+ */
+const CONTENT_TYPES = {
+  '.js': 'application/javascript',
+  '.mjs': 'application/javascript',
+  '.json': 'application/json',
+  '.css': 'text/css',
+  '.html': 'text/html',
+  '.txt': 'text/plain',
+  '.xml': 'application/xml',
+  '.vtt': 'text/vtt',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml'
+};
+
+/**
+ * Compile a URL pattern, where `*` matches any run of characters and `?` one character
+ * (the wildcards of CDP Fetch patterns)
+ * @param {string} pattern - URL pattern, e.g. `*://*.doubleclick.net/*`
+ * @returns {RegExp}
+ */
+function compilePattern(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Check a rules definition and normalize it to { rules, blocklist }
+ * Accepts a list of rules, or an object with `rules` and an optional `blocklist` flag
+ * @param {Object|Object[]} definition - Rules definition
+ * @param {Object} options
+ * @param {string|null} options.baseDir - Directory redirect files are relative to
+ *   (null rejects redirect rules, for definitions that must not read local files)
+ * @returns {{rules: Object[], blocklist: boolean}}
+ */
+export function parseRequestRules(definition, { baseDir = process.cwd() } = {}) {
+  const { rules, blocklist = false } = Array.isArray(definition) ? { rules: definition } : (definition || {});
+
+  if (!Array.isArray(rules)) {
+    throw new JobError('Invalid request rules: expected a list of rules or an object with "rules"', 'invalid-job');
+  }
+  if (typeof blocklist !== 'boolean') {
+    throw new JobError('Invalid request rules: "blocklist" must be a boolean', 'invalid-job');
+  }
+
+  const parsed = rules.map((rule, index) => {
+    const where = `Invalid request rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object' || !RULE_ACTIONS.includes(rule.action)) {
+      throw new JobError(`${where}: action must be one of ${RULE_ACTIONS.join(', ')}`, 'invalid-job');
+    }
+    if (typeof rule.url !== 'string' || !rule.url) {
+      throw new JobError(`${where} (${rule.action}): "url" must be a URL pattern`, 'invalid-job');
+    }
+    if (rule.resourceTypes !== undefined && !(Array.isArray(rule.resourceTypes) && rule.resourceTypes.every(type => typeof type === 'string'))) {
+      throw new JobError(`${where} (${rule.action}): "resourceTypes" must be a list of resource types (Script, XHR, Media...)`, 'invalid-job');
+    }
+
+    const compiled = {
+      url: rule.url,
+      action: rule.action,
+      pattern: compilePattern(rule.url),
+      resourceTypes: rule.resourceTypes ? rule.resourceTypes.map(type => type.toLowerCase()) : null
+    };
+
+    if (rule.action === 'redirect') {
+      if (baseDir === null) {
+        throw new JobError(`${where} (redirect): local files can't be used here; use "replace" with an inline body`, 'invalid-job');
+      }
+      if (typeof rule.file !== 'string') {
+        throw new JobError(`${where} (redirect): "file" must be a path`, 'invalid-job');
+      }
+      const filePath = resolve(baseDir, rule.file);
+      try {
+        compiled.body = readFileSync(filePath);
+      } catch (err) {
+        throw new JobError(`${where} (redirect): can't read ${rule.file}: ${err.message}`, 'invalid-job');
+      }
+      compiled.status = 200;
+      compiled.contentType = rule.contentType || CONTENT_TYPES[extname(filePath).toLowerCase()] || 'application/octet-stream';
+    }
+
+    if (rule.action === 'replace') {
+      if (typeof rule.body !== 'string') {
+        throw new JobError(`${where} (replace): "body" must be a string`, 'invalid-job');
+      }
+      if (rule.status !== undefined && !(Number.isInteger(rule.status) && rule.status >= 100 && rule.status <= 599)) {
+        throw new JobError(`${where} (replace): "status" must be an HTTP status code`, 'invalid-job');
+      }
+      compiled.body = Buffer.from(rule.body);
+      compiled.status = rule.status || 200;
+      compiled.contentType = rule.contentType || 'text/plain';
+    }
+
+    if (rule.action === 'headers') {
+      const { headers } = rule;
+      if (!headers || typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(value => typeof value !== 'string')) {
+        throw new JobError(`${where} (headers): "headers" must be an object of header names and string values`, 'invalid-job');
+      }
+      compiled.headers = headers;
+    }
+
+    return compiled;
+  });
+
+  return { rules: parsed, blocklist };
+}
+
+/**
+ * Load request rules from a JSON file
+ * @param {string} filePath - Path to a .json file
+ * @returns {{rules: Object[], blocklist: boolean}}
+ */
+export function loadRequestRules(filePath) {
+  const fullPath = resolve(filePath);
+  let definition;
+  try {
+    definition = JSON.parse(readFileSync(fullPath, 'utf-8'));
+  } catch (err) {
+    throw new JobError(`Invalid request rules ${filePath}: ${err.message}`, 'invalid-job');
+  }
+  return parseRequestRules(definition, { baseDir: dirname(fullPath) });
+}
+
+/**
+ * Answer, rewrite, fail or continue one paused request
+ * @param {CDPSession} client - Session with Fetch enabled
+ * @param {string} requestId - Paused request
+ * @param {Object} request - CDP request ({ headers })
+ * @param {Object} rule - Matching rule
+ */
+async function applyRule(client, requestId, request, rule) {
+  switch (rule.action) {
+    case 'block':
+      await client.send('Fetch.failRequest', { requestId, errorReason: 'BlockedByClient' });
+      break;
+    case 'redirect':
+    case 'replace':
+      await client.send('Fetch.fulfillRequest', {
+        requestId,
+        responseCode: rule.status,
+        responseHeaders: [{ name: 'Content-Type', value: rule.contentType }],
+        body: rule.body.toString('base64')
+      });
+      break;
+    case 'headers': {
+      // continueRequest replaces the whole header set, so the page's own headers are kept
+      const headers = { ...request.headers };
+      for (const [name, value] of Object.entries(rule.headers)) {
+        const existing = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+        if (existing) {
+          delete headers[existing];
+        }
+        headers[name] = value;
+      }
+      await client.send('Fetch.continueRequest', {
+        requestId,
+        headers: Object.entries(headers).map(([name, value]) => ({ name, value }))
+      });
+      break;
+    }
+    default:
+      await client.send('Fetch.continueRequest', { requestId });
+  }
+}
+
+/**
+ * Apply request rules to a page's requests
+ * Covers the page and its same-process iframes. Must be called before navigating
+ * @param {Page} page - Puppeteer page
+ * @param {{rules: Object[], blocklist: boolean}} requestRules - From loadRequestRules() or parseRequestRules()
+ * @returns {Promise<{hits: Function}>} hits() returns { rules: [{ url, action, hits }], blocklist? }
+ */
+export async function installRequestRules(page, { rules, blocklist }) {
+  const client = await page.createCDPSession();
+  const counts = rules.map(() => 0);
+  let blocked = 0;
+
+  client.on('Fetch.requestPaused', async ({ requestId, request, resourceType }) => {
+    try {
+      const type = (resourceType || '').toLowerCase();
+      const index = rules.findIndex(rule =>
+        rule.pattern.test(request.url) && (!rule.resourceTypes || rule.resourceTypes.includes(type)));
+      if (index >= 0) {
+        counts[index] += 1;
+        await applyRule(client, requestId, request, rules[index]);
+      } else if (blocklist && isBlocklisted(request.url)) {
+        blocked += 1;
+        await client.send('Fetch.failRequest', { requestId, errorReason: 'BlockedByClient' });
+      } else {
+        await client.send('Fetch.continueRequest', { requestId });
+      }
+    } catch (err) {
+      // The page may have navigated away or closed; never leave a request paused
+      log(`Warning: Request rule failed for ${request.url}: ${err.message}`);
+      await client.send('Fetch.continueRequest', { requestId }).catch(() => {});
+    }
+  });
+
+  await client.send('Fetch.enable', { patterns: [{ urlPattern: '*', requestStage: 'Request' }] });
+
+  return {
+    /**
+     * Requests handled by each rule (and failed by the blocklist) so far
+     * @returns {{rules: Object[], blocklist?: number}}
+     */
+    hits: () => ({
+      rules: rules.map(({ url, action }, index) => ({ url, action, hits: counts[index] })),
+      ...(blocklist ? { blocklist: blocked } : {})
+    })
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * CDP screencast capture backend
+ * Pulls compositor frames with Page.startScreencast and pipes them into ffmpeg,
+ * placed on a constant-framerate timeline by their compositor timestamps
+ */
+
+import { log } from './cleanup.js';
+import { prepareCapture, captureOutputArgs, spawnCapture, scaleFilter } from './recorder.js';
+
+/**
+ * Frames a slot may wait for its compositor frame before the previous frame is repeated
+ * (absorbs CDP delivery latency without wall-clock sampling)
+ */
+const FILL_LAG_FRAMES = 3;
+
+/**
+ * Stop writing filler frames when ffmpeg falls this far behind (bytes buffered on stdin)
+ */
+const MAX_PIPE_BACKLOG = 64 * 1024 * 1024;
+
+/**
+ * Start recording the page's compositor frames and audio with ffmpeg (screencast backend)
+ * Takes the same options as startRecording(); `crop` is in viewport pixels, which match
+ * display pixels since the browser window is fullscreen
+ * @param {Page} page - Puppeteer page to capture
+ * @param {Object} options - Recording options (see startRecording)
+ * @returns {Promise<ChildProcess>} ffmpeg process with a `screencast` handle ({ stop(), stats })
+ */
+export async function startScreencastRecording(page, options) {
+  const {
+    displayNumber = 99,
+    audioSource,
+    resolution = '1920x1080',
+    framerate = 30,
+    crop = null,
+    scale = null,
+    letterbox = false
+  } = options;
+
+  log('Starting screencast recording...');
+  const profile = await prepareCapture(options);
+
+  const [maxWidth, maxHeight] = resolution.split('x').map(Number);
+  const filters = [
+    ...(crop ? [`crop=${crop.width}:${crop.height}:${crop.x}:${crop.y}`] : []),
+    scale ? scaleFilter(scale, letterbox) : 'pad=ceil(iw/2)*2:ceil(ih/2)*2'
+  ];
+
+  // JPEG frames arrive on stdin; timestamps come from their slot on the framerate grid
+  const ffmpegArgs = [
+    '-y',
+    '-f', 'image2pipe',
+    '-framerate', framerate.toString(),
+    '-c:v', 'mjpeg',
+    '-i', 'pipe:0',                    // Screencast frames
+    '-f', 'pulse',
+    '-i', audioSource,                 // PulseAudio input
+    '-shortest',                       // Finish when the frame pipe closes
+    ...captureOutputArgs(profile, options, filters)
+  ];
+
+  const client = await page.createCDPSession();
+  const stats = { received: 0, written: 0, repeated: 0, late: 0, skipped: 0 };
+  const startedAt = Date.now() / 1000;
+  let lastFrame = null;
+  let fresh = false;
+  let written = 0;
+  let stdin = null;
+  let fillTimer = null;
+  let stopped = false;
+
+  /**
+   * Fill slots up to (excluding) `slot` with the most recent frame
+   * @param {number} slot - First slot to leave empty
+   * @param {boolean} final - Write every slot even if ffmpeg is behind
+   */
+  const advanceTo = (slot, final = false) => {
+    while (lastFrame && written < slot) {
+      if (!final && stdin.writableLength > MAX_PIPE_BACKLOG) {
+        stats.skipped += slot - written;
+        written = slot;
+        return;
+      }
+      if (!fresh) {
+        stats.repeated++;
+      }
+      fresh = false;
+      stdin.write(lastFrame);
+      written++;
+    }
+  };
+
+  /**
+   * Make a newly received frame the one written from the next slot on
+   */
+  const setFrame = (frame) => {
+    if (fresh) {
+      // The previous frame never got a slot of its own
+      stats.late++;
+    }
+    lastFrame = frame;
+    fresh = true;
+  };
+
+  const onFrame = ({ data, metadata, sessionId }) => {
+    client.send('Page.screencastFrameAck', { sessionId }).catch(() => {});
+    if (stopped) {
+      return;
+    }
+
+    stats.received++;
+    const frame = Buffer.from(data, 'base64');
+    const timestamp = metadata.timestamp || Date.now() / 1000;
+    const slot = Math.max(Math.round((timestamp - startedAt) * framerate), 0);
+
+    // Slots up to this one keep the previous frame; the first frame also covers the
+    // slots before it, and a frame whose slot was already filled shows from the next one
+    advanceTo(slot);
+    setFrame(frame);
+  };
+
+  let ffmpegProcess;
+  try {
+    ffmpegProcess = await spawnCapture(ffmpegArgs, {
+      displayNumber,
+      onSpawn: (child) => {
+        stdin = child.stdin;
+        stdin.on('error', (err) => log(`Screencast pipe error: ${err.message}`));
+        // Output timestamp 0 is the first slot of the frame grid
+        child.captureStartedAt = startedAt * 1000;
+
+        client.on('Page.screencastFrame', onFrame);
+        client.send('Page.startScreencast', {
+          format: 'jpeg',
+          quality: 90,
+          maxWidth,
+          maxHeight,
+          everyNthFrame: 1
+        }).catch((err) => log(`Page.startScreencast failed: ${err.message}`));
+
+        // The compositor only sends frames when the page changes; keep the timeline moving
+        fillTimer = setInterval(() => {
+          advanceTo(Math.floor((Date.now() / 1000 - startedAt) * framerate) - FILL_LAG_FRAMES);
+        }, 1000 / framerate);
+      }
+    });
+  } catch (err) {
+    clearInterval(fillTimer);
+    stopped = true;
+    await client.detach().catch(() => {});
+    throw err;
+  }
+
+  /**
+   * Stop the screencast, pad the timeline to now and let ffmpeg finalize the file
+   * @param {number} timeout - Time to wait for ffmpeg to exit (ms)
+   */
+  const stop = async (timeout = 15000) => {
+    if (stopped) {
+      return;
+    }
+    stopped = true;
+    clearInterval(fillTimer);
+
+    await client.send('Page.stopScreencast').catch(() => {});
+    client.off('Page.screencastFrame', onFrame);
+    await client.detach().catch(() => {});
+
+    advanceTo(Math.round((Date.now() / 1000 - startedAt) * framerate), true);
+    stats.written = written;
+    log(`Screencast stopped: ${stats.received} frames received, ${written} written (${stats.repeated} repeated, ${stats.late} replaced before their slot, ${stats.skipped} skipped)`);
+
+    if (ffmpegProcess.exitCode !== null || ffmpegProcess.signalCode !== null) {
+      return;
+    }
+    const exited = new Promise((resolve) => ffmpegProcess.once('exit', resolve));
+    stdin.end();
+    await Promise.race([exited, new Promise((resolve) => setTimeout(resolve, timeout))]);
+  };
+
+  ffmpegProcess.screencast = { stop, stats };
+  return ffmpegProcess;
+}
@@ -0,0 +1,467 @@
+/**
+ * HTTP job server
+ * Accepts recording jobs over HTTP and runs them on a pool of parallel workers
+ */
+
+import { createServer } from 'http';
+import { createReadStream, existsSync, statSync } from 'fs';
+import { basename } from 'path';
+import { pipeline } from 'stream';
+import { randomUUID } from 'crypto';
+import { log } from './cleanup.js';
+import { Recorder } from './session.js';
+import { ensureOutputDir, generateOutputPath, workerResources } from './batch.js';
+import { resolveOutputProfile } from './profiles.js';
+import { parseTimeline } from './timeline.js';
+import { loadAuth } from './auth.js';
+import { resolveProfileDir } from './userdata.js';
+import { parseRequestRules } from './rules.js';
+import { checkOptionValue, checkOptionCombinations } from './options.js';
+
+/**
+ * Job fields a client may set, mapped to Recorder option names
+ */
+const JOB_FIELDS = {
+  url: 'url',
+  duration: 'duration',
+  resolution: 'resolution',
+  framerate: 'framerate',
+  quality: 'quality',
+  preset: 'preset',
+  profile: 'profile',
+  strategy: 'strategy',
+  buffer: 'bufferTime',
+  videoSelector: 'videoSelector',
+  player: 'player',
+  allVideos: 'allVideos',
+  minVideoDuration: 'minVideoDuration',
+  visibleOnly: 'visibleOnly',
+  playlist: 'playlist',
+  highestRendition: 'highestRendition',
+  renditionTimeout: 'renditionTimeout',
+  clickSelectors: 'clickSelectors',
+  autoDetectDuration: 'autoDetectDuration',
+  endDetection: 'endDetection',
+  pageMode: 'pageMode',
+  timeline: 'timeline',
+  requestRules: 'requestRules',
+  blockAds: 'blockAds',
+  cookies: 'cookies',
+  storageState: 'storageState',
+  headers: 'headers',
+  httpAuth: 'httpAuth',
+  browserProfile: 'browserProfile',
+  resetProfile: 'resetProfile'
+};
+
+/**
+ * Fields sent inline rather than as the manifest's file paths; their own parsers check them
+ */
+const INLINE_FIELDS = ['url', 'timeline', 'requestRules', 'cookies', 'storageState', 'headers', 'httpAuth'];
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Validate a job request body and map it to Recorder options
+ * @param {Object} body - Parsed JSON body
+ * @param {Object} defaults - The server's default Recorder options (the job's options override them)
+ * @returns {Object} Recorder options
+ */
+function parseJobRequest(body, defaults = {}) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Request body must be a JSON object');
+  }
+
+  const unknown = Object.keys(body).filter(key => !(key in JOB_FIELDS));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown job field(s): ${unknown.join(', ')}`);
+  }
+
+  if (typeof body.url !== 'string') {
+    throw new Error('"url" is required');
+  }
+  let url;
+  try {
+    url = new URL(body.url);
+  } catch {
+    throw new Error(`Invalid URL: ${body.url}`);
+  }
+  // file:, chrome: and data: URLs would let a client record the server's own files or browser pages
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`"url" must be an http or https URL, not ${url.protocol}`);
+  }
+
+  // Every other field has the type a manifest entry has
+  for (const [field, option] of Object.entries(JOB_FIELDS)) {
+    if (body[field] !== undefined && !INLINE_FIELDS.includes(field)) {
+      const error = checkOptionValue(option, body[field], { name: `"${field}"` });
+      if (error) {
+        throw new Error(error);
+      }
+    }
+  }
+  // A job has one output to download, so several videos are delivered as a playlist
+  if (body.allVideos && !body.playlist) {
+    throw new Error('"allVideos" needs "playlist": true (a job has a single output file)');
+  }
+
+  if (body.profile !== undefined) {
+    resolveOutputProfile(null, body.profile, { quality: body.quality });
+  }
+
+  // Only inline timelines: a path would let clients load arbitrary files and modules
+  if (body.timeline !== undefined) {
+    if (typeof body.timeline === 'string') {
+      throw new Error('"timeline" must be a list of actions or { duration, actions }, not a file path');
+    }
+    parseTimeline(body.timeline);
+  }
+
+  // Same for request rules, which also can't redirect to server-side files
+  if (body.requestRules !== undefined) {
+    if (typeof body.requestRules === 'string') {
+      throw new Error('"requestRules" must be a list of rules or { rules, blocklist }, not a file path');
+    }
+    parseRequestRules(body.requestRules, { baseDir: null });
+  }
+
+  // Same for sessions: cookies and storage state are sent inline, never as server-side paths
+  if (typeof body.cookies === 'string' || typeof body.storageState === 'string') {
+    throw new Error('"cookies" and "storageState" must be sent inline (a cookie list and a storage state object), not as file paths');
+  }
+  loadAuth(body);
+
+  // Named profiles only (kept in the server's --browser-profiles-dir), never arbitrary directories
+  if (body.browserProfile !== undefined) {
+    resolveProfileDir({ browserProfile: body.browserProfile });
+  }
+
+  const options = {};
+  for (const [field, option] of Object.entries(JOB_FIELDS)) {
+    if (body[field] !== undefined) {
+      options[option] = body[field];
+    }
+  }
+  const problems = checkOptionCombinations({ ...defaults, ...options });
+  if (problems.length > 0) {
+    throw new Error(problems[0]);
+  }
+  return options;
+}
+
+/**
+ * Public view of a job
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    url: job.options.url,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    error: job.error,
+    ...(job.result && job.result.failure ? { failure: job.result.failure } : {}),
+    ...(job.result && job.result.strategy ? { strategy: job.result.strategy, source: job.result.source, fetchFallback: job.result.fetchFallback } : {}),
+    ...(job.result && job.result.requestRules ? { requestRules: job.result.requestRules } : {}),
+    ...(job.result && job.result.stalls ? { stalls: job.result.stalls } : {}),
+    ...(job.result && job.result.renditions ? { rendition: job.result.rendition, renditions: job.result.renditions } : {}),
+    ...(job.result && job.result.videos ? { videos: job.result.videos, skipped: job.result.skipped } : {})
+  };
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf-8') || 'null'));
+      } catch (err) {
+        reject(new Error(`Invalid JSON: ${err.message}`));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, payload) {
+  const body = JSON.stringify(payload, null, 2);
+  res.writeHead(statusCode, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(body)
+  });
+  res.end(body);
+}
+
+/**
+ * Create the job server
+ * Jobs are queued and pulled by `concurrency` workers, each with its own
+ * display/sink resources (same worker model as runParallel)
+ * @param {Object} options - Server options
+ * @param {string} options.outputDir - Directory for finished recordings
+ * @param {number} options.concurrency - Number of parallel workers
+ * @param {Object} options.recorderOptions - Default Recorder options for every job
+ * @param {number} options.jobTtl - Seconds a finished job stays listed (0 keeps them until maxJobs)
+ * @param {number} options.maxJobs - Most finished jobs kept; the oldest are forgotten first
+ * @returns {{server: http.Server, jobs: Map, cancelAll: Function}}
+ */
+export function createJobServer(options = {}) {
+  const {
+    outputDir,
+    concurrency = 3,
+    recorderOptions = {},
+    jobTtl = 24 * 60 * 60,
+    maxJobs = 1000
+  } = options;
+
+  ensureOutputDir(outputDir);
+
+  const jobs = new Map();
+  const pending = [];
+  const idleWorkers = [];
+  let jobCount = 0;
+
+  for (let i = 0; i < concurrency; i++) {
+    idleWorkers.push(i);
+  }
+
+  /**
+   * Forget finished jobs past the TTL, then the oldest beyond maxJobs
+   * Only the job records go; their recordings stay in the output directory
+   */
+  function pruneJobs() {
+    const finished = [...jobs.values()]
+      .filter(job => job.finishedAt && !job.recorder)
+      .sort((a, b) => Date.parse(a.finishedAt) - Date.parse(b.finishedAt));
+    const expiredBefore = Date.now() - jobTtl * 1000;
+    const excess = finished.length - maxJobs;
+
+    finished.forEach((job, i) => {
+      if (i < excess || (jobTtl > 0 && Date.parse(job.finishedAt) < expiredBefore)) {
+        jobs.delete(job.id);
+      }
+    });
+  }
+
+  /**
+   * Hand queued jobs to idle workers
+   * A two-stage job frees its worker once only the encode is left (as batch jobs do, see
+   * lib/batch.js), so the next capture starts while it waits for the encode pool
+   */
+  function dispatch() {
+    while (idleWorkers.length > 0 && pending.length > 0) {
+      const workerId = idleWorkers.shift();
+      const job = pending.shift();
+      let released = false;
+      const release = () => {
+        if (!released) {
+          released = true;
+          idleWorkers.push(workerId);
+          dispatch();
+        }
+      };
+      runJob(job, workerId, release).finally(release);
+    }
+  }
+
+  /**
+   * Run one job on a worker
+   * @param {Object} job - Queued job
+   * @param {number} workerId - Worker whose display and sink the job uses
+   * @param {Function} release - Frees the worker for the next job
+   */
+  async function runJob(job, workerId, release) {
+    const jobLabel = `[W${workerId}|job ${job.id.slice(0, 8)}]`;
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    job.recorder = new Recorder({
+      ...recorderOptions,
+      ...job.options,
+      outputPath: job.outputPath,
+      jobLabel,
+      jobIndex: job.index,
+      onCaptured: release,
+      ...workerResources(workerId)
+    });
+
+    job.recorder.on('recording-started', ({ totalTime }) => {
+      job.progress = { elapsed: 0, total: totalTime, remaining: totalTime };
+    });
+    job.recorder.on('progress', (progress) => {
+      job.progress = progress;
+    });
+    job.recorder.on('captured', () => {
+      job.status = 'encoding';
+    });
+
+    log(`${jobLabel} Starting: ${job.options.url}`);
+    const result = await job.recorder.start();
+
+    job.result = result;
+    job.recorder = null;
+    job.finishedAt = new Date().toISOString();
+
+    if (result.success) {
+      job.status = 'completed';
+      log(`${jobLabel} Completed successfully`);
+    } else if (result.cancelled) {
+      job.status = 'cancelled';
+      log(`${jobLabel} Cancelled`);
+    } else {
+      job.status = 'failed';
+      job.error = result.error;
+      log(`${jobLabel} Failed: ${result.error}`);
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @returns {boolean} False if the job had already finished
+   */
+  async function cancelJob(job) {
+    if (job.status === 'queued') {
+      pending.splice(pending.indexOf(job), 1);
+      job.status = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+      return true;
+    }
+    if (job.status === 'running' || job.status === 'encoding') {
+      await job.recorder.cancel();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Cancel every queued and running job (used on shutdown)
+   */
+  async function cancelAll() {
+    await Promise.all([...jobs.values()].map(job => cancelJob(job)));
+  }
+
+  async function handleRequest(req, res) {
+    pruneJobs();
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const parts = pathname.split('/').filter(Boolean);
+
+    if (parts[0] !== 'jobs' || parts.length > 3) {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    // /jobs
+    if (parts.length === 1) {
+      if (req.method === 'POST') {
+        let jobOptions;
+        try {
+          jobOptions = parseJobRequest(await readJsonBody(req), recorderOptions);
+        } catch (err) {
+          sendJson(res, 400, { error: err.message });
+          return;
+        }
+
+        const index = jobCount++;
+        const { extension } = resolveOutputProfile(null, jobOptions.profile || recorderOptions.profile);
+        const job = {
+          id: randomUUID(),
+          index,
+          options: jobOptions,
+          outputPath: generateOutputPath(jobOptions.url, index, outputDir, extension),
+          status: 'queued',
+          progress: null,
+          createdAt: new Date().toISOString(),
+          startedAt: null,
+          finishedAt: null,
+          error: null,
+          result: null,
+          recorder: null
+        };
+        jobs.set(job.id, job);
+        pending.push(job);
+        log(`Queued job ${job.id}: ${jobOptions.url}`);
+        dispatch();
+
+        sendJson(res, 202, describeJob(job));
+        return;
+      }
+      if (req.method === 'GET') {
+        sendJson(res, 200, [...jobs.values()].map(describeJob));
+        return;
+      }
+      sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+      return;
+    }
+
+    const job = jobs.get(parts[1]);
+    if (!job) {
+      sendJson(res, 404, { error: `Job not found: ${parts[1]}` });
+      return;
+    }
+
+    // /jobs/:id/output
+    if (parts[2] === 'output' && req.method === 'GET') {
+      if (job.status !== 'completed' || !existsSync(job.outputPath)) {
+        sendJson(res, 409, { error: `Output not available (job is ${job.status})` });
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': resolveOutputProfile(job.outputPath).mimeType,
+        'Content-Length': statSync(job.outputPath).size,
+        'Content-Disposition': `attachment; filename="${basename(job.outputPath)}"`
+      });
+      // The file can still disappear after the check; that ends this response, not the server
+      pipeline(createReadStream(job.outputPath), res, (err) => {
+        if (err) {
+          log(`Output download for job ${job.id} failed: ${err.message}`);
+        }
+      });
+      return;
+    }
+
+    if (parts.length === 2 && req.method === 'GET') {
+      sendJson(res, 200, describeJob(job));
+      return;
+    }
+
+    if (parts.length === 2 && req.method === 'DELETE') {
+      const cancelled = await cancelJob(job);
+      if (!cancelled) {
+        sendJson(res, 409, { error: `Job already ${job.status}` });
+        return;
+      }
+      sendJson(res, 202, describeJob(job));
+      return;
+    }
+
+    sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+  }
+
+  const server = createServer((req, res) => {
+    handleRequest(req, res).catch((err) => {
+      log(`Request error: ${err.message}`);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: err.message });
+      }
+    });
+  });
+
+  return { server, jobs, cancelAll };
+}
@@ -0,0 +1,1307 @@
+/**
+ * Programmatic recording API
+ * Wraps display, audio, browser and ffmpeg setup/teardown behind a Recorder class
+ * (the capture, fetch and finish stages are in lib/capture.js, lib/fetch.js and lib/finish.js)
+ */
+
+import { EventEmitter } from 'events';
+import { unlinkSync, writeFileSync } from 'fs';
+import { log, sleep } from './cleanup.js';
+import { startDisplay, stopDisplay } from './display.js';
+import { setupAudioRecording, cleanupAudioRecording } from './audio.js';
+import { cropRegion, concatRecordings } from './recorder.js';
+import { installVirtualTime, renderVirtualTime } from './virtualtime.js';
+import { loadTimeline, parseTimeline, runTimeline } from './timeline.js';
+import { loadHooks, parseHooks, runHook } from './hooks.js';
+import { loadAuth, applyAuth, stopSeedingStorage } from './auth.js';
+import { resolveProfileDir, acquireProfile } from './userdata.js';
+import { PLAYER_ADAPTERS, installPlayerHooks, locateMedia, preparePlayer } from './players.js';
+import { installRenditionHooks, watchRenditions } from './renditions.js';
+import { getProfile, resolveOutputProfile, INTERMEDIATE_PROFILES } from './profiles.js';
+import { probeFile } from './validate.js';
+import { JobError } from './errors.js';
+import { classifyFailure } from './retry.js';
+import { startNetworkCapture, writeNetworkCapture } from './network.js';
+import { loadRequestRules, parseRequestRules, installRequestRules } from './rules.js';
+import {
+  launchBrowser,
+  createPage,
+  navigateToUrl,
+  setFullscreen,
+  setElementFullscreen,
+  exitElementFullscreen,
+  scrollIntoView,
+  findAllVideos,
+  describeVideoElement,
+  videoTarget,
+  pauseAllMedia,
+  getVideoMetadata,
+  getVideoBounds,
+  playVideo,
+  clickIfExists,
+  watchVideoPlayback,
+  markPlaybackTimes,
+  closeBrowser
+} from './browser.js';
+import { startCapture, routeAudio, settleRendition, waitForEnd, endCapture, trimCapture, stopCapture } from './capture.js';
+import { fetchSource } from './fetch.js';
+import { finish, check, release, encode } from './finish.js';
+
+/**
+ * Default recording options (mirrors the CLI defaults)
+ */
+export const DEFAULT_OPTIONS = Object.freeze({
+  jobLabel: '',
+  jobIndex: 0,
+  parallelMode: false,
+  displayStartNumber: 99,
+  sinkName: 'recording_sink',
+  profileSlot: null,
+  duration: undefined,
+  resolution: '1920x1080',
+  framerate: 30,
+  quality: 23,
+  preset: 'fast',
+  audioBitrate: '128k',
+  profile: null,
+  captureBackend: 'x11grab',
+  strategy: 'capture',
+  virtualTime: false,
+  pageMode: false,
+  timeline: null,
+  hooks: null,
+  requestRules: null,
+  blockAds: false,
+  cookies: null,
+  storageState: null,
+  headers: null,
+  httpAuth: null,
+  userDataDir: null,
+  browserProfile: null,
+  profilesDir: './browser-profiles',
+  resetProfile: false,
+  bufferTime: 2,
+  endDetection: 'timer',
+  endGrace: 1,
+  videoSelector: 'video',
+  player: 'auto',
+  allVideos: false,
+  minVideoDuration: 0,
+  visibleOnly: false,
+  playlist: false,
+  highestRendition: true,
+  renditionTimeout: 20,
+  clickSelectors: [],
+  autoDetectDuration: true,
+  logConsole: false,
+  logRequests: false,
+  networkCapture: false,
+  harPostData: false,
+  elementFullscreen: false,
+  fullscreenSelector: null,
+  cropToVideo: false,
+  cropScale: null,
+  cropLetterbox: false,
+  trim: 'none',
+  keepMaster: false,
+  twoStage: false,
+  intermediate: 'mkv-x264-lossless',
+  encodePool: null,
+  onCaptured: null,
+  validate: true,
+  validation: {}
+});
+
+/**
+ * Events emitted by Recorder, in lifecycle order
+ * - display-ready:     { displayNumber }
+ * - page-loaded:       { url }
+ * - download-started:  { outputPath, url, type } (fetch strategy only; the recording events follow if it falls back)
+ * - recording-started: { outputPath, duration, totalTime, metadata, video? } (metadata is null without a video element)
+ * - progress:          { elapsed, total, remaining, stalled?, video? } (total/remaining are null until a timeline without a duration finishes)
+ * - captured:          { capturePath } (the capture resources are released and only the encode remains;
+ *   with allVideos it is emitted once, as { capturePaths }, after every capture has been validated)
+ * - finished:          { success, outputPath, profile?, strategy?, source?, fetchFallback?, frames?, video?, player?, rendition?, renditions?, timeline?, fullscreen?, crop?, stalls?, playback?, validation?, network?, requestRules?, videos?, skipped?, indexPath?, cancelled?, error?, failure? }
+ * With allVideos, `video` on recording-started and progress is { index, count } of the video being recorded,
+ * and the per-video fields of finished are in `videos` instead (see recordAll())
+ * - error:             Error (only emitted when a listener is attached)
+ */
+export const RECORDER_EVENTS = Object.freeze([
+  'display-ready',
+  'page-loaded',
+  'download-started',
+  'recording-started',
+  'progress',
+  'captured',
+  'finished',
+  'error'
+]);
+
+/**
+ * Records a single URL to a file
+ *
+ * @example
+ * const recorder = new Recorder({ url, outputPath: 'out.mp4' });
+ * recorder.on('progress', ({ elapsed, total }) => console.log(elapsed, total));
+ * const result = await recorder.start();
+ */
+export class Recorder extends EventEmitter {
+  /**
+   * @param {Object} options - Recording options (see DEFAULT_OPTIONS)
+   * @param {string} options.url - URL to record
+   * @param {string} options.outputPath - Output file path
+   */
+  constructor(options = {}) {
+    super();
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.displayInfo = null;
+    this.audioInfo = null;
+    this.ffmpegProcess = null;
+    this.browser = null;
+    this.profile = null;
+    this.page = null;
+    this.hooks = null;
+    this.metadata = null;
+    this.currentVideo = null;
+    this.renditionState = null;
+    this.network = null;
+    this.requestRules = null;
+    this.interceptor = null;
+    this.running = false;
+    this.cancelled = false;
+    this.cancelling = null;
+  }
+
+  /**
+   * Log with the job label prefix
+   */
+  log(message) {
+    const { jobLabel } = this.options;
+    log(`${jobLabel ? `${jobLabel} ` : ''}${message}`);
+  }
+
+  /**
+   * Run the full recording lifecycle
+   * Never throws; failures are reported in the result (and via the 'error' event)
+   * @returns {Promise<{success: boolean, outputPath: string, stalls?: Object[], validation?: Object, error?: string, failure?: Object}>}
+   */
+  async start() {
+    if (this.running) {
+      throw new Error('Recorder is already running');
+    }
+    this.running = true;
+    this.cancelled = false;
+    this.details = {};
+    this.metadata = null;
+    this.currentVideo = null;
+    this.abortController = new AbortController();
+
+    const { outputPath } = this.options;
+    let result;
+
+    try {
+      await this.record();
+      result = { success: true, outputPath, ...this.details };
+    } catch (error) {
+      this.log(`ERROR: ${error.message}`);
+      const failure = this.classify(error);
+      // Let a cancel() teardown finish, then release anything acquired since
+      if (this.cancelling) {
+        await this.cancelling;
+      }
+      await this.teardown({ emergency: true });
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+      result = { success: false, outputPath, ...this.details, error: error.message, failure };
+      if (this.cancelled) {
+        result.cancelled = true;
+      }
+    } finally {
+      this.running = false;
+    }
+
+    this.emit('finished', result);
+    return result;
+  }
+
+  /**
+   * Cancel a running recording
+   * Tears down ffmpeg, the browser, the display and the audio sink immediately;
+   * start() then resolves with `{ success: false, cancelled: true }`
+   */
+  async cancel() {
+    if (!this.running || this.cancelled) {
+      return;
+    }
+    this.log('Cancelling recording...');
+    this.cancelled = true;
+    this.abortController.abort();
+    this.cancelling = this.teardown({ emergency: true });
+    await this.cancelling;
+  }
+
+  /**
+   * Abort the current step if cancel() was called
+   */
+  checkCancelled() {
+    if (this.cancelled) {
+      throw new JobError('Recording cancelled', 'cancelled');
+    }
+  }
+
+  /**
+   * Classify the error that failed the recording (see lib/retry.js)
+   * A cancel or a browser crash fails whichever step was running, with that step's error,
+   * so they are recognized from the recorder's state first
+   * @param {Error} error - Error thrown by record()
+   * @returns {{category: string, retryable: boolean}}
+   */
+  classify(error) {
+    if (this.cancelled) {
+      return classifyFailure(new JobError(error.message, 'cancelled'));
+    }
+    if (!(error instanceof JobError) && this.browser && !this.browser.connected) {
+      return classifyFailure(new JobError(error.message, 'browser'));
+    }
+    return classifyFailure(error);
+  }
+
+  /**
+   * Run a user hook (see lib/hooks.js) with the current page, browser and video metadata
+   * @param {string} name - Hook name
+   * @param {Object} extra - Additional context (e.g. { progress })
+   */
+  async hook(name, extra = {}) {
+    try {
+      await runHook(this.hooks, name, {
+        page: this.page,
+        browser: this.browser,
+        metadata: this.metadata,
+        log: (message) => this.log(`[${name}] ${message}`),
+        options: this.options,
+        ...extra
+      });
+    } catch (err) {
+      // A hook interrupted by cancel() fails on the closed page; report the cancel instead
+      this.checkCancelled();
+      throw err;
+    }
+    this.checkCancelled();
+  }
+
+  /**
+   * Emit a progress update and pass it to the onProgress hook
+   * @param {Object} progress - { elapsed, total, remaining, stalled? }
+   */
+  async reportProgress(progress) {
+    if (this.currentVideo) {
+      progress = { ...progress, video: this.currentVideo };
+    }
+    this.emit('progress', progress);
+    await this.hook('onProgress', { progress });
+  }
+
+  /**
+   * Recording steps; throws on failure and leaves teardown to start()
+   * Extra result fields (stall intervals, validation report) are collected in `this.details`
+   * With a separate capture profile (two-stage, GIF/WebP) the capture is validated, then
+   * handed to the encode pool, which trims and encodes the deliverable
+   * With virtualTime the page is rendered frame by frame instead (see render()), and with
+   * allVideos every matching video is recorded in turn (see recordAll())
+   * With the fetch strategy a directly downloadable source skips the capture (see fetchSource())
+   */
+  async record() {
+    const {
+      url,
+      outputPath,
+      duration,
+      resolution,
+      quality,
+      profile,
+      captureBackend,
+      strategy,
+      virtualTime,
+      timeline,
+      hooks,
+      requestRules,
+      blockAds,
+      cookies,
+      storageState,
+      headers,
+      httpAuth,
+      bufferTime,
+      endDetection,
+      videoSelector,
+      player,
+      allVideos,
+      minVideoDuration,
+      playlist,
+      highestRendition,
+      renditionTimeout,
+      clickSelectors,
+      autoDetectDuration,
+      elementFullscreen,
+      fullscreenSelector,
+      cropToVideo,
+      cropScale,
+      trim,
+      twoStage,
+      intermediate
+    } = this.options;
+
+    if (!url) {
+      throw new JobError('url is required', 'invalid-job');
+    }
+    if (!outputPath) {
+      throw new JobError('outputPath is required', 'invalid-job');
+    }
+
+    if (!['none', 'copy', 'precise'].includes(trim)) {
+      throw new JobError(`Invalid trim mode: ${trim} (expected "none", "copy" or "precise")`, 'invalid-job');
+    }
+
+    if (!['x11grab', 'screencast'].includes(captureBackend)) {
+      throw new JobError(`Invalid capture backend: ${captureBackend} (expected "x11grab" or "screencast")`, 'invalid-job');
+    }
+
+    if (!['capture', 'fetch'].includes(strategy)) {
+      throw new JobError(`Invalid strategy: ${strategy} (expected "capture" or "fetch")`, 'invalid-job');
+    }
+
+    if (!['timer', 'video'].includes(endDetection)) {
+      throw new JobError(`Invalid end detection mode: ${endDetection} (expected "timer" or "video")`, 'invalid-job');
+    }
+
+    if (!['auto', 'none', ...PLAYER_ADAPTERS].includes(player)) {
+      throw new JobError(`Invalid player adapter: ${player} (expected auto, none or one of ${PLAYER_ADAPTERS.join(', ')})`, 'invalid-job');
+    }
+
+    // Pages without a <video> element: rendered in virtual time, or captured in page mode
+    const pageMode = this.options.pageMode || Boolean(timeline);
+    if (virtualTime || pageMode) {
+      const videoOptions = [
+        allVideos && '--all-videos',
+        strategy === 'fetch' && '--strategy fetch',
+        cropToVideo && '--crop-to-video',
+        endDetection === 'video' && '--end-detection video',
+        trim !== 'none' && '--trim'
+      ].filter(Boolean);
+      if (videoOptions.length > 0) {
+        throw new JobError(`${videoOptions.join(', ')} need${videoOptions.length === 1 ? 's' : ''} a <video> element and can't be used with ${virtualTime ? 'virtual-time rendering' : 'page mode'}`, 'invalid-job');
+      }
+    }
+    if (virtualTime && timeline) {
+      throw new JobError('A timeline runs in real time and can\'t be used with virtual-time rendering', 'invalid-job');
+    }
+    if (strategy === 'fetch' && allVideos) {
+      throw new JobError('--strategy fetch downloads a single video and can\'t be used with --all-videos', 'invalid-job');
+    }
+    if (playlist && !allVideos) {
+      throw new JobError('--playlist needs --all-videos', 'invalid-job');
+    }
+    if (!(renditionTimeout > 0)) {
+      throw new JobError(`Invalid rendition timeout: ${renditionTimeout} (expected seconds, more than 0)`, 'invalid-job');
+    }
+    if (!(minVideoDuration >= 0)) {
+      throw new JobError(`Invalid --min-video-duration: ${minVideoDuration} (expected seconds, 0 or more)`, 'invalid-job');
+    }
+
+    // Timelines are read before anything is launched, so a bad file fails fast
+    let script = null;
+    if (timeline) {
+      script = typeof timeline === 'string' ? await loadTimeline(timeline) : parseTimeline(timeline);
+      this.log(`Timeline: ${script.actions.length} step(s)${script.duration ? `, ${script.duration}s` : ''}`);
+    }
+
+    // Hooks are user code; load them up front so import errors fail fast too
+    this.hooks = null;
+    if (hooks) {
+      this.hooks = typeof hooks === 'string' ? await loadHooks(hooks) : parseHooks(hooks);
+      this.log(`Hooks: ${Object.keys(this.hooks).join(', ')}`);
+    }
+
+    // Request rules too, with the files their redirects answer with
+    this.requestRules = null;
+    if (requestRules || blockAds) {
+      const rules = typeof requestRules === 'string'
+        ? loadRequestRules(requestRules)
+        : parseRequestRules(requestRules || []);
+      this.requestRules = { rules: rules.rules, blocklist: rules.blocklist || blockAds };
+      this.log(`Request rules: ${rules.rules.length} rule(s)${this.requestRules.blocklist ? ', ad/tracker blocklist' : ''}`);
+    }
+
+    // Session files are read up front too; nothing is applied until the page exists
+    this.auth = loadAuth({ cookies, storageState, headers, httpAuth });
+    resolveProfileDir(this.options);
+
+    // Validate duration arguments
+    if (virtualTime) {
+      if (!duration) {
+        throw new JobError('Virtual-time rendering requires --duration (there is no video to detect it from)', 'invalid-job');
+      }
+    } else if (pageMode) {
+      if (!duration && !script) {
+        throw new JobError('Page mode requires --duration or a timeline', 'invalid-job');
+      }
+    } else if (!duration && !autoDetectDuration) {
+      throw new JobError('Either --duration must be provided or --auto-detect-duration must be enabled', 'invalid-job');
+    }
+
+    // Reject bad codec/container combinations before anything is launched
+    const outputProfile = resolveOutputProfile(outputPath, profile, { quality });
+    this.details.profile = outputProfile.name;
+
+    // The parts are joined by stream copy, which needs chapters support and one frame size
+    if (playlist && outputProfile.captureWith) {
+      throw new JobError(`--playlist can't be written as ${outputProfile.name} (no chapters); record one file per video instead`, 'invalid-job');
+    }
+    if (playlist && cropToVideo && !cropScale) {
+      throw new JobError('--playlist with --crop-to-video needs --crop-scale (every part must have the same frame size)', 'invalid-job');
+    }
+
+    if (twoStage && !INTERMEDIATE_PROFILES.includes(getProfile(intermediate).name)) {
+      throw new JobError(`Invalid intermediate profile: ${intermediate} (expected one of: ${INTERMEDIATE_PROFILES.join(', ')})`, 'invalid-job');
+    }
+
+    // Two-stage captures a lossless intermediate; GIF/WebP can't be written live either
+    let captureProfile = outputProfile;
+    if (twoStage) {
+      captureProfile = getProfile(intermediate);
+    } else if (outputProfile.captureWith) {
+      captureProfile = getProfile(outputProfile.captureWith);
+    }
+    const capturePath = capturePathFor(outputPath, outputProfile, captureProfile);
+    const encodeStage = capturePath !== outputPath;
+
+    this.log(`URL: ${url}`);
+    this.log(`Output: ${outputPath} (${outputProfile.name})`);
+    if (encodeStage) {
+      this.log(`Capture: ${capturePath} (${captureProfile.name}), encoded after recording`);
+    }
+    this.log(`Resolution: ${resolution}`);
+
+    if (virtualTime) {
+      await this.render({ outputProfile, captureProfile, capturePath, encodeStage });
+      return;
+    }
+    if (allVideos) {
+      await this.recordAll({ outputProfile, captureProfile });
+      return;
+    }
+
+    // Steps 1-3: display, audio, browser and page
+    const page = await this.openPage({
+      playerHooks: !pageMode && player !== 'none',
+      renditionHooks: !pageMode && highestRendition
+    });
+
+    // Step 4: Find video element and get metadata (but don't play yet)
+    // Page mode has no video; its duration comes from --duration or the timeline
+    // The video may be in an iframe or a shadow root (or a known player's, see lib/players.js):
+    // `media.frame` is where its element lives, and `media.container` what to fullscreen
+    let media = null;
+    if (!pageMode) {
+      this.log('Finding video element...');
+      media = await locateMedia(page, { player, videoSelector });
+      this.details.video = { frame: media.frameUrl, shadowRoot: media.shadowRoot };
+    }
+
+    // Click any specified elements first (play buttons, etc.)
+    for (const sel of clickSelectors) {
+      await clickIfExists(page, sel);
+      await sleep(500);
+    }
+
+    // Fill the screen with just the player (hides headers, banners, sidebars)
+    if (elementFullscreen) {
+      this.details.fullscreen = await setElementFullscreen(page, fullscreenSelector || (media && media.container) || (media ? media.selector : videoSelector));
+      await sleep(500);
+    }
+
+    let videoMetadata = null;
+    let actualDuration = duration;
+    if (pageMode) {
+      actualDuration = duration || script.duration;
+    } else {
+      // Players load their media lazily (a cued YouTube embed has no source yet), so
+      // when the player reports a duration the element's metadata isn't waited for
+      const prepared = await preparePlayer(media);
+      videoMetadata = await getVideoMetadata(media.frame, media.selector, { waitForMetadata: !prepared.duration });
+      if (!(videoMetadata.duration > 0 && isFinite(videoMetadata.duration)) && prepared.duration) {
+        videoMetadata.duration = prepared.duration;
+      }
+      videoMetadata.frame = media.frameUrl;
+      if (media.adapter) {
+        videoMetadata = { ...videoMetadata, player: media.adapter, quality: prepared.quality };
+        this.details.player = { adapter: media.adapter, quality: prepared.quality };
+        this.log(`Player: ${media.adapter}${prepared.quality ? `, quality ${prepared.quality}` : ''}`);
+      }
+      this.metadata = videoMetadata;
+      this.log(`Video found: ${videoMetadata.videoWidth}x${videoMetadata.videoHeight}`);
+      this.log(`Video source: ${videoMetadata.src || videoMetadata.currentSrc}`);
+    }
+    this.checkCancelled();
+
+    // Auto-detect duration
+    if (!pageMode) {
+      actualDuration = this.videoDuration(videoMetadata);
+    }
+
+    // Without a duration, a page mode recording lasts until the timeline finishes
+    const totalTime = actualDuration ? actualDuration + bufferTime : null;
+    if (totalTime === null) {
+      this.log(`Recording will capture: until the timeline finishes (+ ${bufferTime}s buffer)`);
+    } else {
+      this.log(`Recording will capture: ${totalTime}s (${actualDuration}s + ${bufferTime}s buffer)`);
+    }
+
+    // Last chance to change the page (player quality, injected CSS) before it is measured and captured
+    await this.hook('beforePlay');
+
+    // A plain file or HLS stream can be downloaded instead; anything else is captured
+    if (strategy === 'fetch') {
+      if (await fetchSource(this, page, media, { outputProfile, duration: actualDuration })) {
+        return;
+      }
+      this.details.strategy = 'capture';
+    }
+
+    // Adaptive streams start low: switch to the top rendition and let it land before capturing
+    if (media && highestRendition) {
+      const rendition = await settleRendition(this, media, videoMetadata);
+      if (rendition) {
+        this.details.rendition = rendition;
+      }
+    }
+
+    // Measure the player after fullscreen and clicks, once layout has settled
+    let crop = null;
+    if (cropToVideo) {
+      crop = cropRegion(await getVideoBounds(media.frame, media.selector), resolution);
+      this.details.crop = crop;
+      this.log(`Cropping capture to ${crop.width}x${crop.height}+${crop.x},${crop.y}`);
+    }
+
+    // Attach playback listeners before play() so no early event is missed
+    const watcher = endDetection === 'video'
+      ? await watchVideoPlayback(media.frame, media.selector, { adapter: media.adapter })
+      : null;
+
+    if (media) {
+      await watchRenditions(media.frame, media.selector);
+    }
+
+    // Step 5: Start ffmpeg recording (page is loaded and ready)
+    await startCapture(this, page, { capturePath, captureProfile, encodeStage, crop });
+    const recordingStartedAt = Date.now();
+    this.log('Recording started');
+    this.emit('recording-started', {
+      outputPath,
+      duration: actualDuration,
+      totalTime,
+      metadata: videoMetadata
+    });
+    await sleep(1000);
+
+    // Step 6: Play video, or start the timeline (ffmpeg is already capturing)
+    let run = null;
+    if (pageMode) {
+      if (script) {
+        this.log('Running timeline...');
+        run = { steps: [], done: false, error: null, controller: new AbortController() };
+        runTimeline(page, script, {
+          signal: run.controller.signal,
+          onStep: (timing) => run.steps.push(timing)
+        }).then(() => {
+          run.done = true;
+        }, (err) => {
+          run.error = err;
+        });
+      }
+    } else {
+      this.log('Playing video...');
+      await markPlaybackTimes(media.frame, media.selector);
+      await playVideo(media.frame, media.selector, { adapter: media.adapter });
+
+      // Some players only list their qualities once the media has loaded
+      if (media.adapter) {
+        const { quality } = await preparePlayer(media);
+        if (quality && quality !== this.details.player.quality) {
+          this.details.player.quality = quality;
+          this.log(`Player quality: ${quality}`);
+        }
+      }
+    }
+
+    // Must happen after play() since Chromium only creates PulseAudio sink inputs when audio starts;
+    // a page may start its audio at any point, so page mode keeps looking in the background
+    await routeAudio(this, { background: pageMode });
+
+    this.log(pageMode ? 'Page mode, recording in progress...' : 'Video is playing, recording in progress...');
+    await this.hook('afterPlay');
+
+    // Step 7: Wait for recording duration (or for the video or timeline to end)
+    await waitForEnd(this, { watcher, run, totalTime, recordingStartedAt });
+    await this.hook('beforeStop');
+
+    const captured = await endCapture(this, { media, watcher, recordingStartedAt });
+    await this.teardown();
+    this.details.frames = captured.frames;
+    if (captured.renditions) {
+      this.details.renditions = captured.renditions;
+    }
+    if (captured.playback) {
+      this.details.playback = captured.playback;
+    }
+    if (captured.stalls) {
+      this.details.stalls = captured.stalls;
+    }
+
+    if (run) {
+      // Step timings in seconds relative to the start of ffmpeg capture
+      this.details.timeline = run.steps.map(({ startedAt, endedAt, ...step }) => ({
+        ...step,
+        start: (startedAt - captured.captureStartedAt) / 1000,
+        end: (endedAt - captured.captureStartedAt) / 1000
+      }));
+    }
+
+    // Step 8: Cut pre-roll (page before play) and post-roll (buffer after end)
+    const { window, expectedDuration } = await trimCapture(this, captured, {
+      path: outputPath,
+      captureProfile,
+      encodeStage,
+      details: this.details,
+      name: 'the recording'
+    });
+
+    // Step 9: Validate, then encode a separate capture into the deliverable
+    // Demo pages are often silent, and dashboards legitimately sit still
+    await finish(this, {
+      capturePath,
+      outputProfile,
+      encodeStage,
+      expectedDuration,
+      window,
+      requireAudio: outputProfile.audio && !pageMode,
+      checks: pageMode ? { maxFrozenRatio: 1 } : {}
+    });
+  }
+
+  /**
+   * Record every matching video on the page, one after another in the same browser (allVideos)
+   * Each video is scrolled into view (and element-fullscreened), played alone and captured to
+   * its own file. Once the browser is closed the captures are validated and encoded to
+   * `<name>-01.<ext>`, `<name>-02.<ext>`, ... or, with playlist, joined into outputPath with a
+   * chapter per video; `<outputPath>.index.json` describes every segment
+   * Videos that are hidden (visibleOnly), shorter than minVideoDuration or without a usable
+   * duration are skipped; the recording fails only if none is left
+   * @param {Object} plan - Profiles resolved by record()
+   */
+  async recordAll({ outputProfile, captureProfile }) {
+    const {
+      url,
+      outputPath,
+      bufferTime,
+      endDetection,
+      videoSelector,
+      minVideoDuration,
+      visibleOnly,
+      playlist,
+      highestRendition,
+      clickSelectors,
+      elementFullscreen,
+      cropToVideo,
+      resolution
+    } = this.options;
+
+    // Steps 1-3: display, audio, browser and page (adapters are skipped, every video is addressed by handle)
+    const page = await this.openPage({ playerHooks: false, renditionHooks: highestRendition });
+
+    for (const sel of clickSelectors) {
+      await clickIfExists(page, sel);
+      await sleep(500);
+    }
+
+    // Step 4: List the videos; durations are only known once each one is scrolled to and loaded
+    this.log('Finding video elements...');
+    const found = await findAllVideos(page, videoSelector);
+    const candidates = [];
+    const skipped = [];
+    for (const [i, element] of found.entries()) {
+      const info = await describeVideoElement(element);
+      if (visibleOnly && !info.visible) {
+        skipped.push({ position: i + 1, src: info.src, reason: 'hidden' });
+        await element.dispose();
+      } else {
+        candidates.push({ position: i + 1, element, info });
+      }
+    }
+    this.log(`Recording up to ${candidates.length} of ${found.length} video(s)`);
+
+    // Step 5: Record each video in turn; captures are encoded once the browser is closed
+    const recordings = [];
+    for (const [i, { position, element, info }] of candidates.entries()) {
+      this.checkCancelled();
+      const video = { index: i + 1, count: candidates.length };
+      const skip = async (reason) => {
+        this.log(`Skipping video ${video.index}/${video.count}: ${reason}`);
+        skipped.push({ position, src: info.src, reason });
+        await element.dispose();
+      };
+      this.currentVideo = video;
+      this.log(`Video ${video.index}/${video.count}${info.src ? `: ${info.src}` : ''}`);
+
+      // Carousels and lazy lists may have dropped the element by now
+      if (!await element.evaluate(el => el.isConnected).catch(() => false)) {
+        await skip('no longer on the page');
+        continue;
+      }
+
+      // Only this video plays, centred (its iframe first, then the video inside it)
+      await pauseAllMedia(page);
+      if (elementFullscreen) {
+        await exitElementFullscreen(page);
+      }
+      const media = await videoTarget(page, element, null);
+      await scrollIntoView(page, media.container);
+      if (media.frame !== page) {
+        await scrollIntoView(media.frame, media.selector);
+      }
+      let fullscreen = null;
+      if (elementFullscreen) {
+        fullscreen = await setElementFullscreen(page, media.container);
+        await sleep(500);
+      }
+
+      const metadata = await getVideoMetadata(media.frame, media.selector, { metadataTimeout: 15000 }).catch(() => null);
+      this.checkCancelled();
+      if (!metadata) {
+        await skip('metadata unavailable');
+        continue;
+      }
+      metadata.frame = media.frameUrl;
+      this.metadata = metadata;
+
+      const known = metadata.duration > 0 && isFinite(metadata.duration);
+      if (minVideoDuration && !known) {
+        await skip('duration unknown');
+        continue;
+      }
+      if (minVideoDuration && metadata.duration < minVideoDuration) {
+        await skip(`${metadata.duration.toFixed(1)}s is shorter than ${minVideoDuration}s`);
+        continue;
+      }
+      let actualDuration;
+      try {
+        actualDuration = this.videoDuration(metadata);
+      } catch {
+        await skip('duration unknown (set --duration as a fallback)');
+        continue;
+      }
+      const totalTime = actualDuration + bufferTime;
+
+      await this.hook('beforePlay', { video });
+      const rendition = highestRendition ? await settleRendition(this, media, metadata) : null;
+
+      let crop = null;
+      if (cropToVideo) {
+        crop = cropRegion(await getVideoBounds(media.frame, media.selector), resolution);
+        this.log(`Cropping capture to ${crop.width}x${crop.height}+${crop.x},${crop.y}`);
+      }
+
+      const watcher = endDetection === 'video'
+        ? await watchVideoPlayback(media.frame, media.selector)
+        : null;
+
+      // Numbered in recording order, so skipped videos leave no gaps
+      const number = pad(recordings.length + 1, video.count);
+      const segmentPath = playlist
+        ? outputPath.replace(/(\.[^./]+)?$/, `.part-${number}$1`)
+        : outputPath.replace(/(\.[^./]+)?$/, `-${number}$1`);
+      const capturePath = capturePathFor(segmentPath, outputProfile, captureProfile);
+      const encodeStage = capturePath !== segmentPath;
+
+      await watchRenditions(media.frame, media.selector);
+      await startCapture(this, page, { capturePath, captureProfile, encodeStage, crop });
+      const recordingStartedAt = Date.now();
+      this.log('Recording started');
+      this.emit('recording-started', {
+        outputPath: playlist ? outputPath : segmentPath,
+        duration: actualDuration,
+        totalTime,
+        metadata,
+        video
+      });
+      await sleep(1000);
+
+      await markPlaybackTimes(media.frame, media.selector);
+      await playVideo(media.frame, media.selector);
+      await routeAudio(this);
+      await this.hook('afterPlay', { video });
+
+      await waitForEnd(this, { watcher, totalTime, recordingStartedAt });
+      await this.hook('beforeStop', { video });
+
+      const captured = await endCapture(this, { media, watcher, recordingStartedAt });
+      await media.selector.dispose();
+
+      const segment = {
+        index: recordings.length + 1,
+        position,
+        title: info.title || `Video ${recordings.length + 1}`,
+        src: metadata.src || info.src,
+        frame: media.frameUrl,
+        shadowRoot: media.shadowRoot,
+        width: metadata.videoWidth,
+        height: metadata.videoHeight,
+        duration: actualDuration,
+        frames: captured.frames
+      };
+      if (rendition) {
+        segment.rendition = rendition;
+      }
+      if (captured.renditions) {
+        segment.renditions = captured.renditions;
+      }
+      if (fullscreen) {
+        segment.fullscreen = fullscreen;
+      }
+      if (crop) {
+        segment.crop = crop;
+      }
+      if (captured.playback) {
+        segment.playback = captured.playback;
+      }
+      if (captured.stalls) {
+        segment.stalls = captured.stalls;
+      }
+      recordings.push({ segment, segmentPath, capturePath, encodeStage, captured });
+    }
+    this.currentVideo = null;
+    this.metadata = null;
+    await this.teardown();
+
+    if (recordings.length === 0) {
+      throw new JobError(`Video element not found: none of the ${found.length} matching video(s) could be recorded (${skipped.map(({ reason }) => reason).join('; ')})`, 'no-video');
+    }
+
+    // Step 6: Trim and validate every capture before the slot is released, so a bad one can still be retried
+    const windows = [];
+    for (const { segment, segmentPath, capturePath, encodeStage, captured } of recordings) {
+      const { window, expectedDuration } = await trimCapture(this, captured, {
+        path: segmentPath,
+        captureProfile,
+        encodeStage,
+        details: segment,
+        name: `video ${segment.index}`
+      });
+
+      await check(this, {
+        capturePath,
+        expectedDuration,
+        requireAudio: outputProfile.audio,
+        outputPath: segmentPath,
+        details: segment
+      });
+      windows.push(window);
+    }
+
+    // Then encode each separate capture (trimmed to its playback window)
+    const separate = recordings.filter(({ encodeStage }) => encodeStage);
+    if (separate.length > 0) {
+      release(this, { capturePaths: separate.map(({ capturePath }) => capturePath) });
+    }
+    for (const [index, { segment, segmentPath, capturePath, encodeStage }] of recordings.entries()) {
+      if (encodeStage) {
+        await encode(this, capturePath, outputProfile, windows[index], { outputPath: segmentPath, details: segment });
+      }
+      if (!playlist) {
+        segment.outputPath = segmentPath;
+      }
+    }
+
+    // Step 7: Join the parts, with chapters at their measured lengths
+    // (the slot may be released by now, so failures here are encode failures and not retried)
+    const segments = recordings.map(({ segment }) => segment);
+    if (playlist) {
+      let offset = 0;
+      try {
+        for (const { segment, segmentPath } of recordings) {
+          const { duration } = await probeFile(segmentPath);
+          segment.start = offset;
+          segment.end = offset + duration;
+          offset = segment.end;
+        }
+        await concatRecordings(recordings.map(({ segmentPath }) => segmentPath), outputPath, {
+          format: outputProfile.name,
+          chapters: segments,
+          signal: this.abortController.signal
+        });
+        for (const { segmentPath } of recordings) {
+          unlinkSync(segmentPath);
+        }
+      } catch (err) {
+        this.checkCancelled();
+        throw new JobError(`Encode failed: ${err.message}`, 'encode', { cause: err });
+      }
+      this.log(`Playlist written: ${outputPath} (${segments.length} chapters, ${offset.toFixed(1)}s)`);
+    }
+
+    const indexPath = `${outputPath}.index.json`;
+    writeFileSync(indexPath, JSON.stringify({
+      url,
+      mode: playlist ? 'playlist' : 'separate',
+      outputPath: playlist ? outputPath : null,
+      segments,
+      skipped
+    }, null, 2) + '\n');
+    this.log(`Segment index: ${indexPath}`);
+
+    this.details.videos = segments;
+    this.details.skipped = skipped;
+    this.details.indexPath = indexPath;
+  }
+
+  /**
+   * Start the virtual display and audio sink, launch the browser and load the URL
+   * @param {Object} options
+   * @param {boolean} options.playerHooks - Install the player adapter hooks before navigating
+   * @param {boolean} options.renditionHooks - Install the streaming engine hooks (see lib/renditions.js)
+   * @returns {Promise<Page>} Loaded page, in browser fullscreen
+   */
+  async openPage({ playerHooks, renditionHooks }) {
+    const { displayStartNumber, sinkName, parallelMode, resolution, logConsole, logRequests } = this.options;
+
+    const parsedWidth = parseInt(resolution.split('x')[0]);
+    const parsedHeight = parseInt(resolution.split('x')[1]);
+
+    // Step 1: Start virtual display
+    this.log('Starting virtual display...');
+    this.displayInfo = await startDisplay(displayStartNumber, resolution + 'x24', true);
+    this.log(`Display :${this.displayInfo.displayNumber} started`);
+    this.checkCancelled();
+    this.emit('display-ready', { displayNumber: this.displayInfo.displayNumber });
+
+    // Step 2: Setup audio
+    this.log('Setting up audio environment...');
+    this.audioInfo = await setupAudioRecording(sinkName, { skipDefault: parallelMode });
+    this.log(`Audio sink: ${this.audioInfo.sinkName}`);
+    this.checkCancelled();
+
+    // Step 3: Launch browser and navigate (before recording, so page is loaded)
+    this.log('Launching browser...');
+    await this.openBrowser({
+      width: parsedWidth,
+      height: parsedHeight,
+      pulseServer: this.audioInfo.pulseServer
+    });
+    this.checkCancelled();
+
+    this.log('Navigating to URL...');
+    const page = await createPage(this.browser, {
+      width: parsedWidth,
+      height: parsedHeight,
+      logConsole,
+      logRequests
+    });
+    this.page = page;
+    if (playerHooks) {
+      await installPlayerHooks(page);
+    }
+    this.renditionState = renditionHooks ? await installRenditionHooks(page) : null;
+    this.checkCancelled();
+
+    await this.navigate(page);
+
+    // Enter fullscreen to hide URL bar and browser chrome
+    this.log('Entering fullscreen...');
+    await setFullscreen(page);
+    return page;
+  }
+
+  /**
+   * Seconds of video to record: the detected duration, or the --duration fallback
+   * @param {Object} metadata - From getVideoMetadata()
+   * @returns {number}
+   */
+  videoDuration(metadata) {
+    const { duration, autoDetectDuration } = this.options;
+    if (!autoDetectDuration) {
+      return duration;
+    }
+    if (metadata.duration && metadata.duration > 0 && isFinite(metadata.duration)) {
+      const detected = Math.ceil(metadata.duration);
+      this.log(`Auto-detected video duration: ${detected}s`);
+      return detected;
+    }
+    if (duration) {
+      this.log('Auto-detection failed, using fallback manual duration');
+      return duration;
+    }
+    throw new JobError(
+      'Failed to auto-detect video duration. ' +
+      'Please provide a manual duration with --duration <seconds>.',
+      'no-duration'
+    );
+  }
+
+  /**
+   * Launch the browser on this job's display, with its persistent profile if one is set
+   * @param {Object} launchOptions - launchBrowser() options (width, height, pulseServer)
+   */
+  async openBrowser(launchOptions) {
+    this.profile = await acquireProfile(this.options);
+    this.checkCancelled();
+    this.browser = await launchBrowser(this.displayInfo.displayNumber, {
+      ...launchOptions,
+      userDataDir: this.profile ? this.profile.dir : null
+    });
+  }
+
+  /**
+   * Apply the session (cookies, storage, headers, HTTP auth), then load the URL
+   * Runs the beforeNavigate and afterNavigate hooks around navigation
+   * @param {Page} page - Freshly created page
+   */
+  async navigate(page) {
+    const { url, networkCapture } = this.options;
+
+    if (networkCapture) {
+      this.network = await startNetworkCapture(page);
+    }
+    if (this.requestRules) {
+      this.interceptor = await installRequestRules(page, this.requestRules);
+    }
+    const applied = this.auth ? await applyAuth(page, this.auth) : null;
+    await this.hook('beforeNavigate');
+
+    await navigateToUrl(page, url, {
+      timeout: 60000,
+      waitUntil: 'networkidle2'
+    });
+    if (applied) {
+      await stopSeedingStorage(page, applied);
+    }
+    this.checkCancelled();
+    this.emit('page-loaded', { url });
+    await this.hook('afterNavigate');
+  }
+
+  /**
+   * Deterministic rendering (virtualTime): no audio sink, no video element
+   * The page's clocks only move when the next frame is rendered, so the capture has
+   * exactly duration x framerate frames however slow the machine is
+   * @param {Object} plan - Profiles and paths resolved by record()
+   */
+  async render({ outputProfile, captureProfile, capturePath, encodeStage }) {
+    const {
+      outputPath,
+      displayStartNumber,
+      duration,
+      resolution,
+      framerate,
+      quality,
+      preset,
+      audioBitrate,
+      videoSelector,
+      clickSelectors,
+      logConsole,
+      logRequests,
+      elementFullscreen,
+      fullscreenSelector
+    } = this.options;
+
+    const parsedWidth = parseInt(resolution.split('x')[0]);
+    const parsedHeight = parseInt(resolution.split('x')[1]);
+
+    // Step 1: Start virtual display (the browser is not headless)
+    this.log('Starting virtual display...');
+    this.displayInfo = await startDisplay(displayStartNumber, resolution + 'x24', true);
+    this.log(`Display :${this.displayInfo.displayNumber} started`);
+    this.checkCancelled();
+    this.emit('display-ready', { displayNumber: this.displayInfo.displayNumber });
+
+    // Step 2: Launch browser, install the virtual clock and navigate
+    this.log('Launching browser...');
+    await this.openBrowser({
+      width: parsedWidth,
+      height: parsedHeight
+    });
+    this.checkCancelled();
+
+    this.log('Navigating to URL...');
+    const page = await createPage(this.browser, {
+      width: parsedWidth,
+      height: parsedHeight,
+      logConsole,
+      logRequests
+    });
+    this.page = page;
+    await installVirtualTime(page);
+    this.checkCancelled();
+
+    await this.navigate(page);
+
+    this.log('Entering fullscreen...');
+    await setFullscreen(page);
+
+    // Step 3: Clicks and element fullscreen still run in real time
+    for (const sel of clickSelectors) {
+      await clickIfExists(page, sel);
+      await sleep(500);
+    }
+
+    if (elementFullscreen) {
+      this.details.fullscreen = await setElementFullscreen(page, fullscreenSelector || videoSelector);
+      await sleep(500);
+    }
+    this.checkCancelled();
+    await this.hook('beforePlay');
+
+    // Step 4: Render frame by frame
+    this.log(`Rendering ${duration}s in virtual time...`);
+    this.emit('recording-started', {
+      outputPath,
+      duration,
+      totalTime: duration,
+      metadata: null
+    });
+
+    const { frames, renderSeconds } = await renderVirtualTime(page, {
+      outputPath: capturePath,
+      format: captureProfile.name,
+      framerate,
+      duration,
+      crf: quality,
+      preset,
+      audioBitrate,
+      signal: this.abortController.signal,
+      onFrame: async ({ frame, frames }) => {
+        if (frame % framerate !== 0 && frame !== frames) {
+          return;
+        }
+        const elapsed = Math.round(frame / framerate);
+        const remaining = Math.max(duration - elapsed, 0);
+        await this.reportProgress({ elapsed, total: duration, remaining });
+        if (elapsed % 5 === 0 || frame === frames) {
+          this.log(`Rendering... ${elapsed}/${duration}s rendered (${frame}/${frames} frames)`);
+        }
+      }
+    }).catch((err) => {
+      this.checkCancelled();
+      throw err;
+    });
+    await this.hook('beforeStop');
+    await this.teardown();
+
+    this.details.frames = { backend: 'virtual-time', frames, renderSeconds };
+
+    // Step 5: Validate and encode; the render has no audio track
+    await finish(this, {
+      capturePath,
+      outputProfile,
+      encodeStage,
+      expectedDuration: frames / framerate,
+      window: null,
+      requireAudio: false
+    });
+  }
+
+  /**
+   * Write the HAR file and media inventory of the job's page (see lib/network.js)
+   * Also runs when a recording fails, so never throws
+   * @param {Object} network - From startNetworkCapture()
+   */
+  async saveNetworkCapture(network) {
+    const { outputPath, url, harPostData } = this.options;
+    try {
+      const records = await network.stop();
+      this.details.network = writeNetworkCapture(records, outputPath, url, { postData: harPostData });
+    } catch (err) {
+      this.log(`Warning: Could not write network capture: ${err.message}`);
+    }
+  }
+
+  /**
+   * Stop ffmpeg, close the browser, release its profile, stop the display and remove the audio sink
+   * @param {Object} options
+   * @param {boolean} options.emergency - Short grace period and ignore errors
+   */
+  async teardown({ emergency = false } = {}) {
+    const swallow = emergency ? (promise) => promise.catch(() => {}) : (promise) => promise;
+
+    // Each resource is detached before it is released so concurrent teardowns
+    // (cancel() racing a failing step) never release the same resource twice
+    const { ffmpegProcess, network, interceptor, browser, profile, displayInfo, audioInfo } = this;
+    this.ffmpegProcess = null;
+    this.network = null;
+    this.interceptor = null;
+    this.browser = null;
+    this.profile = null;
+    this.page = null;
+    this.displayInfo = null;
+    this.audioInfo = null;
+
+    // Graceful shutdown in correct order
+    if (ffmpegProcess) {
+      await swallow(stopCapture(this, { emergency, ffmpegProcess }));
+    }
+
+    // Before the browser closes, while manifest bodies can still be read
+    if (network) {
+      await this.saveNetworkCapture(network);
+    }
+    if (interceptor) {
+      this.details.requestRules = interceptor.hits();
+    }
+
+    if (browser) {
+      if (!emergency) this.log('Closing browser...');
+      await swallow(closeBrowser(browser));
+    }
+
+    // After the browser, which holds the profile lock
+    if (profile) {
+      await swallow(profile.release());
+    }
+
+    if (displayInfo) {
+      if (!emergency) this.log('Stopping display...');
+      await swallow(stopDisplay(displayInfo));
+    }
+
+    if (audioInfo) {
+      if (!emergency) this.log('Cleaning up audio...');
+      await swallow(cleanupAudioRecording(audioInfo.sinkName));
+    }
+  }
+}
+
+/**
+ * Record a single URL
+ * Convenience wrapper around `new Recorder(options).start()`
+ * @param {Object} options - Recording options (see DEFAULT_OPTIONS)
+ * @returns {Promise<{success: boolean, outputPath: string, error?: string}>}
+ */
+export async function record(options) {
+  return new Recorder(options).start();
+}
+
+/**
+ * Path of the capture for a deliverable: the deliverable itself, or `<name>.capture.<ext>`
+ * when it is captured with a different profile and encoded afterwards
+ */
+function capturePathFor(outputPath, outputProfile, captureProfile) {
+  return captureProfile.name === outputProfile.name
+    ? outputPath
+    : outputPath.replace(/(\.[^./]+)?$/, `.capture${captureProfile.extension}`);
+}
+
+/**
+ * Zero-pad a segment number to the width of the segment count (at least two digits)
+ */
+function pad(index, count) {
+  return String(index).padStart(Math.max(String(count).length, 2), '0');
+}
@@ -0,0 +1,241 @@
+/**
+ * Scripted page timelines
+ * Drives pages without a <video> element (demos, dashboards, landing pages) through a
+ * list of actions (scroll, hover, click, type, wait) while ffmpeg captures
+ */
+
+import { readFileSync } from 'fs';
+import { extname, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { log } from './cleanup.js';
+import { JobError, scriptFailureCategory } from './errors.js';
+
+/**
+ * Timeline actions
+ * - fields: required fields and their types
+ * - run(page, step, signal): performs the step
+ */
+const ACTIONS = {
+  // Scroll an element into view; with duration, scroll there smoothly over that many ms
+  scrollTo: {
+    fields: { selector: 'string' },
+    run: async (page, { selector, duration = 0, block = 'center', easing = 'ease-in-out' }) => {
+      const target = await page.$eval(selector, (el, block) => {
+        const rect = el.getBoundingClientRect();
+        const offset = block === 'start' ? 0 : block === 'end' ? window.innerHeight - rect.height : (window.innerHeight - rect.height) / 2;
+        return { x: window.scrollX, y: window.scrollY + rect.top - offset };
+      }, block);
+      await scrollPage(page, target, duration, easing);
+    }
+  },
+  // Scroll by a number of pixels, smoothly over duration ms
+  scrollBy: {
+    fields: {},
+    run: async (page, { x = 0, y = 0, duration = 0, easing = 'ease-in-out' }) => {
+      const target = await page.evaluate((x, y) => ({ x: window.scrollX + x, y: window.scrollY + y }), x, y);
+      await scrollPage(page, target, duration, easing);
+    }
+  },
+  hover: {
+    fields: { selector: 'string' },
+    run: (page, { selector }) => page.hover(selector)
+  },
+  click: {
+    fields: { selector: 'string' },
+    run: (page, { selector }) => page.click(selector)
+  },
+  // Type text into a field, one key every `delay` ms
+  type: {
+    fields: { selector: 'string', text: 'string' },
+    run: (page, { selector, text, delay = 50 }) => page.type(selector, text, { delay })
+  },
+  waitForSelector: {
+    fields: { selector: 'string' },
+    run: (page, { selector, visible = true, timeout = 30000 }) => page.waitForSelector(selector, { visible, timeout })
+  },
+  wait: {
+    fields: { ms: 'number' },
+    run: (page, { ms }, signal) => abortableSleep(ms, signal)
+  }
+};
+
+export const TIMELINE_ACTIONS = Object.keys(ACTIONS);
+
+/**
+ * Scroll the window to a position, optionally animated
+ * @param {Page} page - Puppeteer page
+ * @param {{x: number, y: number}} target - Scroll position
+ * @param {number} duration - Animation length in ms (0 jumps)
+ * @param {string} easing - 'linear' or 'ease-in-out'
+ */
+async function scrollPage(page, target, duration, easing) {
+  await page.evaluate(async ({ x, y }, duration, easing) => {
+    const startX = window.scrollX;
+    const startY = window.scrollY;
+    const scroll = (progress) => {
+      const eased = easing === 'linear'
+        ? progress
+        : progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+      // 'instant' overrides a page-wide `scroll-behavior: smooth`
+      window.scrollTo({ left: startX + (x - startX) * eased, top: startY + (y - startY) * eased, behavior: 'instant' });
+    };
+
+    if (duration <= 0) {
+      scroll(1);
+      return;
+    }
+    await new Promise((resolve) => {
+      const startedAt = performance.now();
+      const frame = (now) => {
+        const progress = Math.min((now - startedAt) / duration, 1);
+        scroll(progress);
+        if (progress < 1) {
+          requestAnimationFrame(frame);
+        } else {
+          resolve();
+        }
+      };
+      requestAnimationFrame(frame);
+    });
+  }, target, duration, easing);
+}
+
+/**
+ * Sleep that ends early when the signal is aborted
+ */
+function abortableSleep(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Describe a step for logs and errors (e.g. 'click .signup')
+ */
+function describeStep(step) {
+  const target = step.selector || (step.action === 'wait' ? `${step.ms}ms` : step.action === 'scrollBy' ? `${step.x || 0},${step.y || 0}` : '');
+  return target ? `${step.action} ${target}` : step.action;
+}
+
+/**
+ * Check a timeline and normalize it to { duration, actions }
+ * Accepts a list of actions, or an object with `actions` and an optional `duration` (seconds)
+ * @param {Object|Object[]} timeline - Timeline definition
+ * @returns {{duration: number|null, actions: Object[]}}
+ */
+export function parseTimeline(timeline) {
+  const { duration = null, actions } = Array.isArray(timeline) ? { actions: timeline } : (timeline || {});
+
+  if (!Array.isArray(actions)) {
+    throw new JobError('Invalid timeline: expected a list of actions or an object with "actions"', 'invalid-job');
+  }
+  if (duration !== null && !(typeof duration === 'number' && duration > 0)) {
+    throw new JobError(`Invalid timeline: duration must be a positive number of seconds, got ${JSON.stringify(duration)}`, 'invalid-job');
+  }
+
+  actions.forEach((step, index) => {
+    const where = `Invalid timeline step ${index + 1}`;
+    if (!step || typeof step !== 'object' || !ACTIONS[step.action]) {
+      throw new JobError(`${where}: action must be one of ${TIMELINE_ACTIONS.join(', ')}`, 'invalid-job');
+    }
+    for (const [field, type] of Object.entries(ACTIONS[step.action].fields)) {
+      if (typeof step[field] !== type) {
+        throw new JobError(`${where} (${step.action}): "${field}" must be a ${type}`, 'invalid-job');
+      }
+    }
+    for (const field of ['x', 'y']) {
+      if (step[field] !== undefined && typeof step[field] !== 'number') {
+        throw new JobError(`${where} (${step.action}): "${field}" must be a number of pixels`, 'invalid-job');
+      }
+    }
+    for (const field of ['ms', 'duration', 'delay', 'timeout']) {
+      if (step[field] !== undefined && !(typeof step[field] === 'number' && step[field] >= 0)) {
+        throw new JobError(`${where} (${step.action}): "${field}" must be a number of milliseconds`, 'invalid-job');
+      }
+    }
+  });
+
+  return { duration, actions };
+}
+
+/**
+ * Load a timeline from a JSON file or a JS module
+ * A module's default export is the timeline, or a (possibly async) function returning it
+ * @param {string} filePath - Path to a .json, .js or .mjs file
+ * @returns {Promise<{duration: number|null, actions: Object[]}>}
+ */
+export async function loadTimeline(filePath) {
+  const fullPath = resolve(filePath);
+  const extension = extname(fullPath).toLowerCase();
+
+  if (extension === '.json') {
+    let timeline;
+    try {
+      timeline = JSON.parse(readFileSync(fullPath, 'utf-8'));
+    } catch (err) {
+      throw new JobError(`Invalid timeline ${filePath}: ${err.message}`, 'invalid-job');
+    }
+    return parseTimeline(timeline);
+  }
+
+  if (extension === '.js' || extension === '.mjs') {
+    const module = await import(pathToFileURL(fullPath).href);
+    const timeline = typeof module.default === 'function' ? await module.default() : module.default;
+    return parseTimeline(timeline);
+  }
+
+  throw new JobError(`Invalid timeline ${filePath}: expected a .json, .js or .mjs file`, 'invalid-job');
+}
+
+/**
+ * Run a timeline's actions in order against the page
+ * Steps marked `optional: true` log their failure and continue
+ * @param {Page} page - Puppeteer page
+ * @param {{actions: Object[]}} timeline - Parsed timeline
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops before the next step (and ends a wait early)
+ * @param {Function} options.onStep - Called with each finished step's timing
+ * @returns {Promise<Array<{step: number, action: string, startedAt: number, endedAt: number, error?: string}>>} Step timings (epoch ms)
+ */
+export async function runTimeline(page, { actions }, { signal, onStep = null } = {}) {
+  const steps = [];
+
+  for (const [index, step] of actions.entries()) {
+    if (signal && signal.aborted) {
+      log(`Timeline stopped before step ${index + 1}/${actions.length}`);
+      break;
+    }
+
+    const description = describeStep(step);
+    log(`Timeline step ${index + 1}/${actions.length}: ${description}`);
+    const timing = { step: index + 1, action: step.action, startedAt: Date.now() };
+
+    try {
+      await ACTIONS[step.action].run(page, step, signal);
+    } catch (err) {
+      if (!step.optional) {
+        throw new JobError(
+          `Timeline step ${index + 1} (${description}) failed: ${err.message}`,
+          scriptFailureCategory(err, 'timeline'),
+          { cause: err }
+        );
+      }
+      log(`Warning: Optional timeline step ${index + 1} (${description}) failed: ${err.message}`);
+      timing.error = err.message;
+    }
+
+    timing.endedAt = Date.now();
+    steps.push(timing);
+    if (onStep) {
+      onStep(timing);
+    }
+  }
+
+  return steps;
+}
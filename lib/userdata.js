@@ -0,0 +1,124 @@
+/**
+ * Persistent browser profiles
+ * Reuses Chrome user data directories across jobs (warm caches, installed service workers,
+ * dismissed consent dialogs), with copy-on-write clones for parallel workers and per-job resets
+ */
+
+import { constants, existsSync } from 'fs';
+import { cp, mkdir, mkdtemp, readFile, rm, stat, writeFile } from 'fs/promises';
+import { basename, join, resolve } from 'path';
+import { log } from './cleanup.js';
+import { JobError } from './errors.js';
+
+/**
+ * Files Chrome uses to lock a profile to one running browser; never copied into clones
+ */
+const LOCK_FILES = new Set(['SingletonLock', 'SingletonSocket', 'SingletonCookie', 'lockfile']);
+
+/**
+ * Marker in a worker clone recording which version of the source profile it was copied from
+ */
+const CLONE_STAMP = '.recorder-clone';
+
+/**
+ * Resolve the profile directory a job should start from
+ * @param {Object} options - Recorder options
+ * @param {string|null} options.userDataDir - Explicit Chrome user data directory
+ * @param {string|null} options.browserProfile - Named profile under profilesDir
+ * @param {string} options.profilesDir - Directory holding named profiles
+ * @returns {string|null} Absolute path, or null for a fresh temporary profile
+ */
+export function resolveProfileDir({ userDataDir = null, browserProfile = null, profilesDir = './browser-profiles' }) {
+  if (userDataDir && browserProfile) {
+    throw new JobError('Invalid browser profile: use either a user data dir or a named profile, not both', 'invalid-job');
+  }
+  if (userDataDir) {
+    return resolve(userDataDir);
+  }
+  if (browserProfile) {
+    if (!/^[\w.-]+$/.test(browserProfile) || /^\.+$/.test(browserProfile)) {
+      throw new JobError(`Invalid browser profile name "${browserProfile}": use letters, digits, ".", "_" and "-"`, 'invalid-job');
+    }
+    return resolve(profilesDir, browserProfile);
+  }
+  return null;
+}
+
+/**
+ * Version of a profile: Chrome rewrites `Local State` whenever a browser using it exits
+ */
+async function profileVersion(dir) {
+  const localState = join(dir, 'Local State');
+  const { mtimeMs } = await stat(existsSync(localState) ? localState : dir);
+  return String(mtimeMs);
+}
+
+/**
+ * Replace target with a copy of source
+ * Files are cloned copy-on-write where the filesystem supports it (btrfs, XFS, APFS)
+ * and copied otherwise
+ */
+async function cloneProfile(source, target) {
+  await rm(target, { recursive: true, force: true });
+  await cp(source, target, {
+    recursive: true,
+    mode: constants.COPYFILE_FICLONE,
+    filter: (path) => !LOCK_FILES.has(basename(path))
+  });
+}
+
+/**
+ * Pick the user data directory for one job
+ * - single/sequential jobs use the profile itself, so what they cache persists
+ * - parallel workers (profileSlot set) each keep their own clone, refreshed when
+ *   the profile has changed since it was copied, so workers never share a profile lock
+ * - resetProfile runs the job on a throwaway clone, leaving the profile as a fixed snapshot
+ * @param {Object} options - Recorder options (see resolveProfileDir)
+ * @param {number|null} options.profileSlot - Worker slot in parallel mode
+ * @param {boolean} options.resetProfile - Discard the job's changes to the profile
+ * @returns {Promise<{dir: string, release: Function}|null>} Directory to launch with; call release() after the browser closes
+ */
+export async function acquireProfile(options) {
+  const { profileSlot = null, resetProfile = false } = options;
+  const source = resolveProfileDir(options);
+  if (!source) {
+    return null;
+  }
+
+  if (!existsSync(source)) {
+    log(`Creating browser profile: ${source}`);
+    await mkdir(source, { recursive: true });
+  }
+
+  const clonesDir = `${source}.clones`;
+
+  if (resetProfile) {
+    await mkdir(clonesDir, { recursive: true });
+    const dir = await mkdtemp(join(clonesDir, 'job-'));
+    await cloneProfile(source, dir);
+    log(`Browser profile: fresh copy of ${source}`);
+    return {
+      dir,
+      release: () => rm(dir, { recursive: true, force: true })
+    };
+  }
+
+  if (profileSlot !== null) {
+    const dir = join(clonesDir, `worker-${profileSlot}`);
+    const version = await profileVersion(source);
+    const stamp = join(dir, CLONE_STAMP);
+    const cloned = existsSync(stamp) ? await readFile(stamp, 'utf-8') : null;
+
+    if (cloned !== version) {
+      log(`Browser profile: ${cloned ? 'refreshing' : 'creating'} worker copy of ${source}`);
+      await cloneProfile(source, dir);
+      await writeFile(stamp, version);
+    } else {
+      log(`Browser profile: worker copy of ${source}`);
+    }
+    return { dir, release: async () => {} };
+  }
+
+  log(`Browser profile: ${source}`);
+  return { dir: source, release: async () => {} };
+}
@@ -0,0 +1,239 @@
+/**
+ * Post-recording output validation
+ * Probes finished files with ffprobe/ffmpeg and writes a per-file quality report
+ */
+
+import { spawn } from 'child_process';
+import { writeFile } from 'fs/promises';
+import { log } from './cleanup.js';
+import { JobError } from './errors.js';
+
+/**
+ * Default validation thresholds
+ */
+export const VALIDATION_DEFAULTS = Object.freeze({
+  durationTolerance: 3,     // Seconds the container may differ from the capture time
+  silenceThreshold: -50,    // dB below which audio counts as silence
+  maxSilentRatio: 0.95,     // Fail if more of the audio than this is silent
+  maxBlackRatio: 0.5,       // Fail if more of the video than this is black
+  maxFrozenRatio: 0.5       // Fail if more of the video than this is frozen
+});
+
+/**
+ * Run a command and collect its output
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function runTool(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    child.on('error', (err) => reject(new JobError(`Could not run ${command}: ${err.message}`, 'environment')));
+    child.on('exit', (code) => resolve({ code, stdout, stderr }));
+  });
+}
+
+/**
+ * Read container and stream information with ffprobe
+ * @param {string} filePath - Media file
+ * @returns {Promise<{duration: number, streams: Object[]}>}
+ */
+export async function probeFile(filePath) {
+  const { code, stdout, stderr } = await runTool('ffprobe', [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    filePath
+  ]);
+
+  if (code !== 0) {
+    throw new JobError(`ffprobe failed on ${filePath}: ${stderr.trim()}`, 'validation');
+  }
+
+  const info = JSON.parse(stdout);
+  return {
+    duration: parseFloat(info.format && info.format.duration) || 0,
+    size: parseInt(info.format && info.format.size, 10) || 0,
+    streams: (info.streams || []).map(stream => ({
+      type: stream.codec_type,
+      codec: stream.codec_name,
+      width: stream.width,
+      height: stream.height,
+      duration: parseFloat(stream.duration) || null
+    }))
+  };
+}
+
+/**
+ * Sum `<name>_duration: N` values printed by an ffmpeg detection filter
+ */
+function sumDurations(stderr, name) {
+  const pattern = new RegExp(`${name}_duration:\\s*([\\d.]+)`, 'g');
+  let total = 0;
+  for (const match of stderr.matchAll(pattern)) {
+    total += parseFloat(match[1]);
+  }
+  return total;
+}
+
+/**
+ * Measure audio loudness and silence
+ * @param {string} filePath - Media file
+ * @param {number} silenceThreshold - Silence level in dB
+ * @returns {Promise<{meanVolume: number, maxVolume: number, silentSeconds: number}>}
+ */
+export async function analyzeAudio(filePath, silenceThreshold = VALIDATION_DEFAULTS.silenceThreshold) {
+  const { code, stderr } = await runTool('ffmpeg', [
+    '-hide_banner', '-nostats',
+    '-i', filePath,
+    '-vn',
+    '-af', `silencedetect=noise=${silenceThreshold}dB:duration=1,volumedetect`,
+    '-f', 'null', '-'
+  ]);
+
+  if (code !== 0) {
+    throw new JobError(`Audio analysis failed on ${filePath}`, 'validation');
+  }
+
+  const volume = (name) => {
+    const match = stderr.match(new RegExp(`${name}_volume:\\s*(-?[\\d.]+|-inf) dB`));
+    return match ? (match[1] === '-inf' ? -Infinity : parseFloat(match[1])) : -Infinity;
+  };
+
+  // A silence that lasts until the end has a start but no end line
+  const silentSeconds = sumDurations(stderr, 'silence');
+  const starts = [...stderr.matchAll(/silence_start:\s*([\d.]+)/g)];
+  const ends = [...stderr.matchAll(/silence_end:/g)];
+  const openStart = starts.length > ends.length ? parseFloat(starts[starts.length - 1][1]) : null;
+
+  return {
+    meanVolume: volume('mean'),
+    maxVolume: volume('max'),
+    silentSeconds,
+    openSilenceStart: openStart
+  };
+}
+
+/**
+ * Measure black and frozen video
+ * @param {string} filePath - Media file
+ * @returns {Promise<{blackSeconds: number, frozenSeconds: number, openFreezeStart: number|null}>}
+ */
+export async function analyzeVideo(filePath) {
+  const { code, stderr } = await runTool('ffmpeg', [
+    '-hide_banner', '-nostats',
+    '-i', filePath,
+    '-an',
+    '-vf', 'blackdetect=d=0.5:pix_th=0.10,freezedetect=n=-60dB:d=2',
+    '-f', 'null', '-'
+  ]);
+
+  if (code !== 0) {
+    throw new JobError(`Video analysis failed on ${filePath}`, 'validation');
+  }
+
+  // freezedetect only prints freeze_duration once a freeze ends
+  const starts = [...stderr.matchAll(/freeze_start:\s*([\d.]+)/g)];
+  const ends = [...stderr.matchAll(/freeze_end:/g)];
+  const openStart = starts.length > ends.length ? parseFloat(starts[starts.length - 1][1]) : null;
+
+  return {
+    blackSeconds: sumDurations(stderr, 'black'),
+    frozenSeconds: sumDurations(stderr, 'freeze'),
+    openFreezeStart: openStart
+  };
+}
+
+/**
+ * Validate a finished recording and write `<output>.report.json`
+ * @param {string} outputPath - Recorded file
+ * @param {Object} options - Validation options (see VALIDATION_DEFAULTS)
+ * @param {number} options.expectedDuration - Capture length in seconds
+ * @param {boolean} options.requireAudio - Check the audio stream (false for GIF/WebP deliverables)
+ * @param {string} options.reportPath - Where to write the report (default: `<outputPath>.report.json`)
+ * @returns {Promise<{passed: boolean, failures: string[], reportPath: string, report: Object}>}
+ */
+export async function validateRecording(outputPath, options = {}) {
+  const {
+    expectedDuration,
+    durationTolerance,
+    silenceThreshold,
+    maxSilentRatio,
+    maxBlackRatio,
+    maxFrozenRatio,
+    requireAudio = true,
+    reportPath = `${outputPath}.report.json`
+  } = { ...VALIDATION_DEFAULTS, ...options };
+
+  log(`Validating output: ${outputPath}`);
+
+  const checks = [];
+  const check = (name, passed, detail) => checks.push({ name, passed, detail });
+
+  const probe = await probeFile(outputPath);
+  const { duration } = probe;
+  const hasVideo = probe.streams.some(s => s.type === 'video');
+  const hasAudio = probe.streams.some(s => s.type === 'audio');
+
+  if (expectedDuration) {
+    const diff = Math.abs(duration - expectedDuration);
+    check('duration', diff <= durationTolerance,
+      `${duration.toFixed(1)}s vs expected ${expectedDuration.toFixed(1)}s (tolerance ${durationTolerance}s)`);
+  }
+  check('video-stream', hasVideo, hasVideo ? 'present' : 'missing');
+  if (requireAudio) {
+    check('audio-stream', hasAudio, hasAudio ? 'present' : 'missing');
+  }
+
+  let audio = null;
+  if (requireAudio && hasAudio && duration > 0) {
+    audio = await analyzeAudio(outputPath, silenceThreshold);
+    const silent = audio.silentSeconds + (audio.openSilenceStart !== null ? duration - audio.openSilenceStart : 0);
+    audio.silentRatio = Math.min(silent / duration, 1);
+    const audible = audio.maxVolume > silenceThreshold && audio.silentRatio <= maxSilentRatio;
+    check('audio-not-silent', audible,
+      `max ${audio.maxVolume} dB, mean ${audio.meanVolume} dB, ${(audio.silentRatio * 100).toFixed(0)}% silent`);
+  }
+
+  let video = null;
+  if (hasVideo && duration > 0) {
+    video = await analyzeVideo(outputPath);
+    const frozen = video.frozenSeconds + (video.openFreezeStart !== null ? duration - video.openFreezeStart : 0);
+    video.blackRatio = Math.min(video.blackSeconds / duration, 1);
+    video.frozenRatio = Math.min(frozen / duration, 1);
+    check('video-not-black', video.blackRatio <= maxBlackRatio,
+      `${(video.blackRatio * 100).toFixed(0)}% black`);
+    check('video-not-frozen', video.frozenRatio <= maxFrozenRatio,
+      `${(video.frozenRatio * 100).toFixed(0)}% frozen`);
+  }
+
+  const failures = checks.filter(c => !c.passed).map(c => `${c.name}: ${c.detail}`);
+  const report = {
+    file: outputPath,
+    checkedAt: new Date().toISOString(),
+    passed: failures.length === 0,
+    checks,
+    probe,
+    audio,
+    video
+  };
+
+  await writeFile(reportPath, JSON.stringify(report, null, 2) + '\n');
+
+  if (report.passed) {
+    log(`Output validation passed (${checks.length} checks), report: ${reportPath}`);
+  } else {
+    log(`Output validation failed: ${failures.join('; ')}`);
+  }
+
+  return { passed: report.passed, failures, reportPath, report };
+}
@@ -0,0 +1,200 @@
+/**
+ * Deterministic virtual-time rendering
+ * Renders CSS/canvas/WebGL animations and slide decks frame by frame: the page's clocks
+ * only move when the next frame is due, so the output never stutters on a slow machine
+ */
+
+import { log } from './cleanup.js';
+import { JobError } from './errors.js';
+import { startFrameEncoder } from './recorder.js';
+
+/**
+ * Time to wait for Chrome to spend one frame's virtual time budget (ms)
+ */
+const ADVANCE_TIMEOUT = 30000;
+
+/**
+ * Page-side clock, installed before any page script runs
+ * Until start() the page runs in real time (loading, clicks); afterwards Date,
+ * performance.now() and requestAnimationFrame only move on advance(), and Web
+ * Animations (CSS animations and transitions) are paused and stepped the same way
+ */
+function virtualClock() {
+  const RealDate = Date;
+  const realNow = performance.now.bind(performance);
+  const realRequestAnimationFrame = window.requestAnimationFrame.bind(window);
+  const realCancelAnimationFrame = window.cancelAnimationFrame.bind(window);
+
+  const callbacks = new Map();   // Virtual frame callbacks by id
+  const pending = new Map();     // Real frame requests made before start(), by id
+  const stepped = new WeakSet(); // Animations already paused by the clock
+  let nextId = 1;
+  let clock = null;              // { now, epoch } once started
+
+  const now = () => (clock ? clock.now : realNow());
+
+  function VirtualDate(...args) {
+    if (!new.target) {
+      return new RealDate(VirtualDate.now()).toString();
+    }
+    return args.length > 0 ? new RealDate(...args) : new RealDate(VirtualDate.now());
+  }
+  VirtualDate.prototype = RealDate.prototype;
+  VirtualDate.now = () => (clock ? Math.floor(clock.epoch + clock.now) : RealDate.now());
+  VirtualDate.parse = RealDate.parse;
+  VirtualDate.UTC = RealDate.UTC;
+
+  window.Date = VirtualDate;
+  performance.now = now;
+
+  window.requestAnimationFrame = (callback) => {
+    const id = nextId++;
+    if (clock) {
+      callbacks.set(id, callback);
+    } else {
+      // Requested in real time; if the clock starts before it fires, it waits for a virtual frame
+      pending.set(id, realRequestAnimationFrame((timestamp) => {
+        pending.delete(id);
+        if (clock) {
+          callbacks.set(id, callback);
+        } else {
+          callback(timestamp);
+        }
+      }));
+    }
+    return id;
+  };
+
+  window.cancelAnimationFrame = (id) => {
+    callbacks.delete(id);
+    if (pending.has(id)) {
+      realCancelAnimationFrame(pending.get(id));
+      pending.delete(id);
+    }
+  };
+
+  const stepAnimations = (ms) => {
+    for (const animation of document.getAnimations()) {
+      if (!stepped.has(animation)) {
+        stepped.add(animation);
+        animation.pause();
+      }
+      if (animation.currentTime !== null) {
+        animation.currentTime += ms;
+      }
+    }
+  };
+
+  Object.defineProperty(window, '__recorderVirtualClock', {
+    value: {
+      start() {
+        const current = realNow();
+        clock = { now: current, epoch: RealDate.now() - current };
+        stepAnimations(0);
+      },
+      advance(ms) {
+        clock.now += ms;
+        stepAnimations(ms);
+
+        // Callbacks requested during this frame run on the next one
+        const due = [...callbacks.values()];
+        callbacks.clear();
+        for (const callback of due) {
+          try {
+            callback(clock.now);
+          } catch (err) {
+            console.error(err);
+          }
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Install the virtual clock in every document the page loads
+ * Must be called before navigating
+ * @param {Page} page - Puppeteer page
+ */
+export async function installVirtualTime(page) {
+  await page.evaluateOnNewDocument(virtualClock);
+}
+
+/**
+ * Render the page frame by frame with virtual time and encode the frames
+ * Each frame advances Chrome's virtual time (timers) and the page clock by exactly
+ * 1/framerate, then screenshots the viewport; the output has duration x framerate
+ * frames however long each one takes to render
+ * @param {Page} page - Puppeteer page with installVirtualTime() applied before navigation
+ * @param {Object} options - Frame encoder options (outputPath, format, crf, preset, ...)
+ * @param {number} options.framerate - Output framerate (default: 30)
+ * @param {number} options.duration - Length of the animation to render, in seconds
+ * @param {Function} options.onFrame - Called (and awaited) after each frame with { frame, frames }
+ * @param {AbortSignal} options.signal - Stops rendering and kills ffmpeg when aborted
+ * @returns {Promise<{frames: number, renderSeconds: number}>}
+ */
+export async function renderVirtualTime(page, options) {
+  const { framerate = 30, duration, onFrame = null, signal } = options;
+
+  if (!duration || duration <= 0) {
+    throw new JobError('Virtual-time rendering requires a duration', 'invalid-job');
+  }
+
+  const frames = Math.round(duration * framerate);
+  const interval = 1000 / framerate;
+  log(`Rendering ${frames} frames in virtual time (${duration}s at ${framerate} fps)...`);
+
+  const encoder = await startFrameEncoder(options);
+  const client = await page.createCDPSession();
+  const renderStartedAt = Date.now();
+
+  /**
+   * Let timers run for one frame interval, then step the page clock
+   */
+  const advance = async () => {
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+      client.once('Emulation.virtualTimeBudgetExpired', resolve);
+      timer = setTimeout(() => reject(new JobError(`Virtual time did not advance within ${ADVANCE_TIMEOUT / 1000}s`, 'browser')), ADVANCE_TIMEOUT);
+    });
+    try {
+      await client.send('Emulation.setVirtualTimePolicy', { policy: 'advance', budget: interval });
+      await expired;
+    } finally {
+      clearTimeout(timer);
+    }
+    await page.evaluate((ms) => window.__recorderVirtualClock.advance(ms), interval);
+  };
+
+  try {
+    await page.evaluate(() => window.__recorderVirtualClock.start());
+    await client.send('Emulation.setVirtualTimePolicy', { policy: 'pause' });
+
+    for (let frame = 0; frame < frames; frame++) {
+      if (signal && signal.aborted) {
+        throw new JobError('Rendering aborted', 'cancelled');
+      }
+      if (frame > 0) {
+        await advance();
+      }
+
+      const { data } = await client.send('Page.captureScreenshot', { format: 'png' });
+      await encoder.write(Buffer.from(data, 'base64'));
+
+      if (onFrame) {
+        await onFrame({ frame: frame + 1, frames });
+      }
+    }
+
+    await encoder.finish();
+  } catch (err) {
+    encoder.abort();
+    throw err;
+  } finally {
+    await client.detach().catch(() => {});
+  }
+
+  const renderSeconds = (Date.now() - renderStartedAt) / 1000;
+  log(`Rendered ${frames} frames in ${renderSeconds.toFixed(1)}s (${(frames / renderSeconds).toFixed(1)} fps)`);
+  return { frames, renderSeconds };
+}
@@ -8,24 +8,24 @@
 import yargs from 'yargs';
 import { hideBin } from 'yargs/helpers';
 import { resolve } from 'path';
-import { cleanupManager, log, sleep } from './lib/cleanup.js';
-import { startDisplay, stopDisplay } from './lib/display.js';
-import { setupAudioRecording, cleanupAudioRecording, moveBrowserSinkInputs } from './lib/audio.js';
-import { startRecording, stopRecording, estimateFileSize } from './lib/recorder.js';
+import { cleanupManager, log } from './lib/cleanup.js';
+import { estimateFileSize } from './lib/recorder.js';
+import { record } from './lib/session.js';
+import { createJobServer } from './lib/server.js';
+import { JobLedger } from './lib/ledger.js';
+import { withRetries } from './lib/retry.js';
+import { PROFILE_NAMES, INTERMEDIATE_PROFILES, resolveOutputProfile } from './lib/profiles.js';
+import { EncodePool } from './lib/encoder.js';
+import { loadAuth, interactiveLogin } from './lib/auth.js';
+import { resolveProfileDir } from './lib/userdata.js';
+import { PLAYER_ADAPTERS } from './lib/players.js';
+import { checkOptionCombinations } from './lib/options.js';
+import { isManifestFile } from './lib/manifest.js';
+import { createInterface } from 'readline';
 import {
-  launchBrowser,
-  createPage,
-  navigateToUrl,
-  setFullscreen,
-  findVideoElement,
-  getVideoMetadata,
-  playVideo,
-  clickIfExists,
-  closeBrowser
-} from './lib/browser.js';
-import {
-  readUrlFile,
-  generateOutputPath,
+  readBatchFile,
+  toBatchJob,
+  ensureOutputDir,
   runSequential,
   runParallel,
   printBatchSummary
@@ -35,7 +35,43 @@ import {
  * Parse CLI arguments
  */
 const argv = yargs(hideBin(process.argv))
-  .usage('Usage: $0 --url <url> --output <file> [options]\n       $0 --batch <file> --batch-output-dir <dir> [options]')
+  .usage('Usage: $0 --url <url> --output <file> [options]\n       $0 --batch <file> --batch-output-dir <dir> [options]\n       $0 serve --port <port> [options]\n       $0 login --url <url> --save-storage <file>')
+  .command('$0', 'Record a single URL or a batch of URLs')
+  .command('serve', 'Run an HTTP job server that queues recordings', (cmd) => cmd
+    .option('port', {
+      alias: 'p',
+      type: 'number',
+      description: 'Port to listen on',
+      default: 8080
+    })
+    .option('host', {
+      type: 'string',
+      description: 'Interface to bind to',
+      default: '127.0.0.1'
+    })
+    .option('output-dir', {
+      type: 'string',
+      description: 'Directory for finished job recordings',
+      default: './recordings'
+    })
+    .option('job-ttl', {
+      type: 'number',
+      description: 'Seconds a finished job stays listed (0: until --max-jobs)',
+      default: 86400
+    })
+    .option('max-jobs', {
+      type: 'number',
+      description: 'Most finished jobs kept listed (the oldest are dropped first)',
+      default: 1000
+    })
+  )
+  .command('login', 'Open a visible browser, log in by hand and save the session for later recordings', (cmd) => cmd
+    .option('save-storage', {
+      type: 'string',
+      description: 'Storage state file to write (cookies, localStorage, sessionStorage)',
+      default: './storage-state.json'
+    })
+  )
   .option('url', {
     alias: 'u',
     type: 'string',
@@ -54,13 +90,28 @@ const argv = yargs(hideBin(process.argv))
   })
   .option('batch', {
     type: 'string',
-    description: 'Path to URL list file (one URL per line)'
+    description: 'Path to URL list file (one URL per line) or JSON/YAML/CSV manifest'
   })
   .option('batch-output-dir', {
     type: 'string',
     description: 'Output directory for batch recordings',
     default: './recordings'
   })
+  .option('resume', {
+    type: 'boolean',
+    description: 'Resume a batch from its ledger: skip completed jobs, re-queue failed/interrupted ones',
+    default: false
+  })
+  .option('retries', {
+    type: 'number',
+    description: 'Retry failed batch jobs up to N more times (infrastructure errors only)',
+    default: 0
+  })
+  .option('retry-delay', {
+    type: 'number',
+    description: 'Seconds before the first retry; doubles on each further retry (max 60s)',
+    default: 5
+  })
   .option('concurrency', {
     type: 'number',
     description: 'Number of parallel recordings',
@@ -89,6 +140,42 @@ const argv = yargs(hideBin(process.argv))
     description: 'CSS selector for video element',
     default: 'video'
   })
+  .option('player', {
+    type: 'string',
+    description: 'Player adapter: auto-detect known players (also in iframes), none for the plain video selector, or force one',
+    default: 'auto',
+    choices: ['auto', 'none', ...PLAYER_ADAPTERS]
+  })
+  .option('all-videos', {
+    type: 'boolean',
+    description: 'Record every video matching --video-selector, one after another (one file each, or --playlist)',
+    default: false
+  })
+  .option('min-video-duration', {
+    type: 'number',
+    description: 'With --all-videos, skip videos shorter than this (seconds)',
+    default: 0
+  })
+  .option('visible-only', {
+    type: 'boolean',
+    description: 'With --all-videos, skip videos that are hidden or collapsed',
+    default: false
+  })
+  .option('playlist', {
+    type: 'boolean',
+    description: 'With --all-videos, join the videos into the output file with a chapter per video',
+    default: false
+  })
+  .option('highest-rendition', {
+    type: 'boolean',
+    description: 'Force the top rendition of HLS/DASH streams (hls.js, dash.js, native HLS) and warm it up before capture (--no-highest-rendition to let the player adapt)',
+    default: true
+  })
+  .option('rendition-timeout', {
+    type: 'number',
+    description: 'Longest warm-up for the top rendition to settle (seconds)',
+    default: 20
+  })
   .option('click-selector', {
     alias: 'c',
     type: 'array',
@@ -106,15 +193,31 @@ const argv = yargs(hideBin(process.argv))
     description: 'Extra buffer time after duration (seconds)',
     default: 2
   })
+  .option('end-detection', {
+    type: 'string',
+    description: 'How to decide when to stop: fixed timer, or the video element\'s ended/stalled events',
+    default: 'timer',
+    choices: ['timer', 'video']
+  })
+  .option('end-grace', {
+    type: 'number',
+    description: 'Seconds to keep recording after the video ends (--end-detection video)',
+    default: 1
+  })
+  .option('profile', {
+    type: 'string',
+    description: 'Output codec/container profile (default: inferred from the output extension)',
+    choices: PROFILE_NAMES
+  })
   .option('quality', {
     alias: 'q',
     type: 'number',
-    description: 'Video quality (CRF: 0-51, lower is better)',
+    description: 'Video quality (CRF: 0-51 for H.264/HEVC, 0-63 for VP9/AV1, lower is better)',
     default: 23
   })
   .option('preset', {
     type: 'string',
-    description: 'ffmpeg encoding preset (ultrafast, fast, medium, slow)',
+    description: 'x264/x265 encoding preset (ultrafast, fast, medium, slow)',
     default: 'fast',
     choices: ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow']
   })
@@ -123,6 +226,141 @@ const argv = yargs(hideBin(process.argv))
     description: 'Audio bitrate (e.g., 128k, 192k)',
     default: '128k'
   })
+  .option('capture-backend', {
+    type: 'string',
+    description: 'Frame source: x11grab (samples the display) or screencast (CDP compositor frames with timestamps)',
+    default: 'x11grab',
+    choices: ['x11grab', 'screencast']
+  })
+  .option('strategy', {
+    type: 'string',
+    description: 'capture records the screen; fetch downloads a plain file or HLS source directly (with the page\'s cookies) and falls back to capture for MSE, DRM or failures',
+    default: 'capture',
+    choices: ['capture', 'fetch']
+  })
+  .option('page-mode', {
+    type: 'boolean',
+    description: 'Record a page without a <video> element (demos, dashboards); needs --duration or --timeline',
+    default: false
+  })
+  .option('timeline', {
+    type: 'string',
+    description: 'Timeline of page actions (JSON or JS module) to run while recording; implies --page-mode'
+  })
+  .option('cookies', {
+    type: 'string',
+    description: 'Cookie jar to load before navigating (Netscape cookies.txt or Puppeteer JSON)'
+  })
+  .option('storage-state', {
+    type: 'string',
+    description: 'Storage state to load before navigating (cookies plus localStorage/sessionStorage per origin)'
+  })
+  .option('header', {
+    type: 'array',
+    description: 'Extra HTTP header sent with every request ("Name: value", repeatable)',
+    default: []
+  })
+  .option('http-auth', {
+    type: 'string',
+    description: 'HTTP basic auth credentials as user:password (or set RECORDER_HTTP_AUTH)'
+  })
+  .option('user-data-dir', {
+    type: 'string',
+    description: 'Persistent Chrome profile directory (caches, service workers, consent) instead of a fresh one',
+    conflicts: 'browser-profile'
+  })
+  .option('browser-profile', {
+    type: 'string',
+    description: 'Named persistent browser profile, kept in --browser-profiles-dir'
+  })
+  .option('browser-profiles-dir', {
+    type: 'string',
+    description: 'Directory holding named browser profiles',
+    default: './browser-profiles'
+  })
+  .option('reset-profile', {
+    type: 'boolean',
+    description: 'Run each job on a throwaway copy of the browser profile, leaving it unchanged',
+    default: false
+  })
+  .option('hooks', {
+    type: 'string',
+    description: 'JS module exporting async hooks (beforeNavigate, afterNavigate, beforePlay, afterPlay, onProgress, beforeStop)'
+  })
+  .option('request-rules', {
+    type: 'string',
+    description: 'JSON rules that block, stub (local file or inline body) or add headers to requests matching URL patterns'
+  })
+  .option('block-ads', {
+    type: 'boolean',
+    description: 'Block requests to the built-in list of ad, tracker and chat widget domains',
+    default: false
+  })
+  .option('virtual-time', {
+    type: 'boolean',
+    description: 'Render CSS/canvas/WebGL animations frame by frame in virtual time (no <video> or audio; needs --duration)',
+    default: false
+  })
+  .option('two-stage', {
+    type: 'boolean',
+    description: 'Capture a lossless intermediate, then encode the output at --quality/--preset after recording',
+    default: false
+  })
+  .option('intermediate', {
+    type: 'string',
+    description: 'Intermediate profile for --two-stage',
+    default: 'mkv-x264-lossless',
+    choices: INTERMEDIATE_PROFILES
+  })
+  .option('encode-concurrency', {
+    type: 'number',
+    description: 'Maximum simultaneous --two-stage encodes in batch/serve mode (run at low CPU priority)',
+    default: 1
+  })
+  .option('element-fullscreen', {
+    type: 'boolean',
+    description: 'Make the video element (or --fullscreen-selector) fullscreen instead of just the window',
+    default: false
+  })
+  .option('fullscreen-selector', {
+    type: 'string',
+    description: 'CSS selector of the player container to make fullscreen (default: --video-selector)'
+  })
+  .option('crop-to-video', {
+    type: 'boolean',
+    description: 'Capture only the video element\'s on-screen rectangle instead of the whole display',
+    default: false
+  })
+  .option('crop-scale', {
+    type: 'string',
+    description: 'Scale the cropped capture to fit this size (e.g., 1280x720)'
+  })
+  .option('crop-letterbox', {
+    type: 'boolean',
+    description: 'Pad the scaled crop to exactly --crop-scale with black bars',
+    default: false
+  })
+  .option('trim', {
+    type: 'string',
+    description: 'Cut the recording to the playback window: copy (lossless, keyframe-aligned) or precise (re-encode)',
+    default: 'none',
+    choices: ['none', 'copy', 'precise']
+  })
+  .option('keep-master', {
+    type: 'boolean',
+    description: 'Keep the untrimmed recording as <name>.master.<ext> when trimming',
+    default: false
+  })
+  .option('validate', {
+    type: 'boolean',
+    description: 'Probe the finished file (duration, streams, silence, black/frozen video) and fail the job if checks fail',
+    default: true
+  })
+  .option('duration-tolerance', {
+    type: 'number',
+    description: 'Allowed difference in seconds between file duration and capture time',
+    default: 3
+  })
   .option('log-console', {
     type: 'boolean',
     description: 'Log browser console messages',
@@ -133,20 +371,70 @@ const argv = yargs(hideBin(process.argv))
     description: 'Log network requests',
     default: false
   })
+  .option('network-capture', {
+    type: 'boolean',
+    description: 'Write a HAR file (<output>.har) and a media inventory of manifests, segments and media files (<output>.media.json)',
+    default: false
+  })
+  .option('har-post-data', {
+    type: 'boolean',
+    description: 'Keep request bodies (form posts, logins) in the --network-capture HAR',
+    default: false
+  })
   .example('$0 --url "https://example.com/video" --output recording.mp4', 'Auto-detect video duration')
   .example('$0 -u "https://example.com/video" -d 30 -o recording.mp4', 'Record with manual 30-second duration')
+  .example('$0 -u "https://example.com/video" -o recording.webm', 'WebM/VP9 (profile inferred from the extension)')
+  .example('$0 -u "https://example.com/video" -o preview.gif -d 10', 'Animated GIF preview')
+  .example('$0 -u "https://example.com/video" -o recording.mp4 --two-stage --preset slow -q 18', 'Lossless capture, slow encode afterwards')
+  .example('$0 -u "https://example.com/product" -o demo.mp4 --timeline demo.json', 'Page mode: scripted product demo')
+  .example('$0 -u "https://example.com/slides" -o slides.mp4 -d 20 --virtual-time --framerate 60', 'Deterministic render of a web animation')
+  .example('$0 -u "https://example.com/video" -o recording.mp4 --hooks ./hooks.mjs', 'Site-specific handling (consent, login, player quality)')
+  .example('$0 login -u "https://example.com/signin" --save-storage session.json', 'Log in by hand and save the session')
+  .example('$0 -u "https://example.com/members/video" -o recording.mp4 --storage-state session.json', 'Record behind a login')
+  .example('$0 --batch urls.txt --batch-output-dir ./recordings --browser-profile news --reset-profile', 'Batch with a warmed-up browser profile')
+  .example('$0 -u "https://example.com/gallery" -o talks.mp4 --all-videos --playlist --min-video-duration 30', 'Every video on a page, as one file with chapters')
+  .example('$0 -u "https://example.com/video" -o video.mp4 --strategy fetch', 'Download the source when possible, capture otherwise')
+  .example('$0 -u "https://example.com/video" -o recording.mp4 --block-ads --request-rules rules.json', 'Skip pre-rolls, beacons and chat widgets')
   .example('$0 --batch urls.txt --batch-output-dir ./recordings', 'Batch record from file')
   .example('$0 --batch urls.txt --batch-output-dir ./recordings --concurrency 3', 'Batch parallel')
+  .example('$0 serve --port 8080 --concurrency 2', 'HTTP job server')
   .check((args) => {
+    if (args._[0] === 'serve') {
+      if (args.url || args.batch) {
+        throw new Error('Cannot use --url or --batch with serve');
+      }
+      return true;
+    }
+    if (args._[0] === 'login') {
+      if (!args.url || args.batch) {
+        throw new Error('login needs --url (the sign-in page) and no --batch');
+      }
+      return true;
+    }
     if (!args.batch && !args.url) {
       throw new Error('Either --url or --batch is required');
     }
     if (args.batch && args.url) {
       throw new Error('Cannot use both --url and --batch');
     }
+    if (args['crop-scale'] && !/^\d+x\d+$/.test(args['crop-scale'])) {
+      throw new Error('--crop-scale must look like 1280x720');
+    }
+    // Manifest entries may still add a duration or timeline, so those jobs are checked when the manifest is read
+    const problems = checkOptionCombinations(optionsFromArgs(args), {
+      name: (key) => `--${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`,
+      complete: !(args.batch && isManifestFile(args.batch))
+    });
+    if (problems.length > 0) {
+      throw new Error(problems[0]);
+    }
     if (args.url && !args.output) {
       throw new Error('--output is required when using --url');
     }
+    // Batch jobs without --profile are checked per job (manifest entries may set their own)
+    if (args.url || args.profile) {
+      resolveOutputProfile(args.url ? args.output : null, args.profile, { quality: args.quality });
+    }
     return true;
   })
   .help('h')
@@ -157,214 +445,75 @@ const argv = yargs(hideBin(process.argv))
   .parseSync();
 
 /**
- * Record a single URL
- * @param {Object} options - Recording options
- * @param {string} options.url - URL to record
- * @param {string} options.outputPath - Output file path
- * @param {string} options.jobLabel - Label prefix for log messages
- * @param {number} options.jobIndex - Job index in batch
- * @param {boolean} options.parallelMode - Whether running in parallel
- * @param {number} options.displayStartNumber - Starting display number
- * @param {string} options.sinkName - PulseAudio sink name
- * @param {Object} options - Remaining shared CLI args
- * @returns {Promise<{success: boolean, outputPath: string, error?: string}>}
+ * Map parsed CLI arguments to Recorder options
+ * @param {Object} args - Parsed yargs arguments
+ * @returns {Object} Recorder options shared by every job
  */
-async function recordUrl(options) {
-  const {
-    url,
-    outputPath,
-    jobLabel = '',
-    jobIndex = 0,
-    parallelMode = false,
-    displayStartNumber = argv.display,
-    sinkName = 'recording_sink',
-    duration = argv.duration,
-    resolution = argv.resolution,
-    framerate = argv.framerate,
-    quality = argv.quality,
-    preset = argv.preset,
-    audioBitrate = argv['audio-bitrate'],
-    bufferTime = argv.buffer,
-    videoSelector = argv['video-selector'],
-    clickSelectors = argv['click-selector'],
-    autoDetectDuration = argv['auto-detect-duration'],
-    logConsole = argv['log-console'],
-    logRequests = argv['log-requests']
-  } = options;
-
-  const prefix = jobLabel ? `${jobLabel} ` : '';
-  const jobId = `job${jobIndex}`;
-
-  const jlog = (msg) => log(`${prefix}${msg}`);
-
-  // Validate duration arguments
-  if (!duration && !autoDetectDuration) {
-    return {
-      success: false,
-      outputPath,
-      error: 'Either --duration must be provided or --auto-detect-duration must be enabled'
-    };
-  }
-
-  jlog(`URL: ${url}`);
-  jlog(`Output: ${outputPath}`);
-  jlog(`Resolution: ${resolution}`);
-
-  const parsedWidth = parseInt(resolution.split('x')[0]);
-  const parsedHeight = parseInt(resolution.split('x')[1]);
-  let displayInfo, audioInfo, ffmpegProcess, browser;
-
-  try {
-    // Step 1: Start virtual display
-    jlog('Starting virtual display...');
-    displayInfo = await startDisplay(displayStartNumber, resolution + 'x24', true);
-    jlog(`Display :${displayInfo.displayNumber} started`);
-
-    // Step 2: Setup audio
-    jlog('Setting up audio environment...');
-    audioInfo = await setupAudioRecording(sinkName, { skipDefault: parallelMode });
-    jlog(`Audio sink: ${audioInfo.sinkName}`);
-
-    // Step 3: Launch browser and navigate (before recording, so page is loaded)
-    jlog('Launching browser...');
-    browser = await launchBrowser(displayInfo.displayNumber, {
-      width: parsedWidth,
-      height: parsedHeight,
-      pulseServer: audioInfo.pulseServer
-    });
-
-    jlog('Navigating to URL...');
-    const page = await createPage(browser, {
-      width: parsedWidth,
-      height: parsedHeight,
-      logConsole,
-      logRequests
-    });
-
-    await navigateToUrl(page, url, {
-      timeout: 60000,
-      waitUntil: 'networkidle2'
-    });
-
-    // Enter fullscreen to hide URL bar and browser chrome
-    jlog('Entering fullscreen...');
-    await setFullscreen(page);
-
-    // Step 4: Find video element and get metadata (but don't play yet)
-    jlog('Finding video element...');
-    await findVideoElement(page, videoSelector);
-
-    // Click any specified elements first (play buttons, etc.)
-    for (const sel of clickSelectors) {
-      await clickIfExists(page, sel);
-      await sleep(500);
-    }
-
-    const videoMetadata = await getVideoMetadata(page, videoSelector);
-    jlog(`Video found: ${videoMetadata.videoWidth}x${videoMetadata.videoHeight}`);
-    jlog(`Video source: ${videoMetadata.src || videoMetadata.currentSrc}`);
-
-    // Auto-detect duration
-    let actualDuration = duration;
-    if (autoDetectDuration) {
-      if (videoMetadata.duration && videoMetadata.duration > 0 && isFinite(videoMetadata.duration)) {
-        actualDuration = Math.ceil(videoMetadata.duration);
-        jlog(`Auto-detected video duration: ${actualDuration}s`);
-      } else if (duration) {
-        jlog('Auto-detection failed, using fallback manual duration');
-        actualDuration = duration;
-      } else {
-        throw new Error(
-          'Failed to auto-detect video duration. ' +
-          'Please provide a manual duration with --duration <seconds>.'
-        );
-      }
-    }
-
-    const totalTime = actualDuration + bufferTime;
-    jlog(`Recording will capture: ${totalTime}s (${actualDuration}s + ${bufferTime}s buffer)`);
-
-    // Step 5: Start ffmpeg recording (page is loaded and ready)
-    jlog('Starting ffmpeg recording...');
-    ffmpegProcess = await startRecording({
-      displayNumber: displayInfo.displayNumber,
-      audioSource: audioInfo.monitorName,
-      outputPath,
-      resolution,
-      framerate,
-      crf: quality,
-      preset,
-      audioBitrate
-    });
-    jlog('Recording started');
-    await sleep(1000);
-
-    // Step 6: Play video (ffmpeg is already capturing)
-    jlog('Playing video...');
-    await playVideo(page, videoSelector);
-
-    // Route this browser's audio to its per-worker sink (parallel mode)
-    // Must happen after play() since Chromium only creates PulseAudio sink inputs when audio starts
-    if (parallelMode && browser.process()) {
-      const browserPid = browser.process().pid;
-      jlog(`Browser PID: ${browserPid}, routing audio to ${sinkName}...`);
-      await moveBrowserSinkInputs(sinkName, browserPid);
-    }
-
-    jlog('Video is playing, recording in progress...');
-
-    // Step 7: Wait for recording duration
-    for (let i = 1; i <= totalTime; i++) {
-      await sleep(1000);
-      const remaining = totalTime - i;
-      if (i % 5 === 0 || remaining <= 5) {
-        jlog(`Recording... ${i}/${totalTime}s elapsed (${remaining}s remaining)`);
-      }
-    }
-
-    jlog('Recording duration completed');
-
-    // Graceful shutdown in correct order
-    jlog('Stopping recording...');
-    await stopRecording(ffmpegProcess, 15000);
-    ffmpegProcess = null;
-
-    jlog('Closing browser...');
-    await closeBrowser(browser);
-    browser = null;
-
-    jlog('Stopping display...');
-    await stopDisplay(displayInfo);
-    displayInfo = null;
-
-    jlog('Cleaning up audio...');
-    await cleanupAudioRecording(audioInfo.sinkName);
-    audioInfo = null;
-
-    return { success: true, outputPath };
-  } catch (error) {
-    jlog(`ERROR: ${error.message}`);
-
-    // Emergency cleanup — kill anything still running
-    try {
-      if (ffmpegProcess) {
-        await stopRecording(ffmpegProcess, 5000).catch(() => {});
-      }
-      if (browser) {
-        await closeBrowser(browser).catch(() => {});
-      }
-      if (displayInfo) {
-        await stopDisplay(displayInfo).catch(() => {});
-      }
-      if (audioInfo) {
-        await cleanupAudioRecording(audioInfo.sinkName).catch(() => {});
-      }
-    } catch (_) {
-      // Ignore cleanup errors
-    }
+function optionsFromArgs(args) {
+  return {
+    displayStartNumber: args.display,
+    duration: args.duration,
+    resolution: args.resolution,
+    framerate: args.framerate,
+    quality: args.quality,
+    preset: args.preset,
+    audioBitrate: args['audio-bitrate'],
+    profile: args.profile,
+    captureBackend: args['capture-backend'],
+    strategy: args.strategy,
+    virtualTime: args['virtual-time'],
+    pageMode: args['page-mode'],
+    timeline: args.timeline ? resolve(args.timeline) : null,
+    hooks: args.hooks ? resolve(args.hooks) : null,
+    requestRules: args['request-rules'] ? resolve(args['request-rules']) : null,
+    blockAds: args['block-ads'],
+    cookies: args.cookies ? resolve(args.cookies) : null,
+    storageState: args['storage-state'] ? resolve(args['storage-state']) : null,
+    headers: args.header.length > 0 ? args.header.map(String) : null,
+    httpAuth: args['http-auth'] || process.env.RECORDER_HTTP_AUTH || null,
+    userDataDir: args['user-data-dir'] ? resolve(args['user-data-dir']) : null,
+    browserProfile: args['browser-profile'] || null,
+    profilesDir: resolve(args['browser-profiles-dir']),
+    resetProfile: args['reset-profile'],
+    bufferTime: args.buffer,
+    endDetection: args['end-detection'],
+    endGrace: args['end-grace'],
+    videoSelector: args['video-selector'],
+    player: args.player,
+    allVideos: args['all-videos'],
+    minVideoDuration: args['min-video-duration'],
+    visibleOnly: args['visible-only'],
+    playlist: args.playlist,
+    highestRendition: args['highest-rendition'],
+    renditionTimeout: args['rendition-timeout'],
+    clickSelectors: args['click-selector'],
+    autoDetectDuration: args['auto-detect-duration'],
+    logConsole: args['log-console'],
+    logRequests: args['log-requests'],
+    networkCapture: args['network-capture'],
+    harPostData: args['har-post-data'],
+    elementFullscreen: args['element-fullscreen'],
+    fullscreenSelector: args['fullscreen-selector'],
+    cropToVideo: args['crop-to-video'],
+    cropScale: args['crop-scale'],
+    cropLetterbox: args['crop-letterbox'],
+    trim: args.trim,
+    keepMaster: args['keep-master'],
+    twoStage: args['two-stage'],
+    intermediate: args.intermediate,
+    validate: args.validate,
+    validation: { durationTolerance: args['duration-tolerance'] }
+  };
+}
 
-    return { success: false, outputPath, error: error.message };
-  }
+/**
+ * Record a single URL with the CLI defaults applied
+ * Per-job options (url, outputPath, worker display/sink) override the CLI options
+ * @param {Object} options - Per-job options
+ * @returns {Promise<{success: boolean, outputPath: string, error?: string}>}
+ */
+function recordUrl(options) {
+  return record({ ...optionsFromArgs(argv), ...options });
 }
 
 /**
@@ -377,7 +526,9 @@ async function runSingle() {
 
   const outputPath = resolve(argv.output);
   const duration = argv.duration;
-  const bufferTime = argv.buffer;
+  // A virtual-time render is exactly --duration long
+  const bufferTime = argv['virtual-time'] ? 0 : argv.buffer;
+  const pageMode = argv['page-mode'] || Boolean(argv.timeline);
 
   // Validate duration arguments
   if (!argv.duration && !argv['auto-detect-duration']) {
@@ -385,7 +536,11 @@ async function runSingle() {
     process.exit(1);
   }
 
-  if (argv['auto-detect-duration']) {
+  if (argv['virtual-time']) {
+    log(`Virtual-time rendering: ${argv.duration}s at ${argv.framerate} fps (${Math.round(argv.duration * argv.framerate)} frames, no audio)`);
+  } else if (pageMode) {
+    log(`Page mode: ${argv.timeline ? `timeline ${argv.timeline}` : 'no timeline'}, no video element`);
+  } else if (argv['auto-detect-duration']) {
     log('Auto-detection enabled: video duration will be extracted from DOM');
     if (argv.duration) {
       log(`Manual duration (${argv.duration}s) will be used as fallback if auto-detection fails`);
@@ -397,14 +552,26 @@ async function runSingle() {
   log(`URL: ${argv.url}`);
   if (argv.duration) {
     log(`Duration: ${duration}s (+ ${bufferTime}s buffer = ${duration + bufferTime}s total)`);
+  } else if (pageMode) {
+    log(`Duration: From the timeline (+ ${bufferTime}s buffer)`);
   } else {
     log(`Duration: Auto-detect from video element (+ ${bufferTime}s buffer)`);
   }
   log(`Output: ${outputPath}`);
+  log(`Profile: ${resolveOutputProfile(outputPath, argv.profile).name}`);
   log(`Resolution: ${argv.resolution}`);
   log(`Framerate: ${argv.framerate} fps`);
   log(`Quality (CRF): ${argv.quality}`);
   log(`Preset: ${argv.preset}`);
+  if (!argv['virtual-time']) {
+    log(`Capture backend: ${argv['capture-backend']}`);
+  }
+  if (argv['two-stage']) {
+    log(`Two-stage: ${argv.intermediate} capture, encoded after recording`);
+  }
+  if (argv.strategy === 'fetch') {
+    log('Strategy: fetch (download the source directly, capture if it can\'t be)');
+  }
 
   // Estimate file size (only if duration is known)
   if (argv.duration) {
@@ -425,11 +592,37 @@ async function runSingle() {
     if (result.success) {
       log('='.repeat(70));
       log('Recording completed successfully!');
-      log(`Output file: ${outputPath}`);
+      if (result.videos && !argv.playlist) {
+        result.videos.forEach(video => log(`Output file: ${video.outputPath}`));
+      } else {
+        log(`Output file: ${outputPath}`);
+      }
+      if (result.strategy === 'fetch') {
+        log(`Downloaded directly (${result.source.type}, ${result.source.remux === 'copy' ? 'stream copy' : 're-encoded'})`);
+      } else if (result.fetchFallback) {
+        log(`Screen-captured: ${result.fetchFallback}`);
+      }
+      if (result.network) {
+        log(`Network capture: ${result.network.harPath}, ${result.network.inventoryPath}`);
+      }
+      if (result.requestRules) {
+        const { rules, blocklist } = result.requestRules;
+        const counts = rules.map(({ url, action, hits }) => `${action} ${url}: ${hits}`);
+        if (blocklist !== undefined) {
+          counts.push(`blocklist: ${blocklist}`);
+        }
+        log(`Request rule hits: ${counts.join(', ')}`);
+      }
+      if (result.indexPath) {
+        log(`Segment index: ${result.indexPath} (${result.videos.length} recorded, ${result.skipped.length} skipped)`);
+      }
       log('='.repeat(70));
     } else {
       log('='.repeat(70));
       log(`ERROR: ${result.error}`);
+      if (result.network) {
+        log(`Network capture: ${result.network.harPath}, ${result.network.inventoryPath}`);
+      }
       log('='.repeat(70));
       process.exit(1);
     }
@@ -459,34 +652,82 @@ async function runBatch() {
   const outputDir = resolve(argv['batch-output-dir']);
   const concurrency = argv.concurrency;
 
-  // Read URLs
-  const urls = await readUrlFile(batchFile);
+  // Read URLs or manifest entries (validated before anything is recorded)
+  let jobs;
+  try {
+    jobs = await readBatchFile(batchFile, outputDir, optionsFromArgs(argv));
+  } catch (error) {
+    log(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
 
   log(`Batch file: ${batchFile}`);
   log(`Output directory: ${outputDir}`);
-  log(`URLs to record: ${urls.length}`);
+  // Output paths are fixed up front; they are the ledger's job keys
+  jobs = jobs.map((job, i) => toBatchJob(job, i, outputDir, argv.profile));
+
+  ensureOutputDir(outputDir);
+  const ledger = new JobLedger(outputDir, { resume: argv.resume });
+  cleanupManager.registerCleanupHandler(() => ledger.markInterrupted());
+
+  const skipped = [];
+  if (argv.resume) {
+    const pending = [];
+    for (const job of jobs) {
+      if (await ledger.isCompleted(job.outputPath)) {
+        skipped.push({ url: job.url, outputPath: job.outputPath, success: true, skipped: true });
+      } else {
+        pending.push(job);
+      }
+    }
+    jobs = pending;
+  }
+
+  log(`Ledger: ${ledger.path}`);
+  if (argv.resume) {
+    log(`Resuming: ${skipped.length} completed job(s) skipped`);
+  }
+  log(`URLs to record: ${jobs.length}`);
   log(`Concurrency: ${concurrency === 1 ? '1 (sequential)' : concurrency}`);
+  if (argv.retries > 0) {
+    log(`Retries: ${argv.retries} (backoff from ${argv['retry-delay']}s)`);
+  }
   log(`Resolution: ${argv.resolution}`);
   log(`Quality (CRF): ${argv.quality}`);
   log(`Preset: ${argv.preset}`);
+  if (argv['two-stage']) {
+    log(`Two-stage: ${argv.intermediate} capture, ${argv['encode-concurrency']} encode worker(s)`);
+  }
   log('='.repeat(70));
 
   // Preview planned outputs
   log('Planned recordings:');
-  for (let i = 0; i < urls.length; i++) {
-    const outPath = generateOutputPath(urls[i], i, outputDir);
-    log(`  ${i + 1}. ${urls[i]}`);
+  for (let i = 0; i < jobs.length; i++) {
+    const { url, outputPath: outPath, options } = jobs[i];
+    const previous = ledger.get(outPath);
+    log(`  ${i + 1}. ${url}${previous ? ` (previously ${previous.state})` : ''}`);
     log(`     -> ${outPath}`);
+    if (Object.keys(options).length > 0) {
+      log(`     options: ${JSON.stringify(options)}`);
+    }
   }
   log('='.repeat(70));
 
   let results;
+  // Two-stage encodes share one pool, so captures move on while earlier jobs encode
+  const encodePool = argv['two-stage'] ? new EncodePool({ concurrency: argv['encode-concurrency'] }) : null;
+  const recordEncoded = (options) => recordUrl({ ...options, encodePool });
+  // Each attempt is tracked in the ledger; retries wrap the tracked function
+  const recordFn = withRetries(ledger.track(recordEncoded), {
+    retries: argv.retries,
+    baseDelay: argv['retry-delay'] * 1000
+  });
 
   try {
     if (concurrency <= 1) {
-      results = await runSequential(urls, outputDir, recordUrl, {});
+      results = await runSequential(jobs, outputDir, recordFn, {});
     } else {
-      results = await runParallel(urls, outputDir, recordUrl, {}, concurrency);
+      results = await runParallel(jobs, outputDir, recordFn, {}, concurrency);
     }
   } catch (error) {
     log(`FATAL: Batch processing error: ${error.message}`);
@@ -497,6 +738,7 @@ async function runBatch() {
   }
 
   // Print summary
+  results = [...skipped, ...results];
   printBatchSummary(results);
 
   // Exit with error if any failed
@@ -507,10 +749,89 @@ async function runBatch() {
 }
 
 /**
- * Main entry point — dispatches to single or batch mode
+ * Run the HTTP job server
+ */
+async function runServe() {
+  log('='.repeat(70));
+  log('Webpage Video Recorder — Job Server');
+  log('='.repeat(70));
+
+  const outputDir = resolve(argv['output-dir']);
+  const { server, cancelAll } = createJobServer({
+    outputDir,
+    concurrency: argv.concurrency,
+    jobTtl: argv['job-ttl'],
+    maxJobs: argv['max-jobs'],
+    recorderOptions: {
+      ...optionsFromArgs(argv),
+      encodePool: argv['two-stage'] ? new EncodePool({ concurrency: argv['encode-concurrency'] }) : null
+    }
+  });
+
+  // Stop accepting jobs and tear down running captures on SIGINT/SIGTERM
+  cleanupManager.registerCleanupHandler(async () => {
+    server.close();
+    await cancelAll();
+  });
+
+  await new Promise((resolvePromise, reject) => {
+    server.once('error', reject);
+    server.listen(argv.port, argv.host, resolvePromise);
+  });
+
+  log(`Listening on http://${argv.host}:${argv.port}`);
+  log(`Output directory: ${outputDir}`);
+  log(`Concurrency: ${argv.concurrency}`);
+  log('Endpoints: POST /jobs, GET /jobs, GET /jobs/:id, GET /jobs/:id/output, DELETE /jobs/:id');
+  log('='.repeat(70));
+}
+
+/**
+ * Open a visible browser for a manual login and save the resulting session
+ * --cookies/--storage-state/--header/--http-auth seed the session first, so a saved
+ * session can be refreshed; with --user-data-dir/--browser-profile the profile keeps it as well
+ */
+async function runLogin() {
+  const outputPath = resolve(argv['save-storage']);
+  const options = optionsFromArgs(argv);
+  const { cookies, storageState, headers, httpAuth } = options;
+  const userDataDir = resolveProfileDir(options);
+  let browser = null;
+
+  cleanupManager.registerCleanupHandler(async () => {
+    if (browser && browser.connected) {
+      await browser.close();
+    }
+  });
+
+  await interactiveLogin(argv.url, {
+    outputPath,
+    auth: loadAuth({ cookies, storageState, headers, httpAuth }),
+    userDataDir,
+    onBrowser: (launched) => {
+      browser = launched;
+    },
+    waitForOperator: () => new Promise((resolvePromise) => {
+      const rl = createInterface({ input: process.stdin, output: process.stdout });
+      rl.question('Log in in the browser window, then press Enter here to save the session... ', () => {
+        rl.close();
+        resolvePromise();
+      });
+    })
+  });
+
+  log(`Use it with: --storage-state ${outputPath}`);
+}
+
+/**
+ * Main entry point — dispatches to single, batch, server or login mode
  */
 async function main() {
-  if (argv.batch) {
+  if (argv._[0] === 'serve') {
+    await runServe();
+  } else if (argv._[0] === 'login') {
+    await runLogin();
+  } else if (argv.batch) {
     await runBatch();
   } else {
     await runSingle();
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, unlinkSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { JobLedger } from '../lib/ledger.js';
+
+/**
+ * A fresh batch output directory, removed after the test
+ */
+function outputDir(t) {
+  const dir = mkdtempSync(join(tmpdir(), 'ledger-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Fake allVideos recording (no playlist): one file per video and a segment index, never outputPath
+ */
+function recordVideos(dir) {
+  return async ({ outputPath }) => {
+    const videos = [1, 2].map((index) => {
+      const path = join(dir, `out-0${index}.mp4`);
+      writeFileSync(path, `video ${index}`);
+      return { index, outputPath: path };
+    });
+    const indexPath = `${outputPath}.index.json`;
+    writeFileSync(indexPath, JSON.stringify({ segments: videos }));
+    return { success: true, outputPath, videos, indexPath };
+  };
+}
+
+test('a single-file job is completed while its output is intact', async (t) => {
+  const dir = outputDir(t);
+  const outputPath = join(dir, 'out.mp4');
+  const record = new JobLedger(dir).track(async () => {
+    writeFileSync(outputPath, 'video');
+    return { success: true, outputPath };
+  });
+  await record({ url: 'https://example.com', outputPath });
+
+  assert.equal(await new JobLedger(dir, { resume: true }).isCompleted(outputPath), true);
+  writeFileSync(outputPath, 'changed');
+  assert.equal(await new JobLedger(dir, { resume: true }).isCompleted(outputPath), false);
+});
+
+test('a multi-video job is skipped on resume when every per-video file is intact', async (t) => {
+  const dir = outputDir(t);
+  const outputPath = join(dir, 'out.mp4');
+  const result = await new JobLedger(dir).track(recordVideos(dir))({ url: 'https://example.com', outputPath });
+
+  assert.deepEqual(result.outputs.map(({ path }) => path), [
+    join(dir, 'out-01.mp4'),
+    join(dir, 'out-02.mp4'),
+    `${outputPath}.index.json`
+  ]);
+  assert.equal(await new JobLedger(dir, { resume: true }).isCompleted(outputPath), true);
+});
+
+test('a multi-video job is queued again when one of its files is missing or changed', async (t) => {
+  const dir = outputDir(t);
+  const outputPath = join(dir, 'out.mp4');
+  await new JobLedger(dir).track(recordVideos(dir))({ url: 'https://example.com', outputPath });
+
+  writeFileSync(join(dir, 'out-02.mp4'), 'changed');
+  assert.equal(await new JobLedger(dir, { resume: true }).isCompleted(outputPath), false);
+
+  unlinkSync(join(dir, 'out-01.mp4'));
+  assert.equal(await new JobLedger(dir, { resume: true }).isCompleted(outputPath), false);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { checkOptionCombinations } from '../lib/options.js';
+import { readManifest } from '../lib/manifest.js';
+
+test('options that only make sense with another option are rejected without it', () => {
+  assert.deepEqual(checkOptionCombinations({ playlist: true }), [
+    '"playlist", "visibleOnly" and "minVideoDuration" require "allVideos"'
+  ]);
+  assert.deepEqual(checkOptionCombinations({ cropScale: '1280x720' }), [
+    '"cropScale" and "cropLetterbox" require "cropToVideo"'
+  ]);
+  assert.deepEqual(checkOptionCombinations({ virtualTime: true }), ['"virtualTime" requires "duration"']);
+  assert.deepEqual(checkOptionCombinations({ allVideos: true, playlist: true, minVideoDuration: 30 }), []);
+});
+
+test('conflicting modes are rejected', () => {
+  assert.deepEqual(checkOptionCombinations({ virtualTime: true, duration: 10, timeline: 'demo.json' }), [
+    '"timeline" can\'t be used with "virtualTime"'
+  ]);
+  assert.equal(checkOptionCombinations({ strategy: 'fetch', allVideos: true }).length, 1);
+  assert.equal(checkOptionCombinations({ strategy: 'fetch', pageMode: true, duration: 10 }).length, 1);
+});
+
+test('incomplete options are only checked for conflicts', () => {
+  assert.deepEqual(checkOptionCombinations({ virtualTime: true }, { complete: false }), []);
+  assert.deepEqual(checkOptionCombinations({ pageMode: true }, { complete: false }), []);
+});
+
+test('a CLI-style name function is used in messages', () => {
+  const name = (key) => `--${key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+  assert.deepEqual(checkOptionCombinations({ visibleOnly: true }, { name }), [
+    '--playlist, --visible-only and --min-video-duration require --all-videos'
+  ]);
+});
+
+test('manifest entries report conflicting options with their line number', async (t) => {
+  const dir = mkdtempSync(join(tmpdir(), 'manifest-test-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  const manifest = join(dir, 'jobs.yaml');
+  writeFileSync(manifest, [
+    'defaults:',
+    '  duration: 10',
+    'jobs:',
+    '  - url: https://example.com/a',
+    '  - url: https://example.com/b',
+    '    playlist: true',
+    '  - url: https://example.com/c',
+    '    pageMode: true'
+  ].join('\n'));
+
+  await assert.rejects(readManifest(manifest, dir), (error) => {
+    assert.match(error.message, /line 5 \(entry 2\): "playlist", "visibleOnly" and "minVideoDuration" require "allVideos"/);
+    // The defaults' duration completes the page mode entry
+    assert.doesNotMatch(error.message, /line 7/);
+    return true;
+  });
+
+  // Options the entries inherit (the CLI options) count as well
+  writeFileSync(manifest, [
+    '- url: https://example.com/a',
+    '  playlist: true'
+  ].join('\n'));
+  const jobs = await readManifest(manifest, dir, { allVideos: true });
+  assert.equal(jobs.length, 1);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getProfile, profileOutputArgs } from '../lib/profiles.js';
+import { captureOutputArgs } from '../lib/recorder.js';
+
+const settings = { crf: 31, preset: 'slow', audioBitrate: '128k', framerate: 30 };
+
+/**
+ * Value following a flag in an ffmpeg argument list
+ */
+function flag(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
+
+test('a live VP9 capture encodes at realtime speed', () => {
+  const args = captureOutputArgs(getProfile('webm-vp9'), { ...settings, outputPath: 'out.webm' });
+  assert.equal(flag(args, '-deadline'), 'realtime');
+  assert.equal(flag(args, '-cpu-used'), '8');
+});
+
+test('an offline VP9 encode uses the good deadline at a speed set by the preset', () => {
+  const profile = getProfile('webm-vp9');
+  const slow = profileOutputArgs(profile, { ...settings, live: false });
+  assert.equal(flag(slow, '-deadline'), 'good');
+  assert.equal(flag(slow, '-cpu-used'), '1');
+
+  const fast = profileOutputArgs(profile, { ...settings, preset: 'ultrafast', live: false });
+  assert.equal(flag(fast, '-cpu-used'), '5');
+});
+
+test('other profiles are the same live and offline', () => {
+  const profile = getProfile('mp4-h264');
+  assert.deepEqual(profileOutputArgs(profile, { ...settings, live: true }), profileOutputArgs(profile, { ...settings, live: false }));
+});
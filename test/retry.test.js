@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chmodSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { JobError } from '../lib/errors.js';
+import { classifyFailure, withRetries } from '../lib/retry.js';
+import { runHook } from '../lib/hooks.js';
+import { runTimeline } from '../lib/timeline.js';
+import { concatRecordings } from '../lib/recorder.js';
+
+/**
+ * An error named like the ones Puppeteer (or the page) throws
+ */
+function namedError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Classification of whatever a hook or timeline step rejected with
+ */
+async function classifyRejection(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return classifyFailure(error);
+  }
+  assert.fail('expected a rejection');
+}
+
+/**
+ * Put a fake ffmpeg first on PATH for the test
+ */
+function fakeFfmpeg(t, script) {
+  const dir = mkdtempSync(join(tmpdir(), 'retry-test-'));
+  const path = process.env.PATH;
+  if (script !== null) {
+    writeFileSync(join(dir, 'ffmpeg'), `#!/bin/sh\n${script}\n`);
+    chmodSync(join(dir, 'ffmpeg'), 0o755);
+  }
+  process.env.PATH = script === null ? dir : `${dir}:${path}`;
+  t.after(() => {
+    process.env.PATH = path;
+    rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+test('job errors keep their category', () => {
+  assert.deepEqual(classifyFailure(new JobError('ffmpeg exited prematurely', 'ffmpeg')), { category: 'ffmpeg', retryable: true });
+  assert.deepEqual(classifyFailure(new JobError('No <video> element found', 'no-video')), { category: 'no-video', retryable: false });
+});
+
+test('Puppeteer protocol errors and timeouts are retryable', () => {
+  assert.deepEqual(classifyFailure(namedError('TargetCloseError', 'Target closed')), { category: 'browser', retryable: true });
+  assert.deepEqual(classifyFailure(namedError('ProtocolError', 'Protocol error')), { category: 'browser', retryable: true });
+  assert.deepEqual(
+    classifyFailure(namedError('TimeoutError', 'Waiting for selector `.player` failed: 30000ms exceeded')),
+    { category: 'timeout', retryable: true }
+  );
+});
+
+test('unrecognized errors are not retried', () => {
+  assert.deepEqual(classifyFailure(new Error('something else')), { category: 'unknown', retryable: false });
+  assert.deepEqual(classifyFailure(null), { category: 'unknown', retryable: false });
+});
+
+test('a hook with a bug is not retried, a hook that hit a slow page is', async () => {
+  const run = (error) => classifyRejection(runHook({ afterNavigate: async () => { throw error; } }, 'afterNavigate', {}));
+
+  assert.deepEqual(await run(new TypeError("Cannot read properties of null (reading 'click')")), { category: 'script', retryable: false });
+  assert.deepEqual(await run(new ReferenceError('player is not defined')), { category: 'script', retryable: false });
+  assert.deepEqual(await run(namedError('TimeoutError', 'Waiting failed: 30000ms exceeded')), { category: 'timeout', retryable: true });
+  assert.deepEqual(await run(new Error('consent banner never appeared')), { category: 'hook', retryable: true });
+});
+
+test('a timeline step with an invalid selector is not retried, a missing element is', async () => {
+  const run = (error) => classifyRejection(runTimeline(
+    { click: async () => { throw error; } },
+    { actions: [{ action: 'click', selector: '.signup' }] }
+  ));
+
+  // Page-side errors keep their name; an invalid selector is a DOM SyntaxError
+  assert.deepEqual(
+    await run(namedError('SyntaxError', "Failed to execute 'querySelector' on 'Document': '..signup' is not a valid selector.")),
+    { category: 'script', retryable: false }
+  );
+  assert.deepEqual(await run(new Error('No element found for selector: .signup')), { category: 'timeline', retryable: true });
+  assert.deepEqual(await run(namedError('TimeoutError', 'Waiting failed')), { category: 'timeout', retryable: true });
+});
+
+test('a failed offline ffmpeg run is a retryable ffmpeg failure', async (t) => {
+  const dir = fakeFfmpeg(t, 'echo "concat failed" >&2; exit 1');
+  const failure = await classifyRejection(concatRecordings([join(dir, 'a.mp4')], join(dir, 'out.mp4'), {
+    format: 'mp4-h264',
+    chapters: [{ title: 'a', start: 0, end: 1 }]
+  }));
+  assert.deepEqual(failure, { category: 'ffmpeg', retryable: true });
+});
+
+test('a missing ffmpeg is an environment failure', async (t) => {
+  const dir = fakeFfmpeg(t, null);
+  const failure = await classifyRejection(concatRecordings([join(dir, 'a.mp4')], join(dir, 'out.mp4'), {
+    format: 'mp4-h264',
+    chapters: [{ title: 'a', start: 0, end: 1 }]
+  }));
+  assert.deepEqual(failure, { category: 'environment', retryable: false });
+});
+
+test('retryable failures are attempted again, permanent ones are not', async () => {
+  const results = [
+    { success: false, failure: classifyFailure(namedError('TimeoutError', 'slow')) },
+    { success: true }
+  ];
+  const retried = await withRetries(async () => results.shift(), { retries: 2, baseDelay: 0 })({});
+  assert.equal(retried.attempts, 2);
+
+  let attempts = 0;
+  const failed = await withRetries(async () => {
+    attempts++;
+    return { success: false, failure: classifyFailure(new JobError('Hook afterNavigate failed', 'script')) };
+  }, { retries: 2, baseDelay: 0 })({});
+  assert.equal(attempts, 1);
+  assert.equal(failed.failure.category, 'script');
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createJobServer } from '../lib/server.js';
+
+/**
+ * A listening job server on a free port, closed after the test
+ */
+async function startServer(t, options = {}) {
+  const outputDir = mkdtempSync(join(tmpdir(), 'server-test-'));
+  const { server, jobs } = createJobServer({ outputDir, concurrency: 1, ...options });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.close();
+    rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = async (method, path, body) => {
+    const res = await fetch(`${base}${path}`, { method, body: body === undefined ? undefined : JSON.stringify(body) });
+    return { status: res.status, body: await res.json() };
+  };
+  return { jobs, request };
+}
+
+/**
+ * A job as runJob leaves it once the recording has finished
+ */
+function finishedJob(id, finishedAt, result = { success: true }) {
+  return {
+    id,
+    options: { url: 'https://example.com/video' },
+    status: result.success ? 'completed' : 'failed',
+    progress: null,
+    createdAt: finishedAt,
+    startedAt: finishedAt,
+    finishedAt,
+    error: result.error || null,
+    result,
+    recorder: null
+  };
+}
+
+test('job fields are checked with the manifest field types and option rules', async (t) => {
+  const { jobs, request } = await startServer(t);
+  const url = 'https://example.com/video';
+
+  const rejected = [
+    [{ url, framerate: 0 }, '"framerate" must be greater than 0'],
+    [{ url, quality: 99 }, '"quality" must be at most 63'],
+    [{ url, preset: 'fastest' }, '"preset" must be one of'],
+    [{ url, buffer: -1 }, '"buffer" must be at least 0'],
+    [{ url, endDetection: 'never' }, '"endDetection" must be one of: timer, video'],
+    [{ url, pageMode: 'yes' }, '"pageMode" must be true or false'],
+    [{ url, autoDetectDuration: 1 }, '"autoDetectDuration" must be true or false'],
+    [{ url, clickSelectors: ['.play', 3] }, '"clickSelectors" must be a list of non-empty strings'],
+    [{ url, headers: { 'X-Token': 'a\r\nX-Injected: 1' } }, 'values can\'t contain line breaks'],
+    [{ url, headers: ['Bad Name: 1'] }, 'Invalid header name'],
+    [{ url, pageMode: true }, '"pageMode" requires "duration" or "timeline"'],
+    [{ url, strategy: 'fetch', pageMode: true, duration: 10 }, '"strategy" fetch downloads a single <video>']
+  ];
+  for (const [body, message] of rejected) {
+    const response = await request('POST', '/jobs', body);
+    assert.equal(response.status, 400, JSON.stringify(body));
+    assert.ok(response.body.error.includes(message), `${response.body.error} should include ${message}`);
+  }
+  assert.equal(jobs.size, 0);
+});
+
+test('finished jobs report their failure and are pruned after the TTL or past the limit', async (t) => {
+  const { jobs, request } = await startServer(t, { jobTtl: 60, maxJobs: 2 });
+  const now = Date.now();
+  const at = (secondsAgo) => new Date(now - secondsAgo * 1000).toISOString();
+
+  jobs.set('expired', finishedJob('expired', at(120)));
+  jobs.set('oldest', finishedJob('oldest', at(30)));
+  jobs.set('failed', finishedJob('failed', at(20), {
+    success: false,
+    error: 'No <video> element found',
+    failure: { category: 'no-video', retryable: false }
+  }));
+  jobs.set('newest', finishedJob('newest', at(10)));
+  jobs.set('running', { ...finishedJob('running', null), status: 'running', recorder: {} });
+
+  const { status, body } = await request('GET', '/jobs/failed');
+  assert.equal(status, 200);
+  assert.deepEqual(body.failure, { category: 'no-video', retryable: false });
+
+  assert.deepEqual([...jobs.keys()].sort(), ['failed', 'newest', 'running']);
+});